@@ -16,6 +16,7 @@
  * - `genAI`: An instance of `GoogleGenerativeAI` for interacting with AI models.
  * - `model`: A specific instance of the Gemini model for generation tasks.
  * - `generationConfig`: Configuration object for customizing AI generation outputs.
+ * - `embedDeck`, `embedTexts`: Embed a deck or several texts for similarity search and deduplication.
  *
  * Usage:
  * - Import these exports in the relevant parts of your project where generative AI features are needed.
@@ -25,7 +26,7 @@
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-05-12
+ * @updated 2026-10-18
  */
 
 import * as dotenv from 'dotenv';
@@ -149,5 +150,39 @@ export const embedDeck = async (titleAndDescription) => {
     }
 };
 
+/**
+ * Maximum number of texts sent with a single embedding request.
+ */
+const EMBED_BATCH_SIZE = 100;
+
+/**
+ * Embeds several texts (e.g. flashcards) using the Google Generative AI service.
+ * @param {string[]} texts - The texts to be embedded.
+ * @param {string} [taskType="SEMANTIC_SIMILARITY"] - The task the embeddings are optimized for.
+ * @return {Promise<number[][]>} A promise that resolves with the embedding vector of every text, in the given order.
+ */
+export const embedTexts = async (texts, taskType = "SEMANTIC_SIMILARITY") => {
+    try {
+        const embeddings = [];
+
+        for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+            const response = await genAI.models.embedContent({
+                model: "gemini-embedding-exp-03-07",
+                contents: texts.slice(start, start + EMBED_BATCH_SIZE),
+                config: {
+                    taskType: taskType,
+                    outputDimensionality: 768,
+                },
+            });
+            embeddings.push(...response.embeddings.map(embedding => embedding.values));
+        }
+
+        return embeddings;
+    } catch (error) {
+        console.error("Error embedding texts:", error);
+        throw error;
+    }
+};
+
 
 
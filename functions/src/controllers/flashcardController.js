@@ -1,106 +1,685 @@
 /**
  * Deck API - Prompt Controller
- * 
+ *
  * @file promptController.js
  * @description Handles AI prompt requests for Gemini and OpenAI.
- * 
- * This module provides controllers for processing AI-generated flashcard prompts. 
+ *
+ * This module provides controllers for processing AI-generated flashcard prompts.
  * It validates user input and interacts with the respective AI services.
- * 
+ *
  * @module promptController
- * 
+ *
+ * @requires ../services/jobService.js
  * @requires ../services/flashcardService.js
  * @requires ../utils/utils.js
- * 
+ *
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-03-19
+ * @updated 2026-10-18
  */
 
-import { geminiFlashcardService } from '../services/flashcardService.js';
-import { isValidInteger } from '../utils/utils.js';
+import { queueGenerationJob, JOB_TYPES, JOB_STATUS } from '../services/jobService.js';
+import {
+    geminiFlashcardService, geminiImproveFlashcardService, commitDeckDraftService, FLASHCARD_IMPROVEMENT_MODES
+} from '../services/flashcardService.js';
+import { isValidInteger, isSupportedSourceExtension, normalizeExtension, parsePageRange, openEventStream, MAX_PAGE_RANGE_PAGES, DIFFICULTY_LEVELS, SUPPORTED_LANGUAGES, CARD_TYPES, CARD_EXTRAS } from '../utils/utils.js';
+
+/**
+ * Interval in ms of the keep-alive comments written to an idle event stream.
+ */
+const STREAM_HEARTBEAT_INTERVAL = 15_000;
+
+/**
+ * Maximum number of source files a single deck can be generated from.
+ */
+const MAX_SOURCE_FILES = 5;
+
+/**
+ * Maximum number of characters of pasted source text. The token count is checked by the service.
+ */
+const MAX_SOURCE_TEXT_LENGTH = 100_000;
+
+/**
+ * Validates the source file fields of a flashcard generation request
+ * (files, fileName, fileExtension, pageRange, section, sourceText and chunked).
+ *
+ * @function validateSourceFiles
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the fields are valid.
+ */
+const validateSourceFiles = (body) => {
+    const { files, fileName, fileExtension } = body;
+
+    if (files !== undefined && (!Array.isArray(files) || files.length === 0 || files.length > MAX_SOURCE_FILES)) {
+        return {
+            status: 422,
+            error: 'INVALID_FILES',
+            message: `files must be an array of 1 to ${MAX_SOURCE_FILES} items.`
+        };
+    }
+
+    for (const file of files ?? []) {
+        if (typeof file?.fileName !== 'string' || !file.fileName.trim()) {
+            return {
+                status: 422,
+                error: 'INVALID_FILES',
+                message: 'Every item of files requires a fileName.'
+            };
+        }
+        if (typeof file.fileExtension !== 'string' || !file.fileExtension.trim()) {
+            return {
+                status: 422,
+                error: 'MISSING_FILE_EXTENSION',
+                message: `File extension is a required field, missing for file: ${file.fileName}`
+            };
+        }
+    }
+
+    const sourceExtensions = files?.map(file => file.fileExtension) ?? (fileExtension?.trim() ? [fileExtension] : []);
+    const unsupportedExtension = sourceExtensions.find(extension => !isSupportedSourceExtension(extension));
+
+    if (unsupportedExtension !== undefined) {
+        return {
+            status: 415,
+            error: 'UNSUPPORTED_FILE_TYPE',
+            message: `Unsupported file type: ${unsupportedExtension}. Supported types are pdf, docx, pptx, md, html and txt.`
+        };
+    }
+
+    // Page ranges and sections can only be selected from PDF files
+    const pageSelections = files ?? (fileName?.trim() ? [{ fileExtension, pageRange: body.pageRange, section: body.section }] : []);
+
+    for (const selection of pageSelections) {
+        if (selection.pageRange === undefined && selection.section === undefined) continue;
+
+        if (normalizeExtension(selection.fileExtension) !== 'pdf') {
+            return {
+                status: 422,
+                error: 'PAGE_SELECTION_NOT_SUPPORTED',
+                message: 'pageRange and section can only be used with PDF files.'
+            };
+        }
+        if (selection.pageRange !== undefined) {
+            try {
+                parsePageRange(selection.pageRange);
+            } catch (error) {
+                if (error.message === 'PAGE_RANGE_TOO_LARGE') {
+                    return {
+                        status: 422,
+                        error: 'PAGE_RANGE_TOO_LARGE',
+                        message: `pageRange cannot span more than ${MAX_PAGE_RANGE_PAGES} pages.`
+                    };
+                }
+                return {
+                    status: 422,
+                    error: 'INVALID_PAGE_RANGE',
+                    message: 'pageRange must be a list of pages and ranges such as "12-30,45".'
+                };
+            }
+        }
+        if (selection.section !== undefined && (typeof selection.section !== 'string' || !selection.section.trim())) {
+            return {
+                status: 422,
+                error: 'INVALID_SECTION',
+                message: 'section must be a non-empty heading or section name.'
+            };
+        }
+    }
+
+    if (!files && fileName?.trim() && !fileExtension?.trim()) {
+        return {
+            status: 422,
+            error: 'MISSING_FILE_EXTENSION',
+            message: 'File extension is a required field if file is given.'
+        };
+    }
+
+    if (body.sourceText !== undefined && (typeof body.sourceText !== 'string' || !body.sourceText.trim())) {
+        return {
+            status: 422,
+            error: 'INVALID_SOURCE_TEXT',
+            message: 'sourceText must be a non-empty string.'
+        };
+    }
+
+    if (body.sourceText?.length > MAX_SOURCE_TEXT_LENGTH) {
+        return {
+            status: 413,
+            error: 'SOURCE_TEXT_TOO_LONG',
+            message: `sourceText exceeds the limit of ${MAX_SOURCE_TEXT_LENGTH} characters.`
+        };
+    }
+
+    const isThereFile = files?.length > 0 || fileName?.trim() || body.sourceText !== undefined;
+
+    if (body.chunked !== undefined && typeof body.chunked !== 'boolean') {
+        return {
+            status: 422,
+            error: 'INVALID_CHUNKED_FLAG',
+            message: 'chunked must be a boolean.'
+        };
+    }
+
+    if (body.chunked && !isThereFile) {
+        return {
+            status: 422,
+            error: 'CHUNKED_MODE_REQUIRES_FILE',
+            message: 'chunked mode can only be used when a file or sourceText is given.'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validates the optional generation options shared by the deck generation and the append request.
+ *
+ * @function validateGenerationOptions
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the options are valid.
+ */
+const validateGenerationOptions = (body) => {
+    if (body.difficulty !== undefined && !DIFFICULTY_LEVELS.includes(body.difficulty)) {
+        return {
+            status: 422,
+            error: 'INVALID_DIFFICULTY',
+            message: `difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}.`
+        };
+    }
+
+    if (body.language !== undefined && !SUPPORTED_LANGUAGES[body.language]) {
+        return {
+            status: 422,
+            error: 'INVALID_LANGUAGE',
+            message: `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`
+        };
+    }
+
+    if (body.cardType !== undefined && !CARD_TYPES.includes(body.cardType)) {
+        return {
+            status: 422,
+            error: 'INVALID_CARD_TYPE',
+            message: `cardType must be one of: ${CARD_TYPES.join(', ')}.`
+        };
+    }
+
+    if (body.extras !== undefined && (
+        !Array.isArray(body.extras) ||
+        body.extras.some(extra => !CARD_EXTRAS.includes(extra)) ||
+        new Set(body.extras).size !== body.extras.length
+    )) {
+        return {
+            status: 422,
+            error: 'INVALID_EXTRAS',
+            message: `extras must be a list of distinct values out of: ${CARD_EXTRAS.join(', ')}.`
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validates the body of a flashcard generation request.
+ *
+ * @function validateFlashcardRequest
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the body is valid.
+ */
+const validateFlashcardRequest = (body) => {
+    const { subject, topic, files, fileName, sourceText, numberOfFlashcards, title, description, coverPhoto } = body;
+
+    const sourceError = validateSourceFiles(body) ?? validateGenerationOptions(body);
+    if (sourceError) return sourceError;
+
+    const isThereFile = files?.length > 0 || fileName?.trim() || sourceText !== undefined;
+
+    // Validate input: Either file (or pasted text) or both subject or topic is required
+    if (!isThereFile && (!subject?.trim() || !topic?.trim())) {
+        return {
+            status: 400,
+            error: 'LACK_OF_INFO_AND_CONTEXT',
+            message: 'Subject or topic is required if no file was given as a ' +
+            'basis for what the deck generated is all about'
+        };
+    }
+
+    // Missing or blank titles and descriptions are generated by the service
+    if ((title != null && typeof title !== 'string') || (description != null && typeof description !== 'string')) {
+        return {
+            status: 422,
+            error: 'INVALID_DECK_FIELDS',
+            message: 'title and description must be strings if given.'
+        };
+    }
+
+    // Validate the number of flashcards
+    if (!isValidInteger(numberOfFlashcards)) {
+        return {
+            status: 422,
+            error: 'INVALID_NUMBER',
+            message: 'Invalid number of flashcards. It must be between 10 and 50.'
+        };
+    }
+
+    const coverPhotoRegex = /^https:\/\/firebasestorage\.googleapis\.com\/v0\/b\/deck-f429c\.appspot\.com\/o\/deckCovers%2F[\w-]+%2F[\w-]+(?:\.(png|jpg|jpeg|webp))?\?alt=media&token=[\w-]+$/;
+
+    if (coverPhoto && !coverPhotoRegex.test(coverPhoto)) {
+        return {
+            status: 400,
+            error: 'INVALID_COVER_PHOTO_URL',
+            message: 'coverPhoto must be a valid Firebase Storage image URL'
+        };
+    }
+
+    if (body.preview !== undefined && typeof body.preview !== 'boolean') {
+        return {
+            status: 422,
+            error: 'INVALID_PREVIEW_FLAG',
+            message: 'preview must be a boolean.'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Validates the body of a request that appends flashcards to an existing deck.
+ * The deck itself provides the context, so subject, topic and files are all optional.
+ *
+ * @function validateAppendRequest
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the body is valid.
+ */
+const validateAppendRequest = (body) => {
+    const { deckId, numberOfFlashcards } = body;
+
+    if (typeof deckId !== 'string' || !deckId.trim()) {
+        return {
+            status: 400,
+            error: 'MISSING_REQUIRED_FIELD_DECK_ID',
+            message: 'request is missing the required field: deckId'
+        };
+    }
+
+    const sourceError = validateSourceFiles(body) ?? validateGenerationOptions(body);
+    if (sourceError) return sourceError;
+
+    if (!isValidInteger(numberOfFlashcards, 1, 50)) {
+        return {
+            status: 422,
+            error: 'INVALID_NUMBER',
+            message: 'Invalid number of flashcards. It must be between 1 and 50.'
+        };
+    }
+
+    return null;
+}
 
 /**
  * Handles AI prompt requests using Gemini AI.
- * 
+ *
+ * The generation itself runs as a background job, the response only carries the job ID
+ * that can be polled through GET /v2/deck/jobs/:jobId.
+ *
  * @async
  * @function geminiFlashcardController
  * @param {Object} req - Express request object.
  * @param {Object} res - Express response object.
- * @returns {Object} JSON response with generated prompts or an error message.
+ * @returns {Object} JSON response with the queued job ID or an error message.
  */
 export const geminiFlashcardController = async (req, res) => {
-    const { subject, topic, fileName, numberOfFlashcards, title, description, coverPhoto } = req.body;
     const userID = req.user?.user_id;
 
-    // Validate input: Either file or both subject or topic is required
-    if (!fileName?.trim() && (!subject?.trim() || !topic?.trim())) {
-        return res.status(400).json({
-                status: 400,
-                request_owner_id: userID,
-                message: 'An error occured during the generation of deck',
-                data: {
-                    error: 'LACK_OF_INFO_AND_CONTEXT',
-                    message: 'Subject or topic is required if no file was given as a ' +
-                    'basis for what the deck generated is all about'
-                }
-            });
+    const validationError = validateFlashcardRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userID,
+            message: 'An error occured during the generation of deck',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
     }
 
-    if (!title?.trim()) {
-        return res.status(400).json({
-                status: 400,
-                request_owner_id: userID,
-                message: 'An error occured during the generation of deck',
-                data: {
-                    error: 'MISSING_REQUIRED_FIELD_TITLE',
-                    message: 'request is missing the required field: title'
-                }
-            });
+    try {
+        const jobId = await queueGenerationJob(JOB_TYPES.FLASHCARDS, userID, req.body);
+
+        return res.status(202).json({
+            status: 202,
+            request_owner_id: userID,
+            message: 'Deck generation has been queued',
+            data: {
+                job_id: jobId,
+                status: JOB_STATUS.QUEUED
+            }
+        });
+    } catch (error) {
+        console.error("Unexpected error while queueing deck generation:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userID,
+            message: 'An error occured during the generation of deck',
+            data: {
+                error: 'JOB_QUEUE_FAILURE',
+                message: 'The generation job could not be queued. Please try again later'
+            }
+        });
     }
+}
 
-    if (!description?.trim()) {
-        return res.status(400).json({
-                status: 400,
-                request_owner_id: userID,
-                message: 'An error occured during the generation of deck',
-                data: {
-                    error: 'MISSING_REQUIRED_FIELD_DESCRIPTION',
-                    message: 'request is missing the required field: description'
-                }
-            });
+/**
+ * Validates the body of a request that improves a single flashcard.
+ *
+ * @function validateImproveRequest
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the body is valid.
+ */
+const validateImproveRequest = (body) => {
+    const { deckId, flashcardId, mode, commit } = body;
+
+    if (typeof deckId !== 'string' || !deckId.trim()) {
+        return {
+            status: 400,
+            error: 'MISSING_REQUIRED_FIELD_DECK_ID',
+            message: 'request is missing the required field: deckId'
+        };
     }
 
-    // Validate the number of flashcards
-    if (!isValidInteger(numberOfFlashcards)) {
-        return res.status(422).json({ 
+    if (typeof flashcardId !== 'string' || !flashcardId.trim()) {
+        return {
+            status: 400,
+            error: 'MISSING_REQUIRED_FIELD_FLASHCARD_ID',
+            message: 'request is missing the required field: flashcardId'
+        };
+    }
+
+    if (!FLASHCARD_IMPROVEMENT_MODES.includes(mode)) {
+        return {
+            status: 422,
+            error: 'INVALID_MODE',
+            message: `mode must be one of: ${FLASHCARD_IMPROVEMENT_MODES.join(', ')}.`
+        };
+    }
+
+    if (commit !== undefined && typeof commit !== 'boolean') {
+        return {
             status: 422,
+            error: 'INVALID_COMMIT_FLAG',
+            message: 'commit must be a boolean.'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Handles requests to append AI-generated flashcards to an existing deck of the requesting user.
+ *
+ * Like the deck generation, the generation runs as a background job that can be polled
+ * through GET /v2/deck/jobs/:jobId.
+ *
+ * @async
+ * @function geminiAppendFlashcardsController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the queued job ID or an error message.
+ */
+export const geminiAppendFlashcardsController = async (req, res) => {
+    const userID = req.user?.user_id;
+
+    const validationError = validateAppendRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
             request_owner_id: userID,
-            message: 'An error occured during the generation of deck',
+            message: 'An error occured while adding flashcards to the deck',
             data: {
-                error: 'INVALID_NUMBER',
-                message: 'Invalid number of flashcards. It must be between 10 and 50.'
+                error: validationError.error,
+                message: validationError.message
             }
         });
     }
 
-    const coverPhotoRegex = /^https:\/\/firebasestorage\.googleapis\.com\/v0\/b\/deck-f429c\.appspot\.com\/o\/deckCovers%2F[\w-]+%2F[\w-]+(?:\.(png|jpg|jpeg|webp))?\?alt=media&token=[\w-]+$/;
+    try {
+        const jobId = await queueGenerationJob(JOB_TYPES.FLASHCARDS_APPEND, userID, req.body);
 
-    if (coverPhoto && !coverPhotoRegex.test(coverPhoto)) {
-        return res.status(400).json({
+        return res.status(202).json({
+            status: 202,
+            request_owner_id: userID,
+            message: 'Flashcard generation has been queued',
+            data: {
+                job_id: jobId,
+                status: JOB_STATUS.QUEUED
+            }
+        });
+    } catch (error) {
+        console.error("Unexpected error while queueing flashcard generation:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userID,
+            message: 'An error occured while adding flashcards to the deck',
+            data: {
+                error: 'JOB_QUEUE_FAILURE',
+                message: 'The generation job could not be queued. Please try again later'
+            }
+        });
+    }
+}
+
+/**
+ * Validates the body of a request that commits the draft of a previewed deck.
+ * Whether the referenced cards are part of the draft is checked by the service.
+ *
+ * @function validateCommitDraftRequest
+ * @param {Object} body - The request body.
+ * @returns {Object|null} An object with the status, error code and message of the first failed check, or null if the body is valid.
+ */
+const validateCommitDraftRequest = (body) => {
+    const { draftId, edits, removals, order, title, description } = body;
+    const isIdList = (value) => Array.isArray(value) && value.every(cardId => typeof cardId === 'string' && cardId.trim());
+    const isOptionalText = (value) => value === undefined || (typeof value === 'string' && value.trim() !== '');
+
+    if (typeof draftId !== 'string' || !draftId.trim()) {
+        return {
             status: 400,
+            error: 'MISSING_REQUIRED_FIELD_DRAFT_ID',
+            message: 'request is missing the required field: draftId'
+        };
+    }
+
+    if (edits !== undefined && (!Array.isArray(edits) || !edits.every(edit =>
+        typeof edit?.id === 'string' && isOptionalText(edit.term) && isOptionalText(edit.definition)
+    ))) {
+        return {
+            status: 422,
+            error: 'INVALID_EDITS',
+            message: 'edits must be an array of { id, term, definition } with non-empty texts.'
+        };
+    }
+
+    if (removals !== undefined && !isIdList(removals)) {
+        return {
+            status: 422,
+            error: 'INVALID_REMOVALS',
+            message: 'removals must be an array of card IDs.'
+        };
+    }
+
+    if (order !== undefined && (!isIdList(order) || new Set(order).size !== order.length)) {
+        return {
+            status: 422,
+            error: 'INVALID_ORDER',
+            message: 'order must be an array of unique card IDs.'
+        };
+    }
+
+    if (!isOptionalText(title) || !isOptionalText(description)) {
+        return {
+            status: 422,
+            error: 'INVALID_DECK_FIELDS',
+            message: 'title and description must be non-empty strings if given.'
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Handles requests to commit the draft of a previewed deck.
+ *
+ * Persists and embeds the deck with the user's edits, removals and order applied.
+ *
+ * @async
+ * @function commitDeckDraftController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the new deck ID or an error message.
+ */
+export const commitDeckDraftController = async (req, res) => {
+    const userID = req.user?.user_id;
+
+    const validationError = validateCommitDraftRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
             request_owner_id: userID,
-            message: 'An error occurred during the generation of deck',
+            message: 'An error occured while committing the draft',
             data: {
-                error: 'INVALID_COVER_PHOTO_URL',
-                message: 'coverPhoto must be a valid Firebase Storage image URL'
+                error: validationError.error,
+                message: validationError.message
             }
-    });
+        });
+    }
+
+    try {
+        const result = await commitDeckDraftService(req, userID);
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error while committing the draft:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userID,
+            message: 'An error occured while committing the draft',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        });
+    }
 }
 
-    const result = await geminiFlashcardService(req, userID);
-    console.log(result);
-    
-    res.status(result.status).json(result);
-    return;
+/**
+ * Handles requests to improve a single flashcard of a deck.
+ *
+ * Responds with the original and the proposed flashcard, the flashcard is only replaced if `commit` is set.
+ *
+ * @async
+ * @function geminiImproveFlashcardController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the proposed flashcard or an error message.
+ */
+export const geminiImproveFlashcardController = async (req, res) => {
+    const userID = req.user?.user_id;
+
+    const validationError = validateImproveRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userID,
+            message: 'An error occured while improving the flashcard',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
+    }
+
+    try {
+        const result = await geminiImproveFlashcardService(req, userID);
+        return res.status(result.status).json(result);
+    } catch (error) {
+        console.error("Unexpected error while improving the flashcard:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userID,
+            message: 'An error occured while improving the flashcard',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        });
+    }
+}
+
+/**
+ * Handles AI prompt requests using Gemini AI and streams the generation progress
+ * as Server-Sent Events (text/event-stream).
+ *
+ * Emitted events:
+ * - progress: { step, ...details } for every stage of the generation
+ *   (file_downloaded, file_uploaded, file_active, chunks_prepared, chunk_generated, flashcards_generated, flashcards_deduplicated,
+ *   citations_verified, metadata_generated, deck_embedded, deck_saved, draft_saved, retry)
+ * - complete: { deck_id, duplicates_removed, quality_report } once the deck was persisted, or
+ *   { draft_id, expires_at, flashcards, duplicates_removed, quality_report } once the draft of a preview was stored
+ * - error: { error, message } if the generation has failed
+ *
+ * @async
+ * @function geminiFlashcardStreamController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {void} Ends the event stream once the generation has finished.
+ */
+export const geminiFlashcardStreamController = async (req, res) => {
+    const userID = req.user?.user_id;
+
+    // Invalid requests are rejected before the stream is opened
+    const validationError = validateFlashcardRequest(req.body);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userID,
+            message: 'An error occured during the generation of deck',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
+    }
+
+    // The generation keeps running if the client goes away, only the writes are stopped
+    const stream = openEventStream(res, STREAM_HEARTBEAT_INTERVAL);
+
+    try {
+        const result = await geminiFlashcardService(req, userID, (step, details = {}) => {
+            stream.send('progress', { step: step, ...details });
+        });
+
+        if (result.status === 200) {
+            stream.send('complete', {
+                status: result.status,
+                request_owner_id: userID,
+                ...result.data
+            });
+        } else {
+            stream.send('error', {
+                status: result.status,
+                request_owner_id: userID,
+                error: result.data?.error ?? 'UNKNOWN_SERVER_ERROR',
+                message: result.data?.message ?? result.message
+            });
+        }
+    } catch (error) {
+        console.error("Unexpected error in streamed deck generation:", error);
+        stream.send('error', {
+            status: 500,
+            request_owner_id: userID,
+            error: 'UNKNOWN_SERVER_ERROR',
+            message: 'An unknown error was encountered. Please try again later'
+        });
+    } finally {
+        stream.close();
+    }
 }
@@ -0,0 +1,47 @@
+/**
+ * Deck API - Job Controller
+ * 
+ * @file jobController.js
+ * @description Handles requests for the status of asynchronous generation jobs.
+ * 
+ * This module provides the controller used by clients to poll the progress and outcome
+ * of queued flashcard, quiz and moderation jobs.
+ * 
+ * @module jobController
+ * 
+ * @requires ../services/jobService.js
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { getGenerationJobService } from '../services/jobService.js';
+
+/**
+ * Handles requests for the status of a generation job.
+ * 
+ * @async
+ * @function getJobStatusController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the job status or an error message.
+ */
+export const getJobStatusController = async (req, res) => {
+    const { jobId } = req.params;
+    const userId = req.user?.user_id;
+
+    if (!jobId || !jobId.trim()) {
+        return res.status(400).json(
+            {
+                status: 400,
+                request_owner_id: userId,
+                message: "The parameter 'jobId' can't be empty or null",
+                data: null
+            }
+        );
+    }
+
+    const result = await getGenerationJobService(jobId, userId);
+    return res.status(result.status).json(result);
+}
@@ -9,14 +9,14 @@
  * 
  * @module moderationController
  * 
- * @requires ../services/moderationService.js
+ * @requires ../services/jobService.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-02-22
+ * @updated 2026-10-18
  */
 
-import { geminiModerationService } from '../services/moderationService.js';
+import { queueGenerationJob, JOB_TYPES, JOB_STATUS } from '../services/jobService.js';
 
 export const geminiModerationController = async (req, res) => {
     console.log("this is moderation entered");
@@ -35,9 +35,19 @@ export const geminiModerationController = async (req, res) => {
     }
 
     try {
-        const result = await geminiModerationService(deckId, userId);
-        console.log("this is moderation result" + result);
-        return res.status(result.status).send(result);
+        const jobId = await queueGenerationJob(JOB_TYPES.MODERATION, userId, { deckId: deckId });
+
+        return res.status(202).json(
+            {
+                status: 202,
+                request_owner_id: userId,
+                message: "Moderation review has been queued",
+                data: {
+                    job_id: jobId,
+                    status: JOB_STATUS.QUEUED
+                }
+            }
+        );
     } catch (error) {
         console.error("Unexpected error in moderation:", error);
         return res.status(500).json(
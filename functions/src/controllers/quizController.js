@@ -4,22 +4,26 @@
  * @file quizController.js
  * @description Handles AI quiz generation requests using Gemini AI.
  * 
- * This module provides controllers for processing AI-based quiz generation requests. 
- * It validates user input and interacts with the respective AI services.
+ * This module provides controllers for processing AI-based quiz generation requests and the submission of quiz
+ * attempts. It validates user input and interacts with the respective services.
  * 
  * @module moderationController
  * 
- * @requires ../services/quizService.js
+ * @requires ../services/jobService.js
+ * @requires ../services/quizAttemptService.js
+ * @requires ../utils/utils.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-27
- * @updated 2025-02-27
+ * @updated 2026-10-18
  */
 
-import { geminiQuizService } from '../services/quizService.js';
+import { queueGenerationJob, JOB_TYPES, JOB_STATUS } from '../services/jobService.js';
+import { submitQuizAttemptService } from '../services/quizAttemptService.js';
+import { QUIZ_TYPES } from '../utils/utils.js';
 
 export const geminiQuizController = async (req, res) => {
-    const { deckId, numOfQuiz } = req.body;
+    const { deckId, numOfQuiz, quizType = 'multiple-choice' } = req.body;
     const userId = req.user?.user_id;
     const limit = numOfQuiz ? parseInt(numOfQuiz, 10) : null;
 
@@ -46,19 +50,111 @@ export const geminiQuizController = async (req, res) => {
         }
       }
 
+    if (!QUIZ_TYPES.includes(quizType)) {
+        return res.status(422).json({
+            status: 422,
+            request_owner_id: userId,
+            message: 'An error occured during quiz generation',
+            data: {
+                error: 'INVALID_QUIZ_TYPE',
+                message: `quizType must be one of: ${QUIZ_TYPES.join(', ')}.`
+            }
+        });
+    }
+
     try {
-        const result = await geminiQuizService(deckId, userId, limit);
+        const jobId = await queueGenerationJob(JOB_TYPES.QUIZ, userId, { deckId: deckId, numOfQuiz: limit, quizType: quizType });
 
-        return res.status(result.status).send(result);
-    } catch (error) {
-        console.error("Unexpected error in quiz generation:", error);
-        return res.status(500).json(
+        return res.status(202).json(
             {
-                status: 400,
+                status: 202,
                 request_owner_id: userId,
-                message: "An unexpected error occurred during guiz generation.",
-                data: null
+                message: "Quiz generation has been queued",
+                data: {
+                    job_id: jobId,
+                    status: JOB_STATUS.QUEUED
+                }
             }
         );
+    } catch (error) {
+        console.error("Unexpected error in quiz generation:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: 'An error occured during quiz generation',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        });
     }
-}
\ No newline at end of file
+}
+/**
+ * Handles requests to submit the answers of a quiz attempt.
+ * The answers are graded against the stored quiz and the graded attempt is returned.
+ *
+ * @async
+ * @function submitQuizAttemptController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the graded attempt or an error message.
+ */
+export const submitQuizAttemptController = async (req, res) => {
+    const { attemptId } = req.params;
+    const { answers } = req.body;
+    const userId = req.user?.user_id;
+
+    const validationError = validateSubmitAttemptRequest(answers);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userId,
+            message: 'An error occured while submitting the quiz attempt',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
+    }
+
+    const result = await submitQuizAttemptService(attemptId, answers, userId);
+    return res.status(result.status).json(result);
+}
+
+/**
+ * Validates the answers of a quiz attempt submission.
+ * Every answer names its question_id and holds a choice_id, an answer or the matches of term IDs to definition IDs.
+ *
+ * @function validateSubmitAttemptRequest
+ * @param {Array<Object>} answers - The submitted answers.
+ * @returns {Object|null} The status, error code and message of the first failed validation, or null if valid.
+ */
+const validateSubmitAttemptRequest = (answers) => {
+    const isValidAnswer = (answer) =>
+        answer !== null && typeof answer === 'object' && !Array.isArray(answer) &&
+        typeof answer.question_id === 'string' && answer.question_id.trim() !== '' &&
+        (answer.choice_id === undefined || typeof answer.choice_id === 'string') &&
+        (answer.answer === undefined || typeof answer.answer === 'string') &&
+        (answer.matches === undefined || (
+            answer.matches !== null && typeof answer.matches === 'object' && !Array.isArray(answer.matches) &&
+            Object.values(answer.matches).every(definitionId => typeof definitionId === 'string')
+        ));
+
+    if (!Array.isArray(answers) || !answers.every(isValidAnswer)) {
+        return {
+            status: 422,
+            error: 'INVALID_ANSWERS',
+            message: 'answers must be an array of objects with a question_id and a choice_id, answer or matches.'
+        };
+    }
+
+    if (new Set(answers.map(answer => answer.question_id)).size !== answers.length) {
+        return {
+            status: 422,
+            error: 'INVALID_ANSWERS',
+            message: 'Every question can only be answered once.'
+        };
+    }
+
+    return null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Deck API - Review Controller
+ *
+ * @file reviewController.js
+ * @description Handles requests related to the spaced-repetition review of flashcards.
+ *
+ * This module provides controllers to record the review of a flashcard and to list the review queue of a user.
+ *
+ * @module reviewController
+ *
+ * @requires ../services/reviewService.js
+ * @requires ../models/spacedRepetition.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { getDueReviewsService, reviewFlashcardService, MAX_DUE_LIMIT, MAX_NEW_LIMIT } from '../services/reviewService.js';
+import { REVIEW_GRADES } from '../models/spacedRepetition.js';
+
+/**
+ * Lowest and highest offset of a time zone from UTC in minutes.
+ */
+const MIN_UTC_OFFSET = -12 * 60;
+const MAX_UTC_OFFSET = 14 * 60;
+
+/**
+ * Handles requests to record the review of a flashcard.
+ *
+ * @async
+ * @function reviewFlashcardController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the new learning state of the flashcard or an error message.
+ */
+export const reviewFlashcardController = async (req, res) => {
+    const { deckId, flashcardId } = req.params;
+    const { grade } = req.body;
+    const userId = req.user?.user_id;
+
+    if (!REVIEW_GRADES.includes(grade)) {
+        return res.status(422).json({
+            status: 422,
+            request_owner_id: userId,
+            message: 'An error occured while recording the review',
+            data: {
+                error: 'INVALID_GRADE',
+                message: `grade must be one of: ${REVIEW_GRADES.join(', ')}.`
+            }
+        });
+    }
+
+    const result = await reviewFlashcardService(deckId, flashcardId, grade, userId);
+    return res.status(result.status).json(result);
+}
+
+/**
+ * Handles requests for the review queue of a user, across all decks or for a single deck.
+ *
+ * @async
+ * @function getDueReviewsController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the review queue or an error message.
+ */
+export const getDueReviewsController = async (req, res) => {
+    const { deckId, limit, newLimit, utcOffset } = req.query;
+    const userId = req.user?.user_id;
+
+    const validationError = validateDueReviewsRequest(deckId, limit, newLimit, utcOffset);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userId,
+            message: 'An error occured while retrieving the review queue',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
+    }
+
+    const result = await getDueReviewsService({
+        ...(deckId && { deckId: deckId }),
+        ...(limit !== undefined && { limit: Number(limit) }),
+        ...(newLimit !== undefined && { newLimit: Number(newLimit) }),
+        ...(utcOffset !== undefined && { utcOffset: Number(utcOffset) }),
+    }, userId);
+
+    return res.status(result.status).json(result);
+}
+
+/**
+ * Validates the query parameters of a review queue request.
+ *
+ * @function validateDueReviewsRequest
+ * @param {string} [deckId] - The ID of the deck.
+ * @param {string} [limit] - The maximum number of due flashcards.
+ * @param {string} [newLimit] - The maximum number of never reviewed flashcards.
+ * @param {string} [utcOffset] - The offset of the user's time zone from UTC in minutes.
+ * @returns {Object|null} The status, error code and message of the first failed validation, or null if valid.
+ */
+const validateDueReviewsRequest = (deckId, limit, newLimit, utcOffset) => {
+    if (deckId !== undefined && (typeof deckId !== 'string' || !deckId.trim())) {
+        return {
+            status: 422,
+            error: 'INVALID_DECK_ID',
+            message: 'deckId must be the ID of a deck.'
+        };
+    }
+
+    if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_DUE_LIMIT)) {
+        return {
+            status: 422,
+            error: 'INVALID_LIMIT',
+            message: `limit must be an integer between 1 and ${MAX_DUE_LIMIT}.`
+        };
+    }
+
+    if (newLimit !== undefined && (!/^\d+$/.test(newLimit) || Number(newLimit) > MAX_NEW_LIMIT)) {
+        return {
+            status: 422,
+            error: 'INVALID_NEW_LIMIT',
+            message: `newLimit must be an integer between 0 and ${MAX_NEW_LIMIT}.`
+        };
+    }
+
+    if (utcOffset !== undefined && (!/^-?\d+$/.test(utcOffset) || Number(utcOffset) < MIN_UTC_OFFSET || Number(utcOffset) > MAX_UTC_OFFSET)) {
+        return {
+            status: 422,
+            error: 'INVALID_UTC_OFFSET',
+            message: `utcOffset must be an integer number of minutes between ${MIN_UTC_OFFSET} and ${MAX_UTC_OFFSET}.`
+        };
+    }
+
+    return null;
+}
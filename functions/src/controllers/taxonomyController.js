@@ -0,0 +1,164 @@
+/**
+ * Deck API - Taxonomy Controller
+ *
+ * @file taxonomyController.js
+ * @description Handles requests related to the subject taxonomy of decks.
+ *
+ * This module provides controllers to list the taxonomy, to list the decks of a taxonomy node
+ * and to queue the backfill job that classifies existing decks.
+ *
+ * @module taxonomyController
+ *
+ * @requires ../services/taxonomyService.js
+ * @requires ../services/jobService.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { getSubjectTaxonomyService, listDecksByTaxonomyService, MAX_LIST_LIMIT } from '../services/taxonomyService.js';
+import { queueGenerationJob, JOB_TYPES, JOB_STATUS } from '../services/jobService.js';
+
+/**
+ * Scopes of the deck list: the public decks or the decks of the requesting user.
+ */
+const LIST_SCOPES = ['public', 'mine'];
+
+/**
+ * Handles requests for the subject taxonomy.
+ *
+ * @function getSubjectTaxonomyController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the taxonomy version and nodes.
+ */
+export const getSubjectTaxonomyController = (req, res) => {
+    const result = getSubjectTaxonomyService(req.user?.user_id);
+    return res.status(result.status).json(result);
+}
+
+/**
+ * Handles requests to list the decks classified into a taxonomy node or one of its descendants.
+ *
+ * @async
+ * @function listDecksByTaxonomyController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with a page of decks or an error message.
+ */
+export const listDecksByTaxonomyController = async (req, res) => {
+    const { nodeId } = req.params;
+    const { scope = 'public', limit, cursor } = req.query;
+    const userId = req.user?.user_id;
+
+    const validationError = validateListDecksRequest(scope, limit, cursor);
+    if (validationError) {
+        return res.status(validationError.status).json({
+            status: validationError.status,
+            request_owner_id: userId,
+            message: 'An error occured while listing the decks of the taxonomy node',
+            data: {
+                error: validationError.error,
+                message: validationError.message
+            }
+        });
+    }
+
+    const result = await listDecksByTaxonomyService(nodeId, {
+        scope: scope,
+        ...(limit !== undefined && { limit: Number(limit) }),
+        ...(cursor && { cursor: cursor }),
+    }, userId);
+
+    return res.status(result.status).json(result);
+}
+
+/**
+ * Handles requests to classify every deck that is not classified with the current taxonomy version.
+ * Only available to admins. The backfill runs as a background job that can be polled through
+ * GET /v2/deck/jobs/:jobId and queues a continuation job if it could not handle every deck.
+ *
+ * @async
+ * @function backfillTaxonomyController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the queued job ID or an error message.
+ */
+export const backfillTaxonomyController = async (req, res) => {
+    const userId = req.user?.user_id;
+
+    if (req.user?.admin !== true) {
+        return res.status(403).json({
+            status: 403,
+            request_owner_id: userId,
+            message: 'An error occured while queueing the taxonomy backfill',
+            data: {
+                error: 'FORBIDDEN',
+                message: 'Only admins can run the taxonomy backfill.'
+            }
+        });
+    }
+
+    try {
+        const jobId = await queueGenerationJob(JOB_TYPES.TAXONOMY_BACKFILL, userId, { cursor: null });
+
+        return res.status(202).json({
+            status: 202,
+            request_owner_id: userId,
+            message: 'Taxonomy backfill has been queued',
+            data: {
+                job_id: jobId,
+                status: JOB_STATUS.QUEUED
+            }
+        });
+    } catch (error) {
+        console.error("Unexpected error while queueing the taxonomy backfill:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: 'An error occured while queueing the taxonomy backfill',
+            data: {
+                error: 'JOB_QUEUE_FAILURE',
+                message: 'The taxonomy backfill could not be queued. Please try again later'
+            }
+        });
+    }
+}
+
+/**
+ * Validates the query parameters of a deck list request.
+ *
+ * @function validateListDecksRequest
+ * @param {string} scope - The list scope.
+ * @param {string} [limit] - The maximum number of decks.
+ * @param {string} [cursor] - The cursor of the page.
+ * @returns {Object|null} The status, error code and message of the first failed validation, or null if valid.
+ */
+const validateListDecksRequest = (scope, limit, cursor) => {
+    if (!LIST_SCOPES.includes(scope)) {
+        return {
+            status: 422,
+            error: 'INVALID_SCOPE',
+            message: `scope must be one of: ${LIST_SCOPES.join(', ')}.`
+        };
+    }
+
+    if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_LIST_LIMIT)) {
+        return {
+            status: 422,
+            error: 'INVALID_LIMIT',
+            message: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}.`
+        };
+    }
+
+    if (cursor !== undefined && (typeof cursor !== 'string' || !cursor.trim())) {
+        return {
+            status: 422,
+            error: 'INVALID_CURSOR',
+            message: 'cursor must be the next_cursor of the previous page.'
+        };
+    }
+
+    return null;
+}
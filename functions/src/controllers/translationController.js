@@ -0,0 +1,85 @@
+/**
+ * Deck API - Translation Controller
+ * 
+ * @file translationController.js
+ * @description Handles requests to translate a deck into another language.
+ * 
+ * This module validates the translation request and queues the translation
+ * as an asynchronous job.
+ * 
+ * @module translationController
+ * 
+ * @requires ../services/jobService.js
+ * @requires ../utils/utils.js
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { queueGenerationJob, JOB_TYPES, JOB_STATUS } from '../services/jobService.js';
+import { SUPPORTED_LANGUAGES } from '../utils/utils.js';
+
+/**
+ * Handles requests to translate a deck. The translated copy is created by a background job
+ * that can be polled through GET /v2/deck/jobs/:jobId.
+ * 
+ * @async
+ * @function translateDeckController
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @returns {Object} JSON response with the queued job ID or an error message.
+ */
+export const translateDeckController = async (req, res) => {
+    const { deckId, language } = req.body;
+    const userId = req.user?.user_id;
+
+    if (typeof deckId !== 'string' || !deckId.trim()) {
+        return res.status(400).json({
+            status: 400,
+            request_owner_id: userId,
+            message: 'An error occured during the translation of the deck',
+            data: {
+                error: 'MISSING_REQUIRED_FIELD_DECK_ID',
+                message: 'request is missing the required field: deckId'
+            }
+        });
+    }
+
+    if (!SUPPORTED_LANGUAGES[language]) {
+        return res.status(422).json({
+            status: 422,
+            request_owner_id: userId,
+            message: 'An error occured during the translation of the deck',
+            data: {
+                error: 'INVALID_LANGUAGE',
+                message: `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`
+            }
+        });
+    }
+
+    try {
+        const jobId = await queueGenerationJob(JOB_TYPES.TRANSLATION, userId, { deckId: deckId, language: language });
+
+        return res.status(202).json({
+            status: 202,
+            request_owner_id: userId,
+            message: 'Deck translation has been queued',
+            data: {
+                job_id: jobId,
+                status: JOB_STATUS.QUEUED
+            }
+        });
+    } catch (error) {
+        console.error("Unexpected error while queueing the deck translation:", error);
+        return res.status(500).json({
+            status: 500,
+            request_owner_id: userId,
+            message: 'An error occured during the translation of the deck',
+            data: {
+                error: 'JOB_QUEUE_FAILURE',
+                message: 'The translation job could not be queued. Please try again later'
+            }
+        });
+    }
+}
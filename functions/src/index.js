@@ -9,6 +9,11 @@
  * - /prompt: Handles AI prompt-related requests.
  * - /response: Handles AI response-related requests.
  * - /hi: Handles requests that checks if the server or API is up.
+ * - /jobs: Handles polling of asynchronous generation jobs.
+ * - /translate: Handles translation of decks into other languages.
+ * - /taxonomy: Handles the subject taxonomy and the listing of decks by taxonomy node.
+ * - /quiz/attempts: Handles the submission and grading of quiz attempts.
+ * - /reviews: Handles the spaced-repetition review of flashcards and the review queue.
  * 
  * Middleware:
  * - express.json(): Parses incoming request bodies in JSON format.
@@ -18,6 +23,9 @@
  * 
  * Functions:
  * - errorHandler: Middleware function for error handling.
+ * - deck_ai_job_worker: Firestore trigger that runs queued generation jobs.
+ * - deck_ai_taxonomy_worker: Firestore trigger that classifies new and edited decks into the subject taxonomy.
+ * - deck_ai_quiz_invalidation_worker: Firestore trigger that marks the quiz questions of edited and deleted flashcards as stale.
  * 
  * Server:
  * - Listens on port 3000. (Depending on env configuration)
@@ -28,13 +36,21 @@
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-04-16
+ * @updated 2026-10-18
  */
 import * as functions from "firebase-functions";
 import express from "express";
 import flashcardRoute from './routes/flashcardRoute.js';
 import moderationRoute from './routes/moderationRoute.js'
 import quizRoute from './routes/quizRoute.js'
+import quizAttemptRoute from './routes/quizAttemptRoute.js';
+import jobRoute from './routes/jobRoute.js';
+import translationRoute from './routes/translationRoute.js';
+import taxonomyRoute from './routes/taxonomyRoute.js';
+import reviewRoute from './routes/reviewRoute.js';
+import { runGenerationJob } from './services/jobService.js';
+import { classifyDeckTaxonomy, needsTaxonomyClassification } from './services/taxonomyService.js';
+import { invalidateFlashcardQuestions } from './services/quizService.js';
 import cors from 'cors';
 
 /**
@@ -76,12 +92,17 @@ const app = express();
 // Middleware
 app.use(cors(corsOptions));
 // TODO: Add rate limiter
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // Leaves room for pasted source text
 
 //END POINTS
 app.use('/v2/deck/generate/flashcards', flashcardRoute);
 app.use('/v2/deck/moderate', moderationRoute);
 app.use('/v2/deck/generate/quiz', quizRoute );
+app.use('/v2/deck/quiz/attempts', quizAttemptRoute);
+app.use('/v2/deck/jobs', jobRoute);
+app.use('/v2/deck/translate', translationRoute);
+app.use('/v2/deck/taxonomy', taxonomyRoute);
+app.use('/v2/deck/reviews', reviewRoute);
 
 
 app.get('/v2/deck/hi', async (req, res) => {
@@ -91,3 +112,60 @@ app.get('/v2/deck/hi', async (req, res) => {
 
 export const deck_ai_api = functions.https.onRequest(app);
 
+/**
+ * Background worker for generation jobs.
+ * Runs every job document created in the 'generation_jobs' collection by the generation routes.
+ */
+export const deck_ai_job_worker = functions.firestore.onDocumentCreated(
+    {
+        document: 'generation_jobs/{jobId}',
+        timeoutSeconds: 540,
+        memory: '1GiB',
+    },
+    async (event) => {
+        const snapshot = event.data;
+        if (!snapshot) return;
+
+        await runGenerationJob(event.params.jobId, snapshot.data());
+    }
+);
+
+/**
+ * Background worker for the subject taxonomy.
+ * Classifies decks when they are created, when their title or description changed, or when they were classified
+ * with an older taxonomy version. Writing the classification itself does not classify the deck again.
+ */
+export const deck_ai_taxonomy_worker = functions.firestore.onDocumentWritten(
+    'decks/{deckId}',
+    async (event) => {
+        const before = event.data?.before?.data();
+        const after = event.data?.after?.data();
+        if (!needsTaxonomyClassification(before, after)) return;
+
+        // A failed classification leaves the deck unclassified until the next edit or backfill
+        try {
+            await classifyDeckTaxonomy(event.params.deckId, after);
+        } catch (error) {
+            functions.logger.error(`Failed to classify deck ${event.params.deckId}:`, error);
+        }
+    }
+);
+
+/**
+ * Background worker for quiz questions.
+ * Marks the quiz questions of a flashcard as stale when its term or definition changed or it was deleted,
+ * so they are left out of quizzes and regenerated with the next quiz request.
+ */
+export const deck_ai_quiz_invalidation_worker = functions.firestore.onDocumentWritten(
+    'decks/{deckId}/flashcards/{flashcardId}',
+    async (event) => {
+        const { deckId, flashcardId } = event.params;
+
+        // A failed invalidation keeps the questions in quizzes until the next edit of the flashcard
+        try {
+            await invalidateFlashcardQuestions(deckId, flashcardId, event.data?.before?.data(), event.data?.after?.data());
+        } catch (error) {
+            functions.logger.error(`Failed to invalidate the quiz questions of flashcard ${flashcardId}:`, error);
+        }
+    }
+);
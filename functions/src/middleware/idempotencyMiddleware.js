@@ -0,0 +1,204 @@
+/**
+ * Deck API - Idempotency Middleware
+ *
+ * @file idempotencyMiddleware.js
+ * @description Makes generation requests with an `Idempotency-Key` header safe to retry.
+ *
+ * The first request with a key reserves it for the requesting user and runs as usual, its response is stored
+ * once it was sent. Repeats with the same key within IDEMPOTENCY_WINDOW receive the stored response instead of
+ * running the generation again, or `409 REQUEST_IN_PROGRESS` while the first request is still running.
+ * Reusing a key for a different request fails with `422 IDEMPOTENCY_KEY_MISMATCH`.
+ * Requests without the header are not affected.
+ *
+ * Must run after verifyFirebaseToken, the keys are scoped per user.
+ *
+ * @module idempotencyMiddleware
+ *
+ * @requires ../repositories/idempotencyRepository.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { createHash } from 'node:crypto';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { deleteIdempotencyKey, reserveIdempotencyKey, updateIdempotencyKey } from '../repositories/idempotencyRepository.js';
+
+/**
+ * Time in ms a completed response is replayed for.
+ */
+const IDEMPOTENCY_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Time in ms after which a request that never completed (e.g. a crashed instance) no longer blocks its key.
+ */
+const IN_PROGRESS_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Maximum length of an idempotency key.
+ */
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Maximum size in bytes of a stored response, larger responses are not replayed (Firestore documents are limited to 1 MiB).
+ */
+const MAX_STORED_RESPONSE_BYTES = 900_000;
+
+/**
+ * Express middleware handling the `Idempotency-Key` header.
+ *
+ * Responses with a 5xx status are not stored, so a retry after a server error runs the request again.
+ * If the key store is not available, the request runs without idempotency.
+ *
+ * @async
+ * @function idempotency
+ * @param {Object} req - Express request object.
+ * @param {Object} res - Express response object.
+ * @param {Function} next - Passes the request on to the route handler.
+ * @returns {Promise<void>}
+ */
+export const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+
+    const userID = req.user?.user_id;
+
+    if (!key.trim() || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+        return sendIdempotencyError(res, userID, 400, 'INVALID_IDEMPOTENCY_KEY',
+            `The Idempotency-Key header must be a non-empty string of at most ${MAX_IDEMPOTENCY_KEY_LENGTH} characters.`);
+    }
+
+    const recordId = hash(`${userID}:${key}`);
+    const fingerprint = hash(JSON.stringify({ method: req.method, path: req.baseUrl + req.path, body: req.body ?? null }));
+
+    let existingRecord;
+    try {
+        existingRecord = await reserveIdempotencyKey(recordId, {
+            owner_id: userID,
+            key: key,
+            fingerprint: fingerprint,
+            status: 'in_progress',
+            created_at: FieldValue.serverTimestamp(),
+            expires_at: Timestamp.fromMillis(Date.now() + IN_PROGRESS_TIMEOUT),
+        });
+    } catch (error) {
+        logger.error('Idempotency key could not be reserved, the request runs without it:', error);
+        return next();
+    }
+
+    if (existingRecord) {
+        if (existingRecord.fingerprint !== fingerprint) {
+            return sendIdempotencyError(res, userID, 422, 'IDEMPOTENCY_KEY_MISMATCH',
+                'The Idempotency-Key was already used for a different request.');
+        }
+
+        if (existingRecord.status === 'in_progress') {
+            res.set('Retry-After', '5');
+            return sendIdempotencyError(res, userID, 409, 'REQUEST_IN_PROGRESS',
+                'A request with this Idempotency-Key is still in progress. Please retry later.');
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        res.set('Content-Type', existingRecord.content_type);
+        return res.status(existingRecord.response_status).send(existingRecord.response_body);
+    }
+
+    captureResponse(res, (body) => storeResponse(recordId, res, body));
+    next();
+}
+
+/**
+ * Collects everything written to the response and runs `onEnd` before the response is ended.
+ * Works for JSON responses as well as event streams.
+ *
+ * @function captureResponse
+ * @param {Object} res - Express response object.
+ * @param {Function} onEnd - Receives the complete response body as a Buffer, the response ends once its promise settled.
+ * @returns {void}
+ */
+const captureResponse = (res, onEnd) => {
+    const chunks = [];
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+
+    const collect = (chunk, encoding) => {
+        if (chunk && typeof chunk !== 'function') {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+        }
+    };
+
+    res.write = (chunk, ...args) => {
+        collect(chunk, args[0]);
+        return write(chunk, ...args);
+    };
+
+    res.end = (chunk, ...args) => {
+        collect(chunk, args[0]);
+        res.end = end;
+
+        onEnd(Buffer.concat(chunks))
+            .catch(error => logger.error('Failed to store the idempotent response:', error))
+            .finally(() => end(chunk, ...args));
+        return res;
+    };
+}
+
+/**
+ * Stores the response of a request, or releases its key if the response must not be replayed.
+ *
+ * @async
+ * @function storeResponse
+ * @param {string} recordId - The ID of the idempotency record.
+ * @param {Object} res - Express response object.
+ * @param {Buffer} body - The complete response body.
+ * @returns {Promise<void>}
+ */
+const storeResponse = async (recordId, res, body) => {
+    if (res.statusCode >= 500 || body.length > MAX_STORED_RESPONSE_BYTES) {
+        await deleteIdempotencyKey(recordId);
+        return;
+    }
+
+    await updateIdempotencyKey(recordId, {
+        status: 'completed',
+        response_status: res.statusCode,
+        content_type: res.get('Content-Type') ?? 'application/json; charset=utf-8',
+        response_body: body.toString('utf8'),
+        completed_at: FieldValue.serverTimestamp(),
+        expires_at: Timestamp.fromMillis(Date.now() + IDEMPOTENCY_WINDOW),
+    });
+}
+
+/**
+ * Sends an error response of the idempotency handling.
+ *
+ * @function sendIdempotencyError
+ * @param {Object} res - Express response object.
+ * @param {string} userID - The request owner ID.
+ * @param {number} status - The HTTP status.
+ * @param {string} error - The error code.
+ * @param {string} message - The error message.
+ * @returns {Object} The sent response.
+ */
+const sendIdempotencyError = (res, userID, status, error, message) => {
+    return res.status(status).json({
+        status: status,
+        request_owner_id: userID,
+        message: 'An error occured while processing the idempotent request',
+        data: {
+            error: error,
+            message: message
+        }
+    });
+}
+
+/**
+ * Hashes a value with SHA-256.
+ *
+ * @function hash
+ * @param {string} value - The value to hash.
+ * @returns {string} The hex digest.
+ */
+const hash = (value) => createHash('sha256').update(value).digest('hex');
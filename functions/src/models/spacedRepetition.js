@@ -0,0 +1,138 @@
+/**
+ * Deck API - Spaced Repetition
+ *
+ * @file spacedRepetition.js
+ * @description The SM-2 scheduler deciding when a flashcard is reviewed next.
+ *
+ * Every review is graded again, hard, good or easy, which map to the SM-2 response qualities 1, 3, 4 and 5. A grade
+ * of again is a lapse: the card starts over and is due the next day. Otherwise the interval grows from 1 to 6 days
+ * and is then multiplied by the ease factor of the card. The ease factor drops after hard reviews and lapses, rises
+ * after easy reviews and never goes below MIN_EASE_FACTOR.
+ *
+ * The scheduler is pure, the current time is passed in, so the same review always yields the same schedule.
+ *
+ * @module spacedRepetition
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+/**
+ * The grades of a review, from forgotten to effortless.
+ */
+export const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+
+/**
+ * The SM-2 response quality (0-5) of every grade. Qualities below 3 are lapses.
+ */
+export const GRADE_QUALITY = Object.freeze({
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5,
+});
+
+/**
+ * The ease factor of a card that was never reviewed.
+ */
+export const INITIAL_EASE_FACTOR = 2.5;
+
+/**
+ * The lowest ease factor, so the intervals of difficult cards keep growing.
+ */
+export const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * Milliseconds of a day.
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The learning state of a card that was never reviewed.
+ */
+export const INITIAL_REVIEW_STATE = Object.freeze({
+    ease_factor: INITIAL_EASE_FACTOR,
+    interval_days: 0,
+    repetitions: 0,
+    lapses: 0,
+    review_count: 0,
+});
+
+/**
+ * Schedules the next review of a card.
+ *
+ * @function scheduleReview
+ * @param {Object|null} state - The learning state of the card, null if it was never reviewed.
+ * @param {number} state.ease_factor - The ease factor.
+ * @param {number} state.interval_days - The days between the last two reviews.
+ * @param {number} state.repetitions - The successful reviews since the last lapse.
+ * @param {number} state.lapses - The times the card was forgotten.
+ * @param {number} state.review_count - The number of reviews.
+ * @param {string} grade - The grade of the review, one of REVIEW_GRADES.
+ * @param {Date} now - The time of the review.
+ * @returns {Object} The new learning state with its `due_at` and `last_reviewed_at` dates and `last_grade`.
+ * @throws {Error} INVALID_GRADE if the grade is unknown.
+ */
+export const scheduleReview = (state, grade, now) => {
+    const quality = GRADE_QUALITY[grade];
+    if (quality === undefined) throw new Error("INVALID_GRADE");
+
+    const current = { ...INITIAL_REVIEW_STATE, ...(state ?? {}) };
+    const isLapse = quality < 3;
+
+    let repetitions;
+    let intervalDays;
+
+    if (isLapse) {
+        repetitions = 0;
+        intervalDays = 1;
+    } else {
+        repetitions = current.repetitions + 1;
+        if (repetitions === 1) intervalDays = 1;
+        else if (repetitions === 2) intervalDays = 6;
+        else intervalDays = Math.max(1, Math.round(current.interval_days * current.ease_factor));
+    }
+
+    return {
+        ease_factor: nextEaseFactor(current.ease_factor, quality),
+        interval_days: intervalDays,
+        repetitions: repetitions,
+        lapses: current.lapses + (isLapse ? 1 : 0),
+        review_count: current.review_count + 1,
+        last_grade: grade,
+        last_reviewed_at: new Date(now.getTime()),
+        due_at: new Date(now.getTime() + intervalDays * DAY_MS),
+    };
+}
+
+/**
+ * Computes the last moment of the day of a time, in the time zone with the given UTC offset.
+ * Cards due before this moment are due today.
+ *
+ * @function endOfDay
+ * @param {Date} now - The current time.
+ * @param {number} [utcOffsetMinutes=0] - The offset of the local time zone from UTC in minutes, e.g. 480 for UTC+8.
+ * @returns {Date} The last millisecond of the local day.
+ */
+export const endOfDay = (now, utcOffsetMinutes = 0) => {
+    const offsetMs = utcOffsetMinutes * 60 * 1000;
+    const localStartOfDay = Math.floor((now.getTime() + offsetMs) / DAY_MS) * DAY_MS;
+
+    return new Date(localStartOfDay + DAY_MS - 1 - offsetMs);
+}
+
+/**
+ * Applies the SM-2 ease factor formula to a review.
+ *
+ * @function nextEaseFactor
+ * @param {number} easeFactor - The current ease factor.
+ * @param {number} quality - The SM-2 response quality of the review.
+ * @returns {number} The new ease factor, rounded to two decimals.
+ */
+const nextEaseFactor = (easeFactor, quality) => {
+    const easeFactorChange = 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02);
+    const rounded = Math.round((easeFactor + easeFactorChange) * 100) / 100;
+
+    return Math.max(MIN_EASE_FACTOR, rounded);
+}
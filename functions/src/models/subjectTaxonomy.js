@@ -0,0 +1,207 @@
+/**
+ * Deck API - Subject Taxonomy
+ *
+ * @file subjectTaxonomy.js
+ * @description The fixed, versioned subject taxonomy decks are classified into.
+ *
+ * Node IDs are the dot-separated path of their slugs (e.g. "stem.computer_science.algorithms"), so the ID of
+ * every ancestor is a prefix of the ID. Decks are classified into one node and store the IDs of the node and all of
+ * its ancestors as `taxonomy_path`, so a deck is listed under every level of its branch.
+ *
+ * Bump SUBJECT_TAXONOMY_VERSION whenever nodes are added, moved or removed. Decks classified with an older
+ * version are classified again by the taxonomy worker and the backfill job.
+ *
+ * @module subjectTaxonomy
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+/**
+ * The version of the taxonomy stored with every classification.
+ */
+export const SUBJECT_TAXONOMY_VERSION = 1;
+
+/**
+ * The node decks are classified into if no other node fits.
+ */
+export const FALLBACK_TAXONOMY_NODE = 'other';
+
+/**
+ * The taxonomy tree. Every node has a `slug`, a `label` and optionally `children`.
+ */
+export const SUBJECT_TAXONOMY = Object.freeze([
+    {
+        slug: 'stem', label: 'STEM', children: [
+            {
+                slug: 'computer_science', label: 'Computer Science', children: [
+                    { slug: 'algorithms', label: 'Algorithms' },
+                    { slug: 'data_structures', label: 'Data Structures' },
+                    { slug: 'programming', label: 'Programming' },
+                    { slug: 'web_development', label: 'Web Development' },
+                    { slug: 'databases', label: 'Databases' },
+                    { slug: 'networking', label: 'Networking' },
+                    { slug: 'operating_systems', label: 'Operating Systems' },
+                    { slug: 'software_engineering', label: 'Software Engineering' },
+                    { slug: 'artificial_intelligence', label: 'Artificial Intelligence' },
+                    { slug: 'cybersecurity', label: 'Cybersecurity' },
+                ],
+            },
+            {
+                slug: 'mathematics', label: 'Mathematics', children: [
+                    { slug: 'algebra', label: 'Algebra' },
+                    { slug: 'geometry', label: 'Geometry' },
+                    { slug: 'calculus', label: 'Calculus' },
+                    { slug: 'linear_algebra', label: 'Linear Algebra' },
+                    { slug: 'discrete_mathematics', label: 'Discrete Mathematics' },
+                    { slug: 'statistics', label: 'Statistics and Probability' },
+                ],
+            },
+            {
+                slug: 'physics', label: 'Physics', children: [
+                    { slug: 'mechanics', label: 'Mechanics' },
+                    { slug: 'electromagnetism', label: 'Electromagnetism' },
+                    { slug: 'thermodynamics', label: 'Thermodynamics' },
+                    { slug: 'modern_physics', label: 'Modern Physics' },
+                    { slug: 'astronomy', label: 'Astronomy' },
+                ],
+            },
+            {
+                slug: 'chemistry', label: 'Chemistry', children: [
+                    { slug: 'general_chemistry', label: 'General Chemistry' },
+                    { slug: 'organic_chemistry', label: 'Organic Chemistry' },
+                    { slug: 'biochemistry', label: 'Biochemistry' },
+                ],
+            },
+            {
+                slug: 'biology', label: 'Biology', children: [
+                    { slug: 'cell_biology', label: 'Cell Biology' },
+                    { slug: 'genetics', label: 'Genetics' },
+                    { slug: 'anatomy_physiology', label: 'Anatomy and Physiology' },
+                    { slug: 'microbiology', label: 'Microbiology' },
+                    { slug: 'ecology', label: 'Ecology' },
+                ],
+            },
+            {
+                slug: 'engineering', label: 'Engineering', children: [
+                    { slug: 'electrical', label: 'Electrical Engineering' },
+                    { slug: 'mechanical', label: 'Mechanical Engineering' },
+                    { slug: 'civil', label: 'Civil Engineering' },
+                ],
+            },
+            { slug: 'earth_sciences', label: 'Earth and Environmental Sciences' },
+        ],
+    },
+    {
+        slug: 'health', label: 'Health and Medicine', children: [
+            { slug: 'medicine', label: 'Medicine' },
+            { slug: 'nursing', label: 'Nursing' },
+            { slug: 'pharmacology', label: 'Pharmacology' },
+            { slug: 'public_health', label: 'Public Health' },
+        ],
+    },
+    {
+        slug: 'social_sciences', label: 'Social Sciences', children: [
+            { slug: 'psychology', label: 'Psychology' },
+            { slug: 'sociology', label: 'Sociology' },
+            { slug: 'economics', label: 'Economics' },
+            { slug: 'political_science', label: 'Political Science' },
+            { slug: 'anthropology', label: 'Anthropology' },
+        ],
+    },
+    {
+        slug: 'humanities', label: 'Humanities', children: [
+            { slug: 'history', label: 'History' },
+            { slug: 'philosophy', label: 'Philosophy' },
+            { slug: 'literature', label: 'Literature' },
+            { slug: 'religious_studies', label: 'Religious Studies' },
+        ],
+    },
+    {
+        slug: 'languages', label: 'Languages', children: [
+            { slug: 'english', label: 'English' },
+            { slug: 'filipino', label: 'Filipino' },
+            { slug: 'spanish', label: 'Spanish' },
+            { slug: 'japanese', label: 'Japanese' },
+            { slug: 'linguistics', label: 'Linguistics' },
+        ],
+    },
+    {
+        slug: 'business', label: 'Business', children: [
+            { slug: 'accounting', label: 'Accounting' },
+            { slug: 'finance', label: 'Finance' },
+            { slug: 'marketing', label: 'Marketing' },
+            { slug: 'management', label: 'Management' },
+        ],
+    },
+    { slug: 'law', label: 'Law' },
+    {
+        slug: 'arts', label: 'Arts and Design', children: [
+            { slug: 'visual_arts', label: 'Visual Arts' },
+            { slug: 'music', label: 'Music' },
+            { slug: 'performing_arts', label: 'Performing Arts' },
+            { slug: 'design', label: 'Design' },
+        ],
+    },
+    { slug: 'education', label: 'Education' },
+    { slug: FALLBACK_TAXONOMY_NODE, label: 'Other' },
+]);
+
+/**
+ * Every node of the taxonomy by its ID, with the IDs and labels of its path from the root.
+ */
+const TAXONOMY_NODES = (() => {
+    const nodes = new Map();
+
+    const addNodes = (children, parentPath, parentLabels) => {
+        for (const child of children) {
+            const id = [...parentPath, child.slug].join('.');
+            const path = [...parentPath.map((_, index) => parentPath.slice(0, index + 1).join('.')), id];
+            const labels = [...parentLabels, child.label];
+
+            nodes.set(id, { id, label: child.label, path, labels, isLeaf: !child.children });
+            if (child.children) addNodes(child.children, [...parentPath, child.slug], labels);
+        }
+    };
+
+    addNodes(SUBJECT_TAXONOMY, [], []);
+    return nodes;
+})();
+
+/**
+ * Looks up a node of the taxonomy.
+ *
+ * @function getTaxonomyNode
+ * @param {string} nodeId - The ID of the node, e.g. "stem.computer_science".
+ * @returns {{id: string, label: string, path: string[], labels: string[], isLeaf: boolean}|null} The node with the IDs
+ * and labels of its path from the root, or null if the ID is unknown.
+ */
+export const getTaxonomyNode = (nodeId) => TAXONOMY_NODES.get(nodeId) ?? null;
+
+/**
+ * Lists every node of the taxonomy in tree order.
+ *
+ * @function listTaxonomyNodes
+ * @returns {Array<{id: string, label: string, path: string[], labels: string[], isLeaf: boolean}>} The nodes.
+ */
+export const listTaxonomyNodes = () => [...TAXONOMY_NODES.values()];
+
+/**
+ * Resolves the node ID returned by a classification to a known node.
+ * Unknown IDs fall back to their closest known ancestor, and to FALLBACK_TAXONOMY_NODE if there is none.
+ *
+ * @function resolveTaxonomyNode
+ * @param {string} nodeId - The classified node ID.
+ * @returns {{id: string, label: string, path: string[], labels: string[], isLeaf: boolean}} The resolved node.
+ */
+export const resolveTaxonomyNode = (nodeId) => {
+    const segments = String(nodeId ?? '').trim().toLowerCase().split('.');
+
+    for (let length = segments.length; length > 0; length--) {
+        const node = getTaxonomyNode(segments.slice(0, length).join('.'));
+        if (node) return node;
+    }
+
+    return getTaxonomyNode(FALLBACK_TAXONOMY_NODE);
+}
@@ -14,11 +14,12 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-21
- * @updated 2025-03-19
+ * @updated 2026-10-18
  */
 
 import { logger } from 'firebase-functions';
-import { db, timeStamp } from '../config/firebaseAdminConfig.js';
+import { FieldPath, Timestamp } from 'firebase-admin/firestore';
+import { db } from '../config/firebaseAdminConfig.js';
 import { formatDeck } from '../models/deckModel.js';
 
 /**
@@ -57,6 +58,65 @@ export const getDeckById = async (deckId) => {
     }
 };
 
+/**
+ * Fetches the raw deck document without its flashcards.
+ * 
+ * @async
+ * @function getDeckData
+ * @param {string} deckId - The unique identifier of the deck.
+ * @returns {Promise<Object|null>} - Returns the deck data with its `id`, or null if the deck does not exist.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the Firestore retrieval fails.
+ */
+export const getDeckData = async (deckId) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const deckSnap = await db.collection("decks").doc(deckId).get();
+
+        if (!deckSnap.exists) return null;
+
+        return { id: deckSnap.id, ...deckSnap.data() };
+    } catch (error) {
+        console.error(`Error in getDeckData (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Fetches the raw deck document and its flashcards that are not deleted.
+ * Unlike getDeckById, decks without flashcards are returned as well.
+ * 
+ * @async
+ * @function getDeckWithFlashcards
+ * @param {string} deckId - The unique identifier of the deck.
+ * @returns {Promise<Object|null>} - Returns the deck data with its `id` and `flashcards`, or null if the deck does not exist.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the Firestore retrieval fails.
+ */
+export const getDeckWithFlashcards = async (deckId) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const deckRef = db.collection("decks").doc(deckId);
+        const deckSnap = await deckRef.get();
+
+        if (!deckSnap.exists) return null;
+
+        const flashcardSnap = await deckRef.collection("flashcards").where("is_deleted", "==", false).get();
+        const flashcards = flashcardSnap?.docs?.map(doc => ({ id: doc.id, ...doc.data() })) || [];
+
+        return { id: deckSnap.id, ...deckSnap.data(), flashcards: flashcards };
+    } catch (error) {
+        console.error(`Error in getDeckWithFlashcards (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
 /**
  * Fetches a deck by its ID from Firestore.
  * 
@@ -137,6 +197,68 @@ export const getDeckAndCheckField = async (deckId, fieldName) => {
     }
 };
 
+/**
+ * Fetches a single flashcard of a deck.
+ * 
+ * @async
+ * @function getFlashcardById
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {string} flashcardId - The unique identifier of the flashcard.
+ * @returns {Promise<Object|null>} - Returns the flashcard with its `id`, or null if it does not exist.
+ * @throws {Error} - Throws an error if an ID is invalid or the Firestore retrieval fails.
+ */
+export const getFlashcardById = async (deckId, flashcardId) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!flashcardId || typeof flashcardId !== 'string') {
+            throw new Error("INVALID_FLASHCARD_ID");
+        }
+
+        const flashcardSnap = await db.collection('decks').doc(deckId).collection('flashcards').doc(flashcardId).get();
+
+        if (!flashcardSnap.exists) return null;
+
+        return { id: flashcardSnap.id, ...flashcardSnap.data() };
+    } catch (error) {
+        console.error(`Error in getFlashcardById (deckId: ${deckId}, flashcardId: ${flashcardId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Updates a flashcard of a deck with the provided data.
+ * 
+ * @async
+ * @function updateFlashcard
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {string} flashcardId - The unique identifier of the flashcard to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if an ID is invalid, the update data is not an object, or the update operation fails.
+ */
+export const updateFlashcard = async (deckId, flashcardId, data) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!flashcardId || typeof flashcardId !== 'string') {
+            throw new Error("INVALID_FLASHCARD_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('decks').doc(deckId).collection('flashcards').doc(flashcardId).update(data);
+    } catch (error) {
+        console.error(`Error in updateFlashcard (deckId: ${deckId}, flashcardId: ${flashcardId})`, error);
+        throw new Error(error.message);
+    }
+};
+
 /**
  * Updates a deck document in Firestore with the provided data.
  * 
@@ -216,6 +338,39 @@ export const getNewFlashcards = async (deckId, quizUpdateDate) => {
     }
 };
 
+/**
+ * Fetches the flashcards of a deck that are not deleted and were created at or after the given time.
+ *
+ * @async
+ * @function getFlashcardsCreatedSince
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {Object} since - The Firestore Timestamp to start from.
+ * @returns {Promise<Array<Object>>} - Returns the flashcards with their `id`.
+ * @throws {Error} - Throws an error if the input is invalid or the query operation fails.
+ */
+export const getFlashcardsCreatedSince = async (deckId, since) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== "string") {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!since) {
+            throw new Error("INVALID_TIMESTAMP");
+        }
+
+        const flashcardSnap = await db.collection("decks").doc(deckId)
+            .collection("flashcards")
+            .where("is_deleted", "==", false)
+            .where("created_at", ">=", since)
+            .get();
+
+        return flashcardSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Error in getFlashcardsCreatedSince (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
 /**
  * Creates a new deck in the Firestore database.
  *
@@ -255,7 +410,19 @@ export const createDeck = async (deckData) => {
  * @param {Array<Object>} flashcards - The array of flashcard objects.
  * @param {string} flashcards[].term - The term of the flashcard.
  * @param {string} flashcards[].definition - The definition or answer of the flashcard.
- * @returns {Promise<void>} Resolves when all flashcards are added.
+ * @param {string} [flashcards[].source_file] - The name of the file the flashcard was generated from (optional).
+ * @param {string} [flashcards[].difficulty] - The difficulty of the flashcard: intro, intermediate or advanced (optional).
+ * @param {string} [flashcards[].bloom_level] - The Bloom's taxonomy level of the flashcard (optional).
+ * @param {string} [flashcards[].card_type] - The card type: term, cloze, qa or reverse (optional).
+ * @param {number[]} [flashcards[].source_pages] - The source pages the flashcard was taken from (optional).
+ * @param {string} [flashcards[].source_quote] - The verbatim source quote supporting the flashcard (optional).
+ * @param {boolean} [flashcards[].citation_verified] - Whether the source quote was found in the source (optional).
+ * @param {string} [flashcards[].example] - A worked example sentence (optional).
+ * @param {string} [flashcards[].mnemonic] - A mnemonic for the flashcard (optional).
+ * @param {string[]} [flashcards[].related_terms] - Closely related terms (optional).
+ * @param {string} [flashcards[].pronunciation] - A pronunciation hint for a foreign-language term (optional).
+ * @param {string} [flashcards[].translated_from] - The ID of the flashcard this one was translated from (optional).
+ * @returns {Promise<Array<string|null>>} The IDs of the added flashcards in the given order, null for skipped invalid items.
  * @throws {Error} If input validation fails or Firestore operation encounters an error.
  */
 export async function createFlashcard(deckId, flashcards) {
@@ -270,28 +437,154 @@ export async function createFlashcard(deckId, flashcards) {
 
         // Reference to Firestore collection
         const ref = db.collection('decks').doc(deckId).collection('flashcards');
+        const flashcardIds = [];
 
         for (const item of flashcards) {
 
              if (!item.term || typeof item.term !== 'string') {
+                flashcardIds.push(null);
                 continue;
             }
             if (item.definition && typeof item.definition !== 'string') {
+                flashcardIds.push(null);
                 continue;
             }
 
-            // Add term and definition to Firestore
-            await ref.add({
+            // Add term and definition to Firestore. created_at is taken at write time on the same clock as the
+            // flashcards_quizzed_at of quizzes, so cards added after a quiz run are picked up by the next one
+            const res = await ref.add({
                 term: item.term,
-                created_at: timeStamp,
+                created_at: Timestamp.now(),
                 definition: item.definition,
                 is_deleted: false,
                 is_starred: false,
+                ...(item.source_file && { source_file: item.source_file }),
+                ...(item.difficulty && { difficulty: item.difficulty }),
+                ...(item.bloom_level && { bloom_level: item.bloom_level }),
+                ...(item.card_type && { card_type: item.card_type }),
+                ...(item.source_pages?.length > 0 && { source_pages: item.source_pages }),
+                ...(item.source_quote && { source_quote: item.source_quote }),
+                ...(typeof item.citation_verified === 'boolean' && { citation_verified: item.citation_verified }),
+                ...(item.example && { example: item.example }),
+                ...(item.mnemonic && { mnemonic: item.mnemonic }),
+                ...(item.related_terms?.length > 0 && { related_terms: item.related_terms }),
+                ...(item.pronunciation && { pronunciation: item.pronunciation }),
+                ...(item.translated_from && { translated_from: item.translated_from }),
             });
+            flashcardIds.push(res.id);
         }
+
+        return flashcardIds;
     } catch (error) {
         console.error(`Error in create flashcard function (quizId: ${deckId}):`, error);
         throw new Error(error.message);
     }
 }
 
+/**
+ * Fetches the terms of the first flashcards of a deck that are not deleted.
+ *
+ * @async
+ * @function getDeckTerms
+ * @param {string} deckId - The unique identifier of the deck.
+ * @param {number} limit - The maximum number of terms.
+ * @returns {Promise<string[]>} - Returns the terms.
+ * @throws {Error} - Throws an error if the deck ID is invalid or the Firestore retrieval fails.
+ */
+export const getDeckTerms = async (deckId, limit) => {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const flashcardSnap = await db.collection('decks').doc(deckId).collection('flashcards')
+            .where('is_deleted', '==', false)
+            .limit(limit)
+            .get();
+
+        return flashcardSnap.docs.map(doc => doc.data().term).filter(term => typeof term === 'string');
+    } catch (error) {
+        console.error(`Error in getDeckTerms (deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Fetches one page of all decks, ordered by their ID.
+ *
+ * @async
+ * @function listDecksPage
+ * @param {string|null} cursor - The ID of the last deck of the previous page, or null for the first page.
+ * @param {number} limit - The maximum number of decks of the page.
+ * @returns {Promise<{decks: Array<Object>, nextCursor: string|null}>} - Returns the raw decks with their `id` and the
+ * cursor of the next page, null if this was the last page.
+ * @throws {Error} - Throws an error if the Firestore retrieval fails.
+ */
+export const listDecksPage = async (cursor, limit) => {
+    try {
+        let query = db.collection('decks').orderBy(FieldPath.documentId()).limit(limit);
+        if (cursor) query = query.startAfter(cursor);
+
+        const deckSnap = await query.get();
+        const decks = deckSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        return { decks: decks, nextCursor: decks.length === limit ? decks[decks.length - 1].id : null };
+    } catch (error) {
+        console.error(`Error in listDecksPage (cursor: ${cursor}):`, error);
+        throw new Error(error.message);
+    }
+};
+
+/**
+ * Fetches the decks classified into a taxonomy node or one of its descendants, newest first.
+ * Lists the public decks, or the decks of the given owner.
+ *
+ * Requires composite indexes on `taxonomy_path` (array-contains), `is_deleted`, `is_private` or `owner_id`
+ * and `created_at` (descending).
+ *
+ * @async
+ * @function listDecksByTaxonomyNode
+ * @param {string} nodeId - The ID of the taxonomy node.
+ * @param {Object} options - The query options.
+ * @param {string} [options.ownerId] - List the decks of this owner instead of the public decks.
+ * @param {number} options.limit - The maximum number of decks of the page.
+ * @param {string} [options.cursor] - The ID of the last deck of the previous page.
+ * @returns {Promise<{decks: Array<Object>, nextCursor: string|null}>} - Returns the raw decks with their `id` and the
+ * cursor of the next page, null if this was the last page.
+ * @throws {Error} - Throws an error if the node ID or cursor is invalid or the Firestore retrieval fails.
+ */
+export const listDecksByTaxonomyNode = async (nodeId, options) => {
+    const { ownerId, limit, cursor } = options;
+
+    try {
+        // Validate inputs
+        if (!nodeId || typeof nodeId !== 'string') {
+            throw new Error("INVALID_TAXONOMY_NODE");
+        }
+
+        let query = db.collection('decks')
+            .where('taxonomy_path', 'array-contains', nodeId)
+            .where('is_deleted', '==', false);
+
+        query = ownerId
+            ? query.where('owner_id', '==', ownerId)
+            : query.where('is_private', '==', false);
+
+        query = query.orderBy('created_at', 'desc').limit(limit);
+
+        if (cursor) {
+            const cursorSnap = await db.collection('decks').doc(cursor).get();
+            if (!cursorSnap.exists) throw new Error("INVALID_CURSOR");
+            query = query.startAfter(cursorSnap);
+        }
+
+        const deckSnap = await query.get();
+        const decks = deckSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        return { decks: decks, nextCursor: decks.length === limit ? decks[decks.length - 1].id : null };
+    } catch (error) {
+        console.error(`Error in listDecksByTaxonomyNode (nodeId: ${nodeId}):`, error);
+        throw new Error(error.message);
+    }
+};
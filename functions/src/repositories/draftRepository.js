@@ -0,0 +1,141 @@
+/**
+ * Draft Repository
+ *
+ * @file draftRepository.js
+ * @description Handles database operations related to deck drafts.
+ *
+ * This module provides functions to create, claim, update and fetch the previews of generated decks
+ * stored in the 'deck_drafts' collection. Drafts expire at their `expires_at`, which is also the field
+ * of the collection's Firestore TTL policy.
+ *
+ * @module draftRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Creates a new draft document in Firestore.
+ *
+ * @async
+ * @function createDraft
+ * @param {Object} draftData - The data of the draft to be created.
+ * @param {string} draftData.owner_id - The ID of the user who generated the draft.
+ * @param {Array<Object>} draftData.flashcards - The generated flashcards, each with its draft card `id`.
+ * @returns {Promise<string>} - Returns the newly created draft ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createDraft(draftData) {
+    try {
+        // Validate input
+        if (!draftData || typeof draftData !== 'object') {
+            throw new Error("INVALID_DRAFT_DATA");
+        }
+        if (!draftData.owner_id || typeof draftData.owner_id !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!Array.isArray(draftData.flashcards)) {
+            throw new Error("INVALID_TERM_AND_DEFINITION_DATA");
+        }
+
+        const res = await db.collection('deck_drafts').add(draftData);
+        return res.id;
+    } catch (error) {
+        console.error(`Create draft function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Atomically moves an open draft to the committing state, so a draft is never committed twice.
+ *
+ * @async
+ * @function claimDraft
+ * @param {string} draftId - The unique identifier of the draft.
+ * @returns {Promise<boolean>} - Returns true if the draft was claimed, false if it was not open anymore.
+ * @throws {Error} - Throws an error if the draft ID is invalid, not found, or the transaction fails.
+ */
+export async function claimDraft(draftId) {
+    try {
+        // Validate input
+        if (!draftId || typeof draftId !== 'string') {
+            throw new Error("INVALID_DRAFT_ID");
+        }
+
+        const draftRef = db.collection('deck_drafts').doc(draftId);
+
+        return await db.runTransaction(async (transaction) => {
+            const draftSnap = await transaction.get(draftRef);
+
+            if (!draftSnap.exists) throw new Error("DRAFT_NOT_FOUND");
+            if (draftSnap.data().status !== 'open') return false;
+
+            transaction.update(draftRef, { status: 'committing' });
+            return true;
+        });
+    } catch (error) {
+        console.error(`Error in claimDraft (draftId: ${draftId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates a draft document in Firestore with the provided data.
+ *
+ * @async
+ * @function updateDraft
+ * @param {string} draftId - The unique identifier of the draft to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the draft ID is invalid, the data is not an object, or the update fails.
+ */
+export async function updateDraft(draftId, data) {
+    try {
+        // Validate inputs
+        if (!draftId || typeof draftId !== 'string') {
+            throw new Error("INVALID_DRAFT_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('deck_drafts').doc(draftId).update(data);
+    } catch (error) {
+        console.error(`Error in updateDraft (draftId: ${draftId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches a draft by its ID from Firestore.
+ *
+ * @async
+ * @function getDraftById
+ * @param {string} draftId - The unique identifier of the draft.
+ * @returns {Promise<Object|null>} - Returns the draft object, or null if it does not exist.
+ * @throws {Error} - Throws an error if the draft ID is invalid or the Firestore retrieval fails.
+ */
+export async function getDraftById(draftId) {
+    try {
+        // Validate input
+        if (!draftId || typeof draftId !== 'string') {
+            throw new Error("INVALID_DRAFT_ID");
+        }
+
+        const draftSnap = await db.collection('deck_drafts').doc(draftId).get();
+
+        if (!draftSnap.exists) {
+            return null;
+        }
+
+        return { id: draftSnap.id, ...draftSnap.data() };
+    } catch (error) {
+        console.error(`Error in getDraftById (draftId: ${draftId}):`, error);
+        throw new Error(error.message);
+    }
+}
@@ -12,11 +12,12 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-15
- * @updated 2025-02-19
+ * @updated 2026-10-18
  * 
  */
 
 import { Storage } from '@google-cloud/storage';
+import { randomUUID } from 'crypto';
 import path from 'path';
 import fs from 'fs';
 import * as dotenv from 'dotenv';
@@ -24,6 +25,7 @@ dotenv.config();
 
 /**
  * Downloads a file from Google Cloud Storage to the /tmp directory.
+ * Every download gets a unique local name so several files of the same user can be downloaded at once.
  *
  * @async
  * @param {string} fileName - The name of the file to download.
@@ -37,7 +39,8 @@ export async function downloadFile(fileName, fileExtension, id) {
       const storage = new Storage();
   
       const bucketName = process.env.STORAGE_BUCKET.toString();
-      const destFilename = `download-${id}${fileExtension}`;
+      const extension = fileExtension.startsWith('.') ? fileExtension : `.${fileExtension}`;
+      const destFilename = `download-${id}-${randomUUID()}${extension}`;
       const tmpDir = '/tmp';
       const tmpFilePath = path.join(tmpDir, destFilename);
   
@@ -86,6 +89,20 @@ export async function downloadPdf(fileName, id) {
     return filePath;
 }
 
+/**
+ * Writes text to a new file in the /tmp directory.
+ *
+ * @async
+ * @param {string} text - The text content of the file.
+ * @param {string} id - The unique identifier of the request owner.
+ * @returns {Promise<string>} - The local path to the written file.
+ */
+export async function writeTempTextFile(text, id) {
+    const tmpFilePath = path.join('/tmp', `extracted-${id}-${randomUUID()}.txt`);
+    await fs.promises.writeFile(tmpFilePath, text, 'utf8');
+    return tmpFilePath;
+}
+
 /**
  * Deletes a file from the /tmp directory.
  *
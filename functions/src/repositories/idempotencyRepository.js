@@ -0,0 +1,110 @@
+/**
+ * Idempotency Repository
+ *
+ * @file idempotencyRepository.js
+ * @description Handles database operations related to idempotency keys.
+ *
+ * This module provides functions to reserve, complete and release the records of idempotent requests
+ * stored in the 'idempotency_keys' collection. Records are only valid until their `expires_at`, which is
+ * also the field of the collection's Firestore TTL policy.
+ *
+ * @module idempotencyRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Atomically reserves an idempotency record, unless a valid record with the same ID exists.
+ *
+ * @async
+ * @function reserveIdempotencyKey
+ * @param {string} recordId - The unique identifier of the record.
+ * @param {Object} record - The record to create.
+ * @param {Object} record.expires_at - The Firestore Timestamp until which the record is valid.
+ * @returns {Promise<Object|null>} - Returns the existing record if it is still valid, or null if the record was reserved.
+ * @throws {Error} - Throws an error if the input is invalid or the transaction fails.
+ */
+export async function reserveIdempotencyKey(recordId, record) {
+    try {
+        // Validate inputs
+        if (!recordId || typeof recordId !== 'string') {
+            throw new Error("INVALID_IDEMPOTENCY_RECORD_ID");
+        }
+        if (!record || typeof record !== 'object' || !record.expires_at) {
+            throw new Error("INVALID_IDEMPOTENCY_RECORD");
+        }
+
+        const recordRef = db.collection('idempotency_keys').doc(recordId);
+
+        return await db.runTransaction(async (transaction) => {
+            const recordSnap = await transaction.get(recordRef);
+
+            // Expired records may still exist until the TTL policy deleted them
+            if (recordSnap.exists && recordSnap.data().expires_at?.toMillis() > Date.now()) {
+                return recordSnap.data();
+            }
+
+            transaction.set(recordRef, record);
+            return null;
+        });
+    } catch (error) {
+        console.error(`Error in reserveIdempotencyKey (recordId: ${recordId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates an idempotency record with the provided data.
+ *
+ * @async
+ * @function updateIdempotencyKey
+ * @param {string} recordId - The unique identifier of the record to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the record ID is invalid, the data is not an object, or the update fails.
+ */
+export async function updateIdempotencyKey(recordId, data) {
+    try {
+        // Validate inputs
+        if (!recordId || typeof recordId !== 'string') {
+            throw new Error("INVALID_IDEMPOTENCY_RECORD_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('idempotency_keys').doc(recordId).update(data);
+    } catch (error) {
+        console.error(`Error in updateIdempotencyKey (recordId: ${recordId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Deletes an idempotency record, so the next request with the same key runs again.
+ *
+ * @async
+ * @function deleteIdempotencyKey
+ * @param {string} recordId - The unique identifier of the record to delete.
+ * @returns {Promise<void>} - Resolves if the deletion is successful.
+ * @throws {Error} - Throws an error if the record ID is invalid or the deletion fails.
+ */
+export async function deleteIdempotencyKey(recordId) {
+    try {
+        // Validate input
+        if (!recordId || typeof recordId !== 'string') {
+            throw new Error("INVALID_IDEMPOTENCY_RECORD_ID");
+        }
+
+        await db.collection('idempotency_keys').doc(recordId).delete();
+    } catch (error) {
+        console.error(`Error in deleteIdempotencyKey (recordId: ${recordId}):`, error);
+        throw new Error(error.message);
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * Job Repository
+ *
+ * @file jobRepository.js
+ * @description Handles database operations related to asynchronous generation jobs.
+ *
+ * This module provides functions to create, claim, update and fetch job documents
+ * stored in the 'generation_jobs' collection.
+ *
+ * @module jobRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Creates a new job document in Firestore.
+ *
+ * @async
+ * @function createJob
+ * @param {Object} jobData - The data of the job to be created.
+ * @param {string} jobData.type - The type of the job (e.g., "flashcards", "quiz", "moderation", "translation").
+ * @param {string} jobData.owner_id - The ID of the user who requested the job.
+ * @param {string} jobData.status - The initial status of the job.
+ * @returns {Promise<string>} - Returns the newly created job ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createJob(jobData) {
+    try {
+        // Validate input
+        if (!jobData || typeof jobData !== 'object') {
+            throw new Error("INVALID_JOB_DATA");
+        }
+        if (!jobData.type || typeof jobData.type !== 'string') {
+            throw new Error("INVALID_JOB_TYPE");
+        }
+        if (!jobData.owner_id || typeof jobData.owner_id !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+
+        const res = await db.collection('generation_jobs').add(jobData);
+        return res.id;
+    } catch (error) {
+        console.error(`Create job function error: ${error}`);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Atomically moves a queued job to the running state.
+ *
+ * Firestore triggers are delivered at least once, so the worker claims the job
+ * first and skips it if another invocation already picked it up.
+ *
+ * @async
+ * @function claimJob
+ * @param {string} jobId - The unique identifier of the job.
+ * @param {Object} data - Additional fields to set while claiming the job.
+ * @returns {Promise<boolean>} - Returns true if the job was claimed, false if it was not queued anymore.
+ * @throws {Error} - Throws an error if the job ID is invalid, not found, or the transaction fails.
+ */
+export async function claimJob(jobId, data = {}) {
+    try {
+        // Validate input
+        if (!jobId || typeof jobId !== 'string') {
+            throw new Error("INVALID_JOB_ID");
+        }
+
+        const jobRef = db.collection('generation_jobs').doc(jobId);
+
+        return await db.runTransaction(async (transaction) => {
+            const jobSnap = await transaction.get(jobRef);
+
+            if (!jobSnap.exists) throw new Error("JOB_NOT_FOUND");
+            if (jobSnap.data().status !== 'queued') return false;
+
+            transaction.update(jobRef, { ...data, status: 'running' });
+            return true;
+        });
+    } catch (error) {
+        console.error(`Error in claimJob (jobId: ${jobId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Updates a job document in Firestore with the provided data.
+ *
+ * @async
+ * @function updateJob
+ * @param {string} jobId - The unique identifier of the job to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the job ID is invalid, the data is not an object, or the update fails.
+ */
+export async function updateJob(jobId, data) {
+    try {
+        // Validate inputs
+        if (!jobId || typeof jobId !== 'string') {
+            throw new Error("INVALID_JOB_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('generation_jobs').doc(jobId).update(data);
+    } catch (error) {
+        console.error(`Error in updateJob (jobId: ${jobId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches a job by its ID from Firestore.
+ *
+ * @async
+ * @function getJobById
+ * @param {string} jobId - The unique identifier of the job.
+ * @returns {Promise<Object|null>} - Returns the job object, or null if it does not exist.
+ * @throws {Error} - Throws an error if the job ID is invalid or the Firestore retrieval fails.
+ */
+export async function getJobById(jobId) {
+    try {
+        // Validate input
+        if (!jobId || typeof jobId !== 'string') {
+            throw new Error("INVALID_JOB_ID");
+        }
+
+        const jobSnap = await db.collection('generation_jobs').doc(jobId).get();
+
+        if (!jobSnap.exists) {
+            return null;
+        }
+
+        return { id: jobSnap.id, ...jobSnap.data() };
+    } catch (error) {
+        console.error(`Error in getJobById (jobId: ${jobId}):`, error);
+        throw new Error(error.message);
+    }
+}
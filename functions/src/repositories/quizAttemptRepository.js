@@ -0,0 +1,128 @@
+/**
+ * Quiz Attempt Repository
+ *
+ * @file quizAttemptRepository.js
+ * @description Handles database operations related to quiz attempts.
+ *
+ * This module provides functions to create, fetch and submit the attempts of a user, stored in the
+ * 'quiz_attempts' subcollection of the user's document ('users/{userId}/quiz_attempts').
+ *
+ * @module quizAttemptRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Creates a new quiz attempt of a user.
+ *
+ * @async
+ * @function createQuizAttempt
+ * @param {string} userId - The ID of the user taking the quiz.
+ * @param {Object} attemptData - The data of the attempt to be created.
+ * @param {string} attemptData.quiz_id - The ID of the quiz.
+ * @param {string[]} attemptData.question_ids - The IDs of the questions of the attempt, in the order they were given.
+ * @returns {Promise<string>} - Returns the newly created attempt ID.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore operation fails.
+ */
+export async function createQuizAttempt(userId, attemptData) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!attemptData || typeof attemptData !== 'object') {
+            throw new Error("INVALID_ATTEMPT_DATA");
+        }
+        if (!attemptData.quiz_id || typeof attemptData.quiz_id !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(attemptData.question_ids)) {
+            throw new Error("INVALID_QUESTION_IDS");
+        }
+
+        const res = await db.collection('users').doc(userId).collection('quiz_attempts').add(attemptData);
+        return res.id;
+    } catch (error) {
+        console.error(`Error in createQuizAttempt (userId: ${userId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches a quiz attempt of a user.
+ *
+ * @async
+ * @function getQuizAttempt
+ * @param {string} userId - The ID of the user.
+ * @param {string} attemptId - The unique identifier of the attempt.
+ * @returns {Promise<Object|null>} - Returns the attempt with its `id`, or null if the user has no such attempt.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore retrieval fails.
+ */
+export async function getQuizAttempt(userId, attemptId) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!attemptId || typeof attemptId !== 'string') {
+            throw new Error("INVALID_ATTEMPT_ID");
+        }
+
+        const attemptSnap = await db.collection('users').doc(userId).collection('quiz_attempts').doc(attemptId).get();
+
+        if (!attemptSnap.exists) {
+            return null;
+        }
+
+        return { id: attemptSnap.id, ...attemptSnap.data() };
+    } catch (error) {
+        console.error(`Error in getQuizAttempt (userId: ${userId}, attemptId: ${attemptId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Atomically stores the result of an open attempt and marks it as submitted, so an attempt is only graded once.
+ *
+ * @async
+ * @function submitQuizAttempt
+ * @param {string} userId - The ID of the user.
+ * @param {string} attemptId - The unique identifier of the attempt.
+ * @param {Object} result - The fields of the graded attempt.
+ * @returns {Promise<void>} - Resolves if the attempt was submitted.
+ * @throws {Error} - Throws ATTEMPT_NOT_FOUND, ATTEMPT_ALREADY_SUBMITTED, or an error if the transaction fails.
+ */
+export async function submitQuizAttempt(userId, attemptId, result) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!attemptId || typeof attemptId !== 'string') {
+            throw new Error("INVALID_ATTEMPT_ID");
+        }
+        if (!result || typeof result !== 'object' || Array.isArray(result)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        const attemptRef = db.collection('users').doc(userId).collection('quiz_attempts').doc(attemptId);
+
+        await db.runTransaction(async (transaction) => {
+            const attemptSnap = await transaction.get(attemptRef);
+
+            if (!attemptSnap.exists) throw new Error("ATTEMPT_NOT_FOUND");
+            if (attemptSnap.data().status !== 'open') throw new Error("ATTEMPT_ALREADY_SUBMITTED");
+
+            transaction.update(attemptRef, { ...result, status: 'submitted' });
+        });
+    } catch (error) {
+        console.error(`Error in submitQuizAttempt (userId: ${userId}, attemptId: ${attemptId}):`, error);
+        throw new Error(error.message);
+    }
+}
@@ -14,12 +14,18 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-03-05
- * @updated 2025-03-07
+ * @updated 2026-10-18
  */
 
-import { db, timeStamp } from '../config/firebaseAdminConfig.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { db } from '../config/firebaseAdminConfig.js';
 import { formatDeck } from '../models/deckModel.js';
 
+/**
+ * Maximum number of writes Firestore accepts in a single batch.
+ */
+const MAX_BATCH_WRITES = 500;
+
 /**
  * Creates a new quiz document in the Firestore database for a given deck.
  *
@@ -66,6 +72,9 @@ export async function createQuizForDeck(quizData) {
 
 /**
  * Creates question and answer entries for a given quiz in Firestore.
+ * Every question needs its choices (multiple-choice and true-false), its typed `answer` (identification and
+ * fill-in-the-blank) or its `pairs` (matching). Questions without any of them or with an invalid choice are skipped
+ * and logged, the other questions are still added.
  *
  * @async
  * @function createQuestionAndAnswer
@@ -73,7 +82,11 @@ export async function createQuizForDeck(quizData) {
  * @param {Array<Object>} questionAndAnswer - An array of question objects to be added.
  * @param {string} questionAndAnswer[].question - The text of the question.
  * @param {string} questionAndAnswer[].related_flashcard_id - The ID of the related flashcard (optional).
- * @param {Array<Object>} questionAndAnswer[].choices - The choices associated with the question.
+ * @param {Array<Object>} [questionAndAnswer[].choices] - The choices associated with the question.
+ * @param {string} [questionAndAnswer[].answer] - The typed answer of the question.
+ * @param {string[]} [questionAndAnswer[].accepted_answers] - Other answers accepted as correct.
+ * @param {Array<Object>} [questionAndAnswer[].pairs] - The term/definition pairs of a matching question.
+ * @param {string[]} [questionAndAnswer[].related_flashcard_ids] - The IDs of the flashcards of a matching question.
  * @returns {Promise<void>} - Resolves when all questions and choices have been successfully added.
  * @throws {Error} - Throws an error if the input is invalid or if Firestore operations fail.
  */
@@ -89,28 +102,46 @@ export async function createQuestionAndAnswer(quizId, questionAndAnswer) {
 
         // Reference to Firestore collection
         const ref = db.collection('quiz').doc(quizId).collection('question_and_answers');
+        let skippedCount = 0;
 
         for (const item of questionAndAnswer) {
 
             if (!item.question || typeof item.question !== 'string') {
+                skippedCount++;
                 continue;
             }
             if (item.related_flashcard_id && typeof item.related_flashcard_id !== 'string') {
+                skippedCount++;
                 continue;
             }
-            if (!Array.isArray(item.choices) || item.choices.length === 0) {
+            const hasChoices = Array.isArray(item.choices) && item.choices.length > 0;
+            const hasAnswer = typeof item.answer === 'string' && item.answer.trim() !== '';
+            const hasPairs = Array.isArray(item.pairs) && item.pairs.length > 0;
+            if (!hasChoices && !hasAnswer && !hasPairs) {
+                skippedCount++;
+                continue;
+            }
+            // Checked before the question is added, so one bad choice does not abort the remaining questions
+            if (hasChoices && !item.choices.every(isValidChoice)) {
+                skippedCount++;
                 continue;
             }
             
             // Add question and answer to Firestore
             const questionAndAnswerRef = await ref.add({
                 question: item.question,
-                created_at: timeStamp,
+                created_at: FieldValue.serverTimestamp(),
                 related_flashcard_id: item.related_flashcard_id || null, // Allow null values
+                ...(hasAnswer && { answer: item.answer, accepted_answers: item.accepted_answers ?? [] }),
+                ...(hasPairs && { pairs: item.pairs, related_flashcard_ids: item.related_flashcard_ids ?? [] }),
             });
 
             // Create choices for the question
-            await createChoices(questionAndAnswerRef.id, item.choices, ref);
+            if (hasChoices) await createChoices(questionAndAnswerRef.id, item.choices, ref);
+        }
+
+        if (skippedCount > 0) {
+            console.warn(`createQuestionAndAnswer skipped ${skippedCount} malformed questions (quizId: ${quizId})`);
         }
     } catch (error) {
         console.error(`Error in createQuestionAndAnswer (quizId: ${quizId}):`, error);
@@ -167,6 +198,42 @@ export async function createChoices(questionAndAnswerId, choices, ref) {
     }
 }
 
+/**
+ * Checks whether a choice has a text and a correctness flag, as required by createChoices.
+ *
+ * @function isValidChoice
+ * @param {Object} choice - The choice to check.
+ * @returns {boolean} True if the choice can be stored.
+ */
+const isValidChoice = (choice) => typeof choice?.text === 'string' && choice.text !== '' && typeof choice.is_correct === 'boolean';
+
+/**
+ * Updates a quiz document in Firestore with the provided data.
+ *
+ * @async
+ * @function updateQuiz
+ * @param {string} quizId - The unique identifier of the quiz to update.
+ * @param {Object} data - The key-value pairs representing the fields to update.
+ * @returns {Promise<void>} - Resolves if the update is successful.
+ * @throws {Error} - Throws an error if the quiz ID is invalid, the data is not an object, or the update fails.
+ */
+export async function updateQuiz(quizId, data) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error("INVALID_UPDATE_DATA");
+        }
+
+        await db.collection('quiz').doc(quizId).update(data);
+    } catch (error) {
+        console.error(`Error in updateQuiz (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
 /**
  * Retrieves quizzes by deck ID and quiz type from Firestore.
  *
@@ -274,3 +341,127 @@ export async function getQuizByID(quizId, quizType) {
 }
 
 
+
+/**
+ * Marks the questions generated from a flashcard as stale, in every quiz of its deck.
+ * Stale questions are left out of quizzes until they are regenerated.
+ *
+ * @async
+ * @function markQuestionsStale
+ * @param {string} deckId - The unique identifier of the deck of the flashcard.
+ * @param {string} flashcardId - The unique identifier of the flashcard.
+ * @param {string} reason - Why the questions are stale, e.g. "flashcard_updated" or "flashcard_deleted".
+ * @returns {Promise<number>} - Returns the number of questions that were marked as stale.
+ * @throws {Error} - Throws an error if an input is invalid or the Firestore operations fail.
+ */
+export async function markQuestionsStale(deckId, flashcardId, reason) {
+    try {
+        // Validate inputs
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!flashcardId || typeof flashcardId !== 'string') {
+            throw new Error("INVALID_FLASHCARD_ID");
+        }
+        if (!reason || typeof reason !== 'string') {
+            throw new Error("INVALID_STALE_REASON");
+        }
+
+        const quizSnap = await db.collection('quiz').where("associated_deck_id", "==", deckId).get();
+        const staleRefs = [];
+
+        for (const quizDoc of quizSnap.docs) {
+            const questionsRef = quizDoc.ref.collection('question_and_answers');
+
+            // Matching questions reference all of their flashcards through related_flashcard_ids
+            const [questionSnap, matchingSnap] = await Promise.all([
+                questionsRef.where("related_flashcard_id", "==", flashcardId).get(),
+                questionsRef.where("related_flashcard_ids", "array-contains", flashcardId).get(),
+            ]);
+
+            const questionDocs = new Map([...questionSnap.docs, ...matchingSnap.docs].map(doc => [doc.id, doc]));
+            for (const questionDoc of questionDocs.values()) {
+                if (questionDoc.get('is_stale') === true) continue;
+
+                staleRefs.push(questionDoc.ref);
+            }
+        }
+
+        // A flashcard can be used by more questions than fit into one batch
+        for (let start = 0; start < staleRefs.length; start += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            staleRefs.slice(start, start + MAX_BATCH_WRITES).forEach(questionRef =>
+                batch.update(questionRef, { is_stale: true, stale_reason: reason, staled_at: FieldValue.serverTimestamp() })
+            );
+            await batch.commit();
+        }
+        return staleRefs.length;
+    } catch (error) {
+        console.error(`Error in markQuestionsStale (deckId: ${deckId}, flashcardId: ${flashcardId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Retrieves the stale questions of a quiz, without their choices.
+ *
+ * @async
+ * @function getStaleQuestions
+ * @param {string} quizId - The unique identifier of the quiz.
+ * @returns {Promise<Array<Object>>} - Returns the stale questions with their `id`.
+ * @throws {Error} - Throws an error if the quiz ID is invalid or the Firestore retrieval fails.
+ */
+export async function getStaleQuestions(quizId) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+
+        const questionSnap = await db.collection('quiz').doc(quizId).collection('question_and_answers')
+            .where("is_stale", "==", true)
+            .get();
+
+        return questionSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error(`Error in getStaleQuestions (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Deletes questions of a quiz together with their choices.
+ *
+ * @async
+ * @function deleteQuestions
+ * @param {string} quizId - The unique identifier of the quiz.
+ * @param {string[]} questionIds - The IDs of the questions to delete.
+ * @returns {Promise<void>} - Resolves when the questions have been deleted.
+ * @throws {Error} - Throws an error if an input is invalid or the Firestore operations fail.
+ */
+export async function deleteQuestions(quizId, questionIds) {
+    try {
+        // Validate inputs
+        if (!quizId || typeof quizId !== 'string') {
+            throw new Error("INVALID_QUIZ_ID");
+        }
+        if (!Array.isArray(questionIds)) {
+            throw new Error("INVALID_QUESTION_IDS");
+        }
+
+        const questionsRef = db.collection('quiz').doc(quizId).collection('question_and_answers');
+
+        for (const questionId of questionIds) {
+            const questionRef = questionsRef.doc(questionId);
+            const choicesSnap = await questionRef.collection('choices').get();
+
+            const batch = db.batch();
+            choicesSnap.docs.forEach(choiceDoc => batch.delete(choiceDoc.ref));
+            batch.delete(questionRef);
+            await batch.commit();
+        }
+    } catch (error) {
+        console.error(`Error in deleteQuestions (quizId: ${quizId}):`, error);
+        throw new Error(error.message);
+    }
+}
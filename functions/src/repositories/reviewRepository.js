@@ -0,0 +1,149 @@
+/**
+ * Review Repository
+ *
+ * @file reviewRepository.js
+ * @description Handles database operations related to flashcard reviews.
+ *
+ * The learning state of every flashcard a user reviewed is stored in the 'flashcard_reviews' subcollection of the
+ * user's document ('users/{userId}/flashcard_reviews/{deckId}_{flashcardId}'). Every review is also logged in the
+ * 'review_logs' subcollection.
+ *
+ * @module reviewRepository
+ *
+ * @requires ../config/firebaseAdminConfig.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { db } from '../config/firebaseAdminConfig.js';
+
+/**
+ * Records a review of a flashcard. The learning state is read and written in one transaction, so concurrent
+ * reviews of the same flashcard are scheduled one after the other.
+ *
+ * @async
+ * @function recordReview
+ * @param {string} userId - The ID of the reviewing user.
+ * @param {string} deckId - The ID of the deck of the flashcard.
+ * @param {string} flashcardId - The ID of the flashcard.
+ * @param {Function} schedule - Receives the stored learning state (null if the flashcard was never reviewed) and
+ * returns the fields of the new learning state.
+ * @param {Object} logEntry - The fields of the review log entry.
+ * @returns {Promise<Object>} - Returns the new learning state.
+ * @throws {Error} - Throws an error if the input is invalid, the schedule throws or the transaction fails.
+ */
+export async function recordReview(userId, deckId, flashcardId, schedule, logEntry) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+        if (!flashcardId || typeof flashcardId !== 'string') {
+            throw new Error("INVALID_FLASHCARD_ID");
+        }
+        if (typeof schedule !== 'function') {
+            throw new Error("INVALID_SCHEDULE");
+        }
+
+        const userRef = db.collection('users').doc(userId);
+        const reviewRef = userRef.collection('flashcard_reviews').doc(`${deckId}_${flashcardId}`);
+        const logRef = userRef.collection('review_logs').doc();
+
+        return await db.runTransaction(async (transaction) => {
+            const reviewSnap = await transaction.get(reviewRef);
+            const state = {
+                ...schedule(reviewSnap.exists ? reviewSnap.data() : null),
+                deck_id: deckId,
+                flashcard_id: flashcardId,
+            };
+
+            transaction.set(reviewRef, state);
+            transaction.set(logRef, { ...logEntry, deck_id: deckId, flashcard_id: flashcardId });
+
+            return state;
+        });
+    } catch (error) {
+        console.error(`Error in recordReview (userId: ${userId}, deckId: ${deckId}, flashcardId: ${flashcardId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches the learning states of a user that are due, the earliest first.
+ *
+ * Filtering by deck requires a composite index on `deck_id` and `due_at` of the 'flashcard_reviews' collection.
+ *
+ * @async
+ * @function getDueReviews
+ * @param {string} userId - The ID of the user.
+ * @param {Object} options - The query options.
+ * @param {Date} options.dueBefore - Only states due at or before this time are fetched.
+ * @param {number} options.limit - The maximum number of states.
+ * @param {string} [options.deckId] - Only fetch the states of the flashcards of this deck.
+ * @returns {Promise<Array<Object>>} - Returns the learning states.
+ * @throws {Error} - Throws an error if the input is invalid or the Firestore retrieval fails.
+ */
+export async function getDueReviews(userId, options) {
+    const { dueBefore, limit, deckId } = options;
+
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!(dueBefore instanceof Date)) {
+            throw new Error("INVALID_DUE_DATE");
+        }
+
+        let query = db.collection('users').doc(userId).collection('flashcard_reviews');
+        if (deckId) query = query.where('deck_id', '==', deckId);
+
+        const reviewSnap = await query
+            .where('due_at', '<=', dueBefore)
+            .orderBy('due_at')
+            .limit(limit)
+            .get();
+
+        return reviewSnap.docs.map(doc => doc.data());
+    } catch (error) {
+        console.error(`Error in getDueReviews (userId: ${userId}, deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Fetches the IDs of the flashcards of a deck that a user has reviewed.
+ *
+ * @async
+ * @function getReviewedFlashcardIds
+ * @param {string} userId - The ID of the user.
+ * @param {string} deckId - The ID of the deck.
+ * @returns {Promise<Set<string>>} - Returns the flashcard IDs.
+ * @throws {Error} - Throws an error if an ID is invalid or the Firestore retrieval fails.
+ */
+export async function getReviewedFlashcardIds(userId, deckId) {
+    try {
+        // Validate inputs
+        if (!userId || typeof userId !== 'string') {
+            throw new Error("INVALID_USER_ID");
+        }
+        if (!deckId || typeof deckId !== 'string') {
+            throw new Error("INVALID_DECK_ID");
+        }
+
+        const reviewSnap = await db.collection('users').doc(userId).collection('flashcard_reviews')
+            .where('deck_id', '==', deckId)
+            .select('flashcard_id')
+            .get();
+
+        return new Set(reviewSnap.docs.map(doc => doc.get('flashcard_id')));
+    } catch (error) {
+        console.error(`Error in getReviewedFlashcardIds (userId: ${userId}, deckId: ${deckId}):`, error);
+        throw new Error(error.message);
+    }
+}
@@ -31,15 +31,21 @@
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-03-20
+ * @updated 2026-10-18
  */
 
 import express from 'express';
-import { geminiFlashcardController } from '../controllers/flashcardController.js';
+import {
+    geminiFlashcardController, geminiFlashcardStreamController, geminiAppendFlashcardsController, geminiImproveFlashcardController,
+    commitDeckDraftController
+} from '../controllers/flashcardController.js';
 import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
 
 const router = express.Router();
 
+// Every route accepts an optional Idempotency-Key header, repeats with the same key replay the first response
+
 /**
  * Route: POST /generate/:id
  * Description: Handles requests to generate deck of flashcards using Google AI prompt construction. 
@@ -50,10 +56,69 @@ const router = express.Router();
  *   - subject: Subject of the flashcard (optional if file is provided)
  *   - topic: Topic of the flashcard (optional if file is provided)
  *   - addDescription: Additional context or description (optional)
+ *   - title, description: Title and description of the deck (optional, generated from the flashcards together with tags if missing)
  *   - fileName: Name of the uploaded file (optional)
  *   - fileExtension: File extension (e.g., pdf, txt)
+ *   - files: Array of { fileName, fileExtension } to generate one deck from several uploaded files (optional, max 5).
+ *     Takes precedence over fileName/fileExtension.
+ *   - pageRange: Pages of a PDF file to use, e.g. "12-30,45" (optional, also accepted per item of files)
+ *   - section: Heading or section name of a PDF file to use (optional, also accepted per item of files)
+ *   - sourceText: Pasted notes used as source material instead of (or next to) a file (optional, max 100,000 characters)
+ *   - chunked: Generate in map-reduce mode for large documents (optional, requires a file or sourceText)
+ *   - difficulty: Target difficulty of the terms: intro, intermediate or advanced (optional)
+ *   - language: Language of the terms and definitions: en, fil, es or ja (optional, independent of the file language)
+ *   - cardType: term (default), cloze, qa or reverse (optional, reverse stores a reversed copy of every card)
  *   - numberOfFlashcards: Number of flashcards to generate (2-20)
+ *   - preview: Store the generated cards as a draft instead of a deck, see POST /commit (optional, default false)
+ */
+router.post('/', verifyFirebaseToken, idempotency, geminiFlashcardController) // put verifyFirebaseToken as second parameter to enable jwt verification
+
+/**
+ * Route: POST /stream
+ * Description: Same as POST / but runs the generation within the request and streams its progress
+ * as Server-Sent Events (text/event-stream) instead of queueing a job.
+ * Request Body: Same as POST /
+ * Events:
+ *   - progress: { step, ...details } (file_downloaded, file_uploaded, file_active, chunks_prepared, chunk_generated,
+ *     flashcards_generated, flashcards_deduplicated, citations_verified, metadata_generated, deck_embedded, deck_saved, draft_saved, retry)
+ *   - complete: { deck_id, duplicates_removed, quality_report }, or { draft_id, expires_at, flashcards, ... } for a preview
+ *   - error: { error, message }
+ */
+router.post('/stream', verifyFirebaseToken, idempotency, geminiFlashcardStreamController)
+
+/**
+ * Route: POST /append
+ * Description: Queues a job that generates flashcards and appends them to an existing deck of the user.
+ * The terms already in the deck are sent to the AI so they are not repeated.
+ * Request Body:
+ *   - deckId: ID of the deck to add the flashcards to
+ *   - numberOfFlashcards: Number of flashcards to add (1-50)
+ *   - subject, topic, deckDescription, difficulty, language, cardType: Context of the new flashcards (optional, the deck title and description are used as well)
+ *   - fileName, fileExtension, files, pageRange, section, sourceText, chunked: Same as POST / (optional)
+ */
+router.post('/append', verifyFirebaseToken, idempotency, geminiAppendFlashcardsController)
+
+/**
+ * Route: POST /improve
+ * Description: Proposes an improved replacement for a single flashcard, built from the deck's context.
+ * Request Body:
+ *   - deckId: ID of the deck the flashcard belongs to
+ *   - flashcardId: ID of the flashcard to improve
+ *   - mode: regenerate, shorten, simplify, fix-accuracy or add-example
+ *   - commit: Replace the flashcard with the proposal and stamp its updated_at (optional, default false)
+ */
+router.post('/improve', verifyFirebaseToken, idempotency, geminiImproveFlashcardController)
+
+/**
+ * Route: POST /commit
+ * Description: Persists and embeds the deck of a previewed generation (preview: true).
+ * Request Body:
+ *   - draftId: ID of the draft returned by the preview
+ *   - edits: Array of { id, term, definition } replacing the texts of draft cards (optional)
+ *   - removals: IDs of draft cards to leave out (optional)
+ *   - order: IDs of draft cards in the order they should come first (optional, unlisted cards follow)
+ *   - title, description: Replace the title and description given with the preview (optional)
  */
-router.post('/', verifyFirebaseToken, geminiFlashcardController) // put verifyFirebaseToken as second parameter to enable jwt verification
+router.post('/commit', verifyFirebaseToken, idempotency, commitDeckDraftController)
 
 export default router;
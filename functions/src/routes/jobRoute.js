@@ -0,0 +1,37 @@
+/**
+ * Deck API - Job Router
+ *
+ * @file jobRoute.js
+ * @description This module defines the routes for polling asynchronous generation jobs 
+ * (flashcards, quiz and moderation) created by the generation routes.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ * 
+ * @module router
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { getJobStatusController } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+/**
+ * Route: GET /v2/deck/jobs/:jobId
+ * Description: Returns the status of a generation job owned by the requesting user.
+ * Parameters:
+ *   - jobId: The ID of the job returned by the generation routes
+ * Response Data:
+ *   - status: queued | running | succeeded | failed
+ *   - step: The current progress step of the job
+ *   - deck_id: The resulting (or referenced) deck ID
+ *   - error_code: The error code if the job has failed
+ */
+router.get('/:jobId', verifyFirebaseToken, getJobStatusController)
+
+export default router;
@@ -0,0 +1,37 @@
+/**
+ * Deck API - Quiz Attempt Router
+ *
+ * @file quizAttemptRoute.js
+ * @description This module defines the routes for the attempts learners take quizzes in.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ *
+ * @module router
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { submitQuizAttemptController } from '../controllers/quizController.js';
+
+const router = express.Router();
+
+/**
+ * Route: POST /v2/deck/quiz/attempts/:attemptId/submit
+ * Description: Grades the answers of a quiz attempt against the stored quiz and stores the graded attempt.
+ * Parameters:
+ *   - attemptId: The attempt_id returned with the quiz
+ * Request Body:
+ *   - answers: The answers, each with the question_id and, depending on the question,
+ *     a choice_id, an answer or the matches of term IDs to definition IDs
+ * Headers:
+ *   - Idempotency-Key: Repeats with the same key replay the first response (optional)
+ */
+router.post('/:attemptId/submit', verifyFirebaseToken, idempotency, submitQuizAttemptController)
+
+export default router;
@@ -13,11 +13,12 @@
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-27
- * @updated 2025-03-20
+ * @updated 2026-10-18
  */
 
 import express from 'express';
 import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
 import { geminiQuizController } from '../controllers/quizController.js';
 
 const router = express.Router();
@@ -29,7 +30,11 @@ const router = express.Router();
  *   - id: Unique identifier from the request URL
  * Request Body:
  *   - deckId: The UID of a deck in the database that will be the reference for creating the quiz.
+ *   - numOfQuiz: The number of questions to return, 5-50 (optional, half of the questions by default)
+ *   - quizType: multiple-choice (default), true-false, identification, fill-in-the-blank or matching (optional)
+ * Headers:
+ *   - Idempotency-Key: Repeats with the same key replay the first response (optional)
  */
-router.post('/', verifyFirebaseToken, geminiQuizController) // put verifyFirebaseToken as second parameter to enable jwt verification
+router.post('/', verifyFirebaseToken, idempotency, geminiQuizController) // put verifyFirebaseToken as second parameter to enable jwt verification
 
 export default router;
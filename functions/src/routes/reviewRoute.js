@@ -0,0 +1,49 @@
+/**
+ * Deck API - Review Router
+ *
+ * @file reviewRoute.js
+ * @description This module defines the routes for the spaced-repetition review of flashcards.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ *
+ * @module router
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { getDueReviewsController, reviewFlashcardController } from '../controllers/reviewController.js';
+
+const router = express.Router();
+
+/**
+ * Route: GET /v2/deck/reviews/due
+ * Description: Returns the review queue of the requesting user: the flashcards due by the end of the day,
+ * the most overdue first.
+ * Query:
+ *   - deckId: (optional) Only list the flashcards of this deck, followed by flashcards that were never reviewed
+ *   - limit: (optional) The maximum number of due flashcards, 1-100 (default 50)
+ *   - newLimit: (optional) The maximum number of never reviewed flashcards of the deck, 0-50 (default 10)
+ *   - utcOffset: (optional) The offset of the user's time zone from UTC in minutes, e.g. 480 for UTC+8 (default 0)
+ */
+router.get('/due', verifyFirebaseToken, getDueReviewsController)
+
+/**
+ * Route: POST /v2/deck/reviews/:deckId/flashcards/:flashcardId
+ * Description: Records the review of a flashcard and schedules its next review.
+ * Parameters:
+ *   - deckId: The ID of the deck of the flashcard
+ *   - flashcardId: The ID of the flashcard
+ * Request Body:
+ *   - grade: again, hard, good or easy
+ * Headers:
+ *   - Idempotency-Key: Repeats with the same key replay the first response (optional)
+ */
+router.post('/:deckId/flashcards/:flashcardId', verifyFirebaseToken, idempotency, reviewFlashcardController)
+
+export default router;
@@ -0,0 +1,55 @@
+/**
+ * Deck API - Taxonomy Router
+ *
+ * @file taxonomyRoute.js
+ * @description This module defines the routes for the subject taxonomy decks are classified into.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ *
+ * @module router
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import {
+    getSubjectTaxonomyController,
+    listDecksByTaxonomyController,
+    backfillTaxonomyController
+} from '../controllers/taxonomyController.js';
+
+const router = express.Router();
+
+/**
+ * Route: GET /v2/deck/taxonomy
+ * Description: Returns the current taxonomy version and its nodes.
+ * Response Data:
+ *   - version: The taxonomy version decks are classified with
+ *   - nodes: The nodes in tree order, each with its id, label, path, labels and is_leaf
+ */
+router.get('/', verifyFirebaseToken, getSubjectTaxonomyController)
+
+/**
+ * Route: GET /v2/deck/taxonomy/:nodeId/decks
+ * Description: Lists the decks classified into a taxonomy node or one of its descendants, newest first.
+ * Parameters:
+ *   - nodeId: The ID of the taxonomy node, e.g. "stem.computer_science"
+ * Query:
+ *   - scope: (optional) public (default) for the public decks, mine for the decks of the requesting user
+ *   - limit: (optional) The maximum number of decks, 1-50 (default 20)
+ *   - cursor: (optional) The next_cursor of the previous page
+ */
+router.get('/:nodeId/decks', verifyFirebaseToken, listDecksByTaxonomyController)
+
+/**
+ * Route: POST /v2/deck/taxonomy/backfill
+ * Description: Queues a job classifying every deck that is not classified with the current taxonomy version.
+ * Requires the admin custom claim.
+ */
+router.post('/backfill', verifyFirebaseToken, backfillTaxonomyController)
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * Deck API - Translation Router
+ *
+ * @file translationRoute.js
+ * @description This module defines the route that translates a deck into another language.
+ * The translation runs as an asynchronous job and creates a new deck linked to the original one.
+ *
+ * External Dependencies:
+ * - Firebase: Firebase App initialization for configuration management.
+ * 
+ * @module router
+ * 
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../config/firebaseAdminConfig.js';
+import { idempotency } from '../middleware/idempotencyMiddleware.js';
+import { translateDeckController } from '../controllers/translationController.js';
+
+const router = express.Router();
+
+/**
+ * Route: POST /v2/deck/translate
+ * Description: Queues a job that creates a translated copy of a deck (own or public) for the requesting user.
+ * Request Body:
+ *   - deckId: ID of the deck to translate
+ *   - language: Code of the target language: en, fil, es or ja
+ * Headers:
+ *   - Idempotency-Key: Repeats with the same key replay the first response (optional)
+ * Job Result:
+ *   - deck_id: ID of the new deck, linked to the original through translated_from
+ *   - flashcard_ids: { source_flashcard_id, flashcard_id } of every flashcard, in the order of the original deck
+ */
+router.post('/', verifyFirebaseToken, idempotency, translateDeckController)
+
+export default router;
@@ -0,0 +1,77 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const clozeCardSchema = {
+    description: "List of cloze deletion cards or an error message if generation fails",
+    type: SchemaType.OBJECT,
+    properties: {
+        cloze_cards: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    text: {
+                        type: SchemaType.STRING,
+                        description: "A sentence with at least one deletion marked as {{c1::answer}} or {{c1::answer::hint}}",
+                        nullable: false,
+                    },
+                    difficulty: {
+                        type: SchemaType.STRING,
+                        description: "The difficulty of the card",
+                        enum: ["intro", "intermediate", "advanced"],
+                        nullable: true,
+                    },
+                    bloom_level: {
+                        type: SchemaType.STRING,
+                        description: "The level of Bloom's taxonomy the card targets",
+                        enum: ["remember", "understand", "apply", "analyze"],
+                        nullable: true,
+                    },
+                    source_file: {
+                        type: SchemaType.STRING,
+                        description: "The exact name of the source file the card was taken from, when more than one file is given",
+                        nullable: true,
+                    },
+                    source_pages: {
+                        type: SchemaType.ARRAY,
+                        description: "The page numbers of the source material the card was taken from",
+                        items: { type: SchemaType.INTEGER },
+                        nullable: true,
+                    },
+                    source_quote: {
+                        type: SchemaType.STRING,
+                        description: "A short verbatim quote from the source material that supports the card",
+                        nullable: true,
+                    },
+                    example: {
+                        type: SchemaType.STRING,
+                        description: "A worked example sentence using the hidden term, only when requested",
+                        nullable: true,
+                    },
+                    mnemonic: {
+                        type: SchemaType.STRING,
+                        description: "A short mnemonic that helps to remember the hidden term, only when requested",
+                        nullable: true,
+                    },
+                    related_terms: {
+                        type: SchemaType.ARRAY,
+                        description: "Closely related terms worth studying next, only when requested",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                    pronunciation: {
+                        type: SchemaType.STRING,
+                        description: "A pronunciation hint for a foreign-language term, only when requested",
+                        nullable: true,
+                    },
+                },
+                required: ["text"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if AI cannot generate a response due to inappropriate content or context",
+            nullable: true,
+        },
+    },
+    required: ["cloze_cards"],
+};
@@ -0,0 +1,28 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const deckClassificationSchema = {
+    description: "The subject taxonomy node of every classified deck",
+    type: SchemaType.OBJECT,
+    properties: {
+        classifications: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    deck_id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the classified deck",
+                        nullable: false,
+                    },
+                    node_id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the most specific taxonomy node that fits the deck",
+                        nullable: false,
+                    },
+                },
+                required: ["deck_id", "node_id"],
+            },
+        },
+    },
+    required: ["classifications"],
+};
@@ -0,0 +1,25 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const deckMetadataSchema = {
+    description: "The title, description and subject tags of a deck of flashcards",
+    type: SchemaType.OBJECT,
+    properties: {
+        title: {
+            type: SchemaType.STRING,
+            description: "A concise title of the deck",
+            nullable: false,
+        },
+        description: {
+            type: SchemaType.STRING,
+            description: "A one-paragraph description of the deck",
+            nullable: false,
+        },
+        tags: {
+            type: SchemaType.ARRAY,
+            description: "3 to 8 subject tags of the deck",
+            items: { type: SchemaType.STRING },
+            nullable: false,
+        },
+    },
+    required: ["title", "description", "tags"],
+};
@@ -0,0 +1,44 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const fillInTheBlankQuizSchema = {
+    description: "A fill-in-the-blank quiz, or an error message if the quiz cannot be generated",
+    type: SchemaType.OBJECT,
+    properties: {
+        quiz: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: {
+                        type: SchemaType.STRING,
+                        description: "A sentence with exactly one blank written as _____",
+                        nullable: false,
+                    },
+                    related_flashcard_id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard the sentence is based on",
+                        nullable: true,
+                    },
+                    answer: {
+                        type: SchemaType.STRING,
+                        description: "The word or phrase that fills the blank",
+                        nullable: false,
+                    },
+                    accepted_answers: {
+                        type: SchemaType.ARRAY,
+                        description: "Other spellings, abbreviations or synonyms that correctly fill the blank",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                },
+                required: ["question", "answer"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if the quiz cannot be generated",
+            nullable: true,
+        },
+    },
+    required: ["quiz"],
+};
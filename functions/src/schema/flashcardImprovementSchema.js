@@ -0,0 +1,19 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardImprovementSchema = {
+    description: "The proposed replacement of a single flashcard",
+    type: SchemaType.OBJECT,
+    properties: {
+        term: {
+            type: SchemaType.STRING,
+            description: "The term of the improved flashcard",
+            nullable: false,
+        },
+        definition: {
+            type: SchemaType.STRING,
+            description: "The definition of the improved flashcard",
+            nullable: false,
+        },
+    },
+    required: ["term", "definition"],
+};
@@ -0,0 +1,33 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardRepairSchema = {
+    description: "The fixed versions of flashcards that failed the quality check",
+    type: SchemaType.OBJECT,
+    properties: {
+        flashcards: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard that was fixed",
+                        nullable: false,
+                    },
+                    term: {
+                        type: SchemaType.STRING,
+                        description: "The fixed term",
+                        nullable: false,
+                    },
+                    definition: {
+                        type: SchemaType.STRING,
+                        description: "The fixed definition",
+                        nullable: false,
+                    },
+                },
+                required: ["id", "term", "definition"],
+            },
+        },
+    },
+    required: ["flashcards"],
+};
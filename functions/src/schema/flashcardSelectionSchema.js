@@ -0,0 +1,16 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardSelectionSchema = {
+    description: "IDs of the candidate flashcards selected for the final deck",
+    type: SchemaType.OBJECT,
+    properties: {
+        selected_ids: {
+            type: SchemaType.ARRAY,
+            description: "The IDs of the selected candidate flashcards, without duplicates",
+            items: {
+                type: SchemaType.STRING,
+            },
+        },
+    },
+    required: ["selected_ids"],
+};
@@ -0,0 +1,59 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const flashcardTranslationSchema = {
+    description: "The translated deck title, description and flashcards",
+    type: SchemaType.OBJECT,
+    properties: {
+        title: {
+            type: SchemaType.STRING,
+            description: "The translated deck title, only when a title is given",
+            nullable: true,
+        },
+        description: {
+            type: SchemaType.STRING,
+            description: "The translated deck description, only when a description is given",
+            nullable: true,
+        },
+        flashcards: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    id: {
+                        type: SchemaType.STRING,
+                        description: "The unchanged ID of the given flashcard",
+                        nullable: false,
+                    },
+                    term: {
+                        type: SchemaType.STRING,
+                        description: "The translated term",
+                        nullable: false,
+                    },
+                    definition: {
+                        type: SchemaType.STRING,
+                        description: "The translated definition",
+                        nullable: false,
+                    },
+                    example: {
+                        type: SchemaType.STRING,
+                        description: "The translated example sentence, only when the flashcard has one",
+                        nullable: true,
+                    },
+                    mnemonic: {
+                        type: SchemaType.STRING,
+                        description: "The translated mnemonic, only when the flashcard has one",
+                        nullable: true,
+                    },
+                    related_terms: {
+                        type: SchemaType.ARRAY,
+                        description: "The translated related terms, only when the flashcard has them",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                },
+                required: ["id", "term", "definition"],
+            },
+        },
+    },
+    required: ["flashcards"],
+};
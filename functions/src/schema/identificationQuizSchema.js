@@ -0,0 +1,44 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const identificationQuizSchema = {
+    description: "An identification quiz with typed answers, or an error message if the quiz cannot be generated",
+    type: SchemaType.OBJECT,
+    properties: {
+        quiz: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: {
+                        type: SchemaType.STRING,
+                        description: "A description of the term the student has to identify, without the term itself",
+                        nullable: false,
+                    },
+                    related_flashcard_id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard the question is based on",
+                        nullable: true,
+                    },
+                    answer: {
+                        type: SchemaType.STRING,
+                        description: "The term that answers the question",
+                        nullable: false,
+                    },
+                    accepted_answers: {
+                        type: SchemaType.ARRAY,
+                        description: "Other spellings, abbreviations or synonyms that are accepted as correct",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                },
+                required: ["question", "answer"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if the quiz cannot be generated",
+            nullable: true,
+        },
+    },
+    required: ["quiz"],
+};
@@ -0,0 +1,53 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const matchingQuizSchema = {
+    description: "A matching quiz, or an error message if the quiz cannot be generated",
+    type: SchemaType.OBJECT,
+    properties: {
+        quiz: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: {
+                        type: SchemaType.STRING,
+                        description: "The instruction of the matching question",
+                        nullable: true,
+                    },
+                    pairs: {
+                        type: SchemaType.ARRAY,
+                        description: "The terms and the descriptions they have to be matched with",
+                        items: {
+                            type: SchemaType.OBJECT,
+                            properties: {
+                                related_flashcard_id: {
+                                    type: SchemaType.STRING,
+                                    description: "The ID of the flashcard the pair is based on",
+                                    nullable: true,
+                                },
+                                term: {
+                                    type: SchemaType.STRING,
+                                    description: "The term",
+                                    nullable: false,
+                                },
+                                definition: {
+                                    type: SchemaType.STRING,
+                                    description: "The rephrased description the term has to be matched with",
+                                    nullable: false,
+                                },
+                            },
+                            required: ["term", "definition"],
+                        },
+                    },
+                },
+                required: ["pairs"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if the quiz cannot be generated",
+            nullable: true,
+        },
+    },
+    required: ["quiz"],
+};
@@ -19,6 +19,55 @@ export const promptFlashCardSchema = {
                         description: "The term that the definition pertains to",
                         nullable: true, // Now nullable in case AI cannot generate a response
                     },
+                    difficulty: {
+                        type: SchemaType.STRING,
+                        description: "The difficulty of the term",
+                        enum: ["intro", "intermediate", "advanced"],
+                        nullable: true,
+                    },
+                    bloom_level: {
+                        type: SchemaType.STRING,
+                        description: "The level of Bloom's taxonomy the flashcard targets",
+                        enum: ["remember", "understand", "apply", "analyze"],
+                        nullable: true,
+                    },
+                    source_file: {
+                        type: SchemaType.STRING,
+                        description: "The exact name of the source file the term was taken from, when more than one file is given",
+                        nullable: true,
+                    },
+                    source_pages: {
+                        type: SchemaType.ARRAY,
+                        description: "The page numbers of the source material the term was taken from",
+                        items: { type: SchemaType.INTEGER },
+                        nullable: true,
+                    },
+                    source_quote: {
+                        type: SchemaType.STRING,
+                        description: "A short verbatim quote from the source material that supports the term",
+                        nullable: true,
+                    },
+                    example: {
+                        type: SchemaType.STRING,
+                        description: "A worked example sentence using the term, only when requested",
+                        nullable: true,
+                    },
+                    mnemonic: {
+                        type: SchemaType.STRING,
+                        description: "A short mnemonic that helps to remember the term, only when requested",
+                        nullable: true,
+                    },
+                    related_terms: {
+                        type: SchemaType.ARRAY,
+                        description: "Closely related terms worth studying next, only when requested",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                    pronunciation: {
+                        type: SchemaType.STRING,
+                        description: "A pronunciation hint for a foreign-language term, only when requested",
+                        nullable: true,
+                    },
                 },
                 required: [], // No required fields, as they can be null
             },
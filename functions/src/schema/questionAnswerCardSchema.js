@@ -0,0 +1,82 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const questionAnswerCardSchema = {
+    description: "List of question and answer cards or an error message if generation fails",
+    type: SchemaType.OBJECT,
+    properties: {
+        questions_and_answers: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: {
+                        type: SchemaType.STRING,
+                        description: "The question of the card",
+                        nullable: false,
+                    },
+                    answer: {
+                        type: SchemaType.STRING,
+                        description: "The answer to the question",
+                        nullable: false,
+                    },
+                    difficulty: {
+                        type: SchemaType.STRING,
+                        description: "The difficulty of the card",
+                        enum: ["intro", "intermediate", "advanced"],
+                        nullable: true,
+                    },
+                    bloom_level: {
+                        type: SchemaType.STRING,
+                        description: "The level of Bloom's taxonomy the card targets",
+                        enum: ["remember", "understand", "apply", "analyze"],
+                        nullable: true,
+                    },
+                    source_file: {
+                        type: SchemaType.STRING,
+                        description: "The exact name of the source file the card was taken from, when more than one file is given",
+                        nullable: true,
+                    },
+                    source_pages: {
+                        type: SchemaType.ARRAY,
+                        description: "The page numbers of the source material the card was taken from",
+                        items: { type: SchemaType.INTEGER },
+                        nullable: true,
+                    },
+                    source_quote: {
+                        type: SchemaType.STRING,
+                        description: "A short verbatim quote from the source material that supports the card",
+                        nullable: true,
+                    },
+                    example: {
+                        type: SchemaType.STRING,
+                        description: "A worked example sentence applying the concept, only when requested",
+                        nullable: true,
+                    },
+                    mnemonic: {
+                        type: SchemaType.STRING,
+                        description: "A short mnemonic that helps to remember the answer, only when requested",
+                        nullable: true,
+                    },
+                    related_terms: {
+                        type: SchemaType.ARRAY,
+                        description: "Closely related terms worth studying next, only when requested",
+                        items: { type: SchemaType.STRING },
+                        nullable: true,
+                    },
+                    pronunciation: {
+                        type: SchemaType.STRING,
+                        description: "A pronunciation hint for a foreign-language term, only when requested",
+                        nullable: true,
+                    },
+                },
+                required: ["question", "answer"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if AI cannot generate a response due to inappropriate content or context",
+            nullable: true,
+        },
+    },
+    required: ["questions_and_answers"],
+};
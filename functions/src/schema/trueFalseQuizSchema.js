@@ -0,0 +1,38 @@
+import { SchemaType } from "@google/generative-ai";
+
+export const trueFalseQuizSchema = {
+    description: "A true/false quiz, or an error message if the quiz cannot be generated",
+    type: SchemaType.OBJECT,
+    properties: {
+        quiz: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    question: {
+                        type: SchemaType.STRING,
+                        description: "A statement about the flashcard that is either true or false",
+                        nullable: false,
+                    },
+                    related_flashcard_id: {
+                        type: SchemaType.STRING,
+                        description: "The ID of the flashcard the statement is based on",
+                        nullable: true,
+                    },
+                    is_true: {
+                        type: SchemaType.BOOLEAN,
+                        description: "Whether the statement is true",
+                        nullable: false,
+                    },
+                },
+                required: ["question", "is_true"],
+            },
+        },
+        errorMessage: {
+            type: SchemaType.STRING,
+            description: "Error message if the quiz cannot be generated",
+            nullable: true,
+        },
+    },
+    required: ["quiz"],
+};
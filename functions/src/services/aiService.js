@@ -10,31 +10,74 @@
  * 
  * @requires ../config/geminiConfig.js
  * @requires ../schema/promptFlashCardSchema.js
+ * @requires ../schema/clozeCardSchema.js
+ * @requires ../schema/questionAnswerCardSchema.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-03-20
+ * @updated 2026-10-18
  * 
  */
 
 import { getModel, fileManager } from '../config/geminiConfig.js';
 import { promptFlashCardSchema } from '../schema/promptFlashCardSchema.js'
+import { clozeCardSchema } from '../schema/clozeCardSchema.js';
+import { questionAnswerCardSchema } from '../schema/questionAnswerCardSchema.js';
 import { moderatedFlashcardsSchema } from '../schema/flashcardModerationSchema.js';
-import { getMimeType } from '../utils/utils.js';
+import { getMimeType, DIFFICULTY_LEVELS, BLOOM_LEVELS, isValidCloze, revealCloze } from '../utils/utils.js';
 import { logger } from 'firebase-functions';
 // import { Threads } from 'openai/resources/beta/index.mjs';
 
 /**
- * Sends a prompt to the Gemini model, optionally including a PDF file.
+ * The response schema, validation and conversion of every card type.
+ * `toFlashcards` converts a valid response to term/definition pairs, which is how every card is stored.
+ */
+const CARD_FORMATS = {
+    term: {
+        schema: promptFlashCardSchema,
+        validate: (response) => validateFlashcardResponse(response),
+        toFlashcards: (response) => response.terms_and_definitions,
+    },
+    cloze: {
+        schema: clozeCardSchema,
+        validate: (response) => validateClozeResponse(response),
+        toFlashcards: (response) => response.cloze_cards.map(({ text, ...card }) => ({
+            ...card,
+            term: text,
+            definition: revealCloze(text),
+        })),
+    },
+    qa: {
+        schema: questionAnswerCardSchema,
+        validate: (response) => validateQuestionAnswerResponse(response),
+        toFlashcards: (response) => response.questions_and_answers.map(({ question, answer, ...card }) => ({
+            ...card,
+            term: question,
+            definition: answer,
+        })),
+    },
+};
+
+// Reverse cards are generated as term/definition pairs, the reversed copies are added afterwards
+CARD_FORMATS.reverse = CARD_FORMATS.term;
+
+/**
+ * Sends a prompt to the Gemini model, optionally including one or more source files.
  * 
  * @async
- * @param {boolean} isTherePdf - Indicates whether a PDF file is included.
+ * @param {boolean} isTherePdf - Indicates whether source files are included.
  * @param {string} prompt - The prompt text to be sent to the Gemini model.
- * @param {string} [filePath=""] - The path to the PDF file (if any).
- * @param {string} [fileExtension=""] - The file extension of the PDF.
+ * @param {Array<{filePath: string, fileExtension: string}>} [sourceFiles=[]] - The local files passed to the model,
+ * in the order they are referenced by the prompt.
+ * @param {Function} [onProgress] - Optional callback notified with the completed steps
+ * (file_uploaded, file_active, flashcards_generated) and with every retry attempt.
+ * @param {string} [cardType='term'] - The card type the prompt asks for, one of CARD_TYPES. The response is validated
+ * against the rules of that type and converted to `terms_and_definitions` with the `card_type` of every card.
  * @returns {Promise<string>} - The response content generated by the model.
  */
-export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath = "", fileExtension = "") {
+export async function sendPromptFlashcardGeneration(isTherePdf, prompt, sourceFiles = [], onProgress = () => {}, cardType = 'term') {
+    const cardFormat = CARD_FORMATS[cardType] ?? CARD_FORMATS.term;
+
     let attempt = 0;
     const MAX_RETRIES = 3; // Maximum retry attempts
     const BASE_DELAY = 1000; // Initial delay in ms (1 second)
@@ -50,51 +93,57 @@ export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath
             if (typeof prompt !== "string" || prompt.trim() === "") {
                 throw new Error("Invalid argument: prompt must be a non-empty string.");
             }
-            if (isTherePdf && (typeof filePath !== "string" || filePath.trim() === "")) {
-                throw new Error("Invalid argument: filePath must be a non-empty string when isTherePdf is true.");
+            if (isTherePdf && (!Array.isArray(sourceFiles) || sourceFiles.length === 0)) {
+                throw new Error("Invalid argument: sourceFiles must be a non-empty array when isTherePdf is true.");
             }
-            if (isTherePdf && (typeof fileExtension !== "string" || fileExtension.trim() === "")) {
-                throw new Error("Invalid argument: fileExtension must be a non-empty string when isTherePdf is true.");
+            for (const sourceFile of isTherePdf ? sourceFiles : []) {
+                if (typeof sourceFile.filePath !== "string" || sourceFile.filePath.trim() === "") {
+                    throw new Error("Invalid argument: filePath must be a non-empty string when isTherePdf is true.");
+                }
+                if (typeof sourceFile.fileExtension !== "string" || sourceFile.fileExtension.trim() === "") {
+                    throw new Error("Invalid argument: fileExtension must be a non-empty string when isTherePdf is true.");
+                }
             }
             
             let result;
-            const model = getModel(promptFlashCardSchema, "gemini-2.0-flash");
+            const model = getModel(cardFormat.schema, "gemini-2.0-flash");
         
             if (isTherePdf) {
-                // Validate file extension
-                const fileType = getMimeType(fileExtension);
-                
-                if (!fileType) {
-                    throw new Error("Unsupported file type. Please provide a valid file extension.");
-                }
-
-                // Upload file and wait for activation
-                const files = [await uploadToGemini(filePath, fileType)];
-
-                if(files.length < 0) throw new Error("No files were returned");
-                
-                await waitForFilesActive(files);
-                
-                // Ensure file upload was successful
-                if (!files[0]?.uri) {
-                    throw new Error("File upload failed. No URI received.");
+                // Every file that was uploaded is deleted again, whether or not the generation succeeds
+                let files = [];
+                try {
+                    const uploads = await Promise.allSettled(sourceFiles.map(sourceFile =>
+                        uploadToGemini(sourceFile.filePath, getMimeType(sourceFile.fileExtension))
+                    ));
+                    files = uploads.filter(upload => upload.status === 'fulfilled').map(upload => upload.value);
+
+                    const failedUpload = uploads.find(upload => upload.status === 'rejected');
+                    if (failedUpload) throw failedUpload.reason;
+
+                    if(files.length === 0) throw new Error("No files were returned");
+                    onProgress('file_uploaded', { attempt: attempt + 1, file_count: files.length });
+
+                    await waitForFilesActive(files);
+
+                    // Ensure file upload was successful
+                    if (files.some(file => !file?.uri)) {
+                        throw new Error("File upload failed. No URI received.");
+                    }
+                    onProgress('file_active', { attempt: attempt + 1, file_count: files.length });
+
+                    result = await model.generateContent([
+                        ...files.map(file => ({
+                            fileData: {
+                                mimeType: file.mimeType,
+                                fileUri: file.uri,
+                            },
+                        })),
+                        { text: prompt },
+                    ]);
+                } finally {
+                    await deleteFilesInGemini(files);
                 }
-            
-                result = await model.generateContent([
-                    {
-                        fileData: {
-                            mimeType: files[0].mimeType,
-                            fileUri: files[0].uri,
-                        },
-                    },
-                    { text: prompt },
-                ]);
 
-                //Delete the file after use
-                const fullName = files[0].name; 
-                const fileId = fullName.split('/').pop();
-                await deleteFileInGemini(fileId);
-                
             } else {
                 result = await model.generateContent(prompt);
             }
@@ -104,18 +153,28 @@ export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath
             
             const response = JSON.parse(result.response.candidates[0].content.parts[0].text);
 
-            if(!validateFlashcardResponse(response)) throw new Error("INVALID_RESPONSE_FORMAT");
+            if(!cardFormat.validate(response)) throw new Error("INVALID_RESPONSE_FORMAT");
+
+            const flashcards = cardFormat.toFlashcards(response).map(card => ({
+                ...card,
+                card_type: cardType === 'reverse' ? 'term' : cardType,
+            }));
+
+            onProgress('flashcards_generated', { count: flashcards.length });
 
             return {
                 message: "Prompt was sent successfully",
-                data: response,
+                data: {
+                    terms_and_definitions: flashcards,
+                },
             };
 
         } catch (error) {
             const retryableErrors = ["NetworkError", "TimeoutError", "ServiceUnavailable", "INVALID_RESPONSE_FORMAT"];
             console.error(`Error on attempt ${attempt + 1}: ${error} ${error.message}`);
 
-            if (!retryableErrors.includes(error.name)) {
+            // Our own errors carry their code in the message, not in the name
+            if (!retryableErrors.includes(error.name) && !retryableErrors.includes(error.message)) {
                 console.error("Non-retryable error encountered:", error.message);
                 return {
                     success: false,
@@ -136,6 +195,7 @@ export async function sendPromptFlashcardGeneration(isTherePdf, prompt, filePath
             // Exponential backoff delay
             const delay = BASE_DELAY * Math.pow(2, attempt); // 1s, 2s, 4s...
             console.log(`Retrying in ${delay / 1000} seconds...`);
+            onProgress('retry', { attempt: attempt + 2, max_attempts: MAX_RETRIES, delay_ms: delay, reason: error.message });
             await new Promise(resolve => setTimeout(resolve, delay));
         }
         attempt++; // Increment attempt count
@@ -197,6 +257,57 @@ export async function sendPromptModeration(prompt) {
     }
 }
 
+/**
+ * Sends a text-only prompt to the Gemini model and parses the JSON response.
+ * 
+ * @async
+ * @param {object} schema - The reponse schema that the ai will follow
+ * @param {string} prompt - The prompt text to be sent to the Gemini model.
+ * @returns {Promise<Object>} - The parsed response content generated by the model.
+ */
+export async function sendPromptJson(schema, prompt) {
+    let attempt = 0;
+    const MAX_RETRIES = 3; // Maximum retry attempts
+    const BASE_DELAY = 1000; // Initial delay in ms (1 second)
+    const model = getModel(schema, "gemini-2.0-flash");
+
+    while (attempt < MAX_RETRIES) {
+        try {
+            logger.info(`Attempt ${attempt + 1} to send JSON prompt...`);
+
+            const result = await model.generateContent(prompt);
+
+            // Ensure response is valid
+            if (!result?.response?.candidates?.[0]?.content?.parts?.[0]?.text) {
+                throw new Error("Invalid response received from the model.");
+            }
+
+            return JSON.parse(result.response.candidates[0].content.parts[0].text);
+
+        } catch (error) {
+            const retryableErrors = ["NetworkError", "TimeoutError", "ServiceUnavailable", "SyntaxError"];
+            console.error(`Error on attempt ${attempt + 1}: ${error.message}`);
+
+            if (!retryableErrors.includes(error.name)) {
+                console.error("Non-retryable error encountered:", error.message);
+                throw new Error(error.message);
+            }
+
+            if (attempt === MAX_RETRIES - 1) {
+                console.error("Max retry attempts reached. Returning failure.");
+                throw new Error(error.message);
+            }
+
+            // Exponential backoff delay
+            const delay = BASE_DELAY * Math.pow(2, attempt); // 1s, 2s, 4s...
+            console.log(`Retrying in ${delay / 1000} seconds...`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        attempt++; // Increment attempt count
+    }
+}
+
 /**
  * Sends a prompt to the Gemini model using prompt and inline data, to do task
  * 
@@ -323,6 +434,21 @@ export async function deleteFileInGemini(fileId) {
     }
 }
 
+/**
+ * Deletes uploaded files from Gemini. A failed deletion is logged and does not fail the caller.
+ *
+ * @async
+ * @param {Array<Object>} files - The uploaded files, as returned by uploadToGemini.
+ * @returns {Promise<void>}
+ */
+async function deleteFilesInGemini(files) {
+    const deletions = await Promise.allSettled(files.map(file => deleteFileInGemini(file.name.split('/').pop())));
+
+    deletions
+        .filter(deletion => deletion.status === 'rejected')
+        .forEach(deletion => console.error("Failed to delete an uploaded file from Gemini:", deletion.reason?.message));
+}
+
 /**
  * Waits until all uploaded files are in the 'ACTIVE' state.
  * 
@@ -384,6 +510,9 @@ export async function countToken(modelName = null, content){
  * @param {Array<Object>} response.terms_and_definitions - An array of term-definition pairs.
  * @param {string} response.terms_and_definitions[].term - The term as a string.
  * @param {string} response.terms_and_definitions[].definition - The definition as a string.
+ * @param {string} [response.terms_and_definitions[].source_file] - The source file name as a string (optional).
+ * @param {string} [response.terms_and_definitions[].difficulty] - One of DIFFICULTY_LEVELS, in any case (optional).
+ * @param {string} [response.terms_and_definitions[].bloom_level] - One of BLOOM_LEVELS, in any case (optional).
  * @returns {boolean} - Returns `true` if the response is valid, otherwise `false`.
  */
 function validateFlashcardResponse(response) {
@@ -399,11 +528,72 @@ function validateFlashcardResponse(response) {
         if (
             typeof item !== "object" ||
             typeof item.term !== "string" ||
-            typeof item.definition !== "string"
+            typeof item.definition !== "string" ||
+            !hasValidCardMetadata(item)
         ) {
             return false;
         }
     }
 
     return true;
+}
+
+/**
+ * Validates if the given response follows the expected cloze card format.
+ * Every text must contain at least one valid deletion marker ({{c1::answer}} or {{c1::answer::hint}})
+ * and no malformed markers.
+ *
+ * @param {Object} response - The response object to validate.
+ * @param {Array<Object>} response.cloze_cards - An array of cloze cards.
+ * @param {string} response.cloze_cards[].text - The cloze text.
+ * @returns {boolean} - Returns `true` if the response is valid, otherwise `false`.
+ */
+function validateClozeResponse(response) {
+    if (typeof response !== "object" || !Array.isArray(response?.cloze_cards)) {
+        return false;
+    }
+
+    return response.cloze_cards.every(item =>
+        typeof item === "object" &&
+        isValidCloze(item.text) &&
+        hasValidCardMetadata(item)
+    );
+}
+
+/**
+ * Validates if the given response follows the expected question and answer card format.
+ * Questions and answers must be non-empty strings.
+ *
+ * @param {Object} response - The response object to validate.
+ * @param {Array<Object>} response.questions_and_answers - An array of question and answer pairs.
+ * @returns {boolean} - Returns `true` if the response is valid, otherwise `false`.
+ */
+function validateQuestionAnswerResponse(response) {
+    if (typeof response !== "object" || !Array.isArray(response?.questions_and_answers)) {
+        return false;
+    }
+
+    return response.questions_and_answers.every(item =>
+        typeof item === "object" &&
+        typeof item.question === "string" && item.question.trim() !== "" &&
+        typeof item.answer === "string" && item.answer.trim() !== "" &&
+        hasValidCardMetadata(item)
+    );
+}
+
+/**
+ * Validates the optional metadata shared by every card type.
+ * Page numbers may be given as numeric strings, they are converted when the citation is verified.
+ *
+ * @param {Object} item - The card to validate.
+ * @returns {boolean} - Returns `true` if the source file, citation, difficulty, Bloom's level and extras are absent or valid.
+ */
+function hasValidCardMetadata(item) {
+    return (item.source_file == null || typeof item.source_file === "string") &&
+        (item.source_quote == null || typeof item.source_quote === "string") &&
+        (item.source_pages == null || (Array.isArray(item.source_pages) && item.source_pages.every(page => /^\d+$/.test(String(page).trim())))) &&
+        (item.difficulty == null || DIFFICULTY_LEVELS.includes(String(item.difficulty).toLowerCase())) &&
+        (item.bloom_level == null || BLOOM_LEVELS.includes(String(item.bloom_level).toLowerCase())) &&
+        ["example", "mnemonic", "pronunciation"].every(field => item[field] == null || typeof item[field] === "string") &&
+        (item.related_terms == null || (Array.isArray(item.related_terms) && item.related_terms.every(term => typeof term === "string")));
 }
\ No newline at end of file
@@ -0,0 +1,277 @@
+/**
+ * Deck API - Chunked Generation Service
+ *
+ * @file chunkedGenerationService.js
+ * @description Provides map-reduce flashcard generation for large documents.
+ *
+ * Sending a whole textbook in one prompt either times out or yields shallow cards taken from the
+ * first pages. In chunked mode the extracted text is split into token-bounded chunks, candidate cards are
+ * generated per chunk in parallel (map), and a final pass deduplicates the candidates and picks the best
+ * cards spread proportionally across the document (reduce).
+ *
+ * @module chunkedGenerationService
+ *
+ * @requires ./aiService.js
+ * @requires ../utils/utils.js
+ * @requires ../schema/flashcardSelectionSchema.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { logger } from 'firebase-functions';
+import { countToken, sendPromptFlashcardGeneration, sendPromptJson } from './aiService.js';
+import { distributeProportionally, mapWithConcurrency } from '../utils/utils.js';
+import { flashcardSelectionSchema } from '../schema/flashcardSelectionSchema.js';
+
+/**
+ * Maximum number of tokens of source text sent with a single chunk prompt.
+ */
+export const CHUNK_TOKEN_LIMIT = 6000;
+
+/**
+ * Maximum number of chunk prompts sent to the AI at the same time.
+ */
+export const MAX_CONCURRENT_CHUNKS = 3;
+
+/**
+ * How many candidate cards are requested per chunk, relative to the chunk's share of the final deck.
+ */
+const CANDIDATE_FACTOR = 1.5;
+
+const TOKEN_MODEL = "gemini-2.0-flash";
+const CHARS_PER_TOKEN = 4; // Rough estimate used to pack chunks before they are counted
+
+/**
+ * Generates flashcards for large documents using map-reduce.
+ *
+ * @async
+ * @function generateFlashcardsChunked
+ * @param {Array<{fileName: string, text: string}>} documents - The extracted text of every source file.
+ * @param {number} numberOfFlashcards - The number of flashcards of the final deck.
+ * @param {Function} buildPrompt - Builds the generation prompt for a given number of cards.
+ * @param {Function} [onProgress] - Optional callback notified with the completed steps
+ * (chunks_prepared, chunk_generated, flashcards_generated).
+ * @param {string} [cardType='term'] - The card type the prompt asks for, passed on to sendPromptFlashcardGeneration.
+ * @returns {Promise<Object>} The same response shape as sendPromptFlashcardGeneration.
+ * @throws {Error} AI_GENERATION_FAILED if no chunk produced any card.
+ */
+export const generateFlashcardsChunked = async (documents, numberOfFlashcards, buildPrompt, onProgress = () => {}, cardType = 'term') => {
+    // Chunks never span two files, so every card keeps its source file
+    const chunks = [];
+    for (const document of documents) {
+        for (const chunk of await splitIntoTokenChunks(document.text, CHUNK_TOKEN_LIMIT)) {
+            chunks.push({ fileName: document.fileName, ...chunk });
+        }
+    }
+
+    if (chunks.length === 0) throw new Error("EMPTY_SOURCE_FILE");
+
+    const quotas = distributeProportionally(numberOfFlashcards, chunks.map(chunk => chunk.tokens));
+    onProgress('chunks_prepared', { chunk_count: chunks.length });
+
+    // Map: candidate cards for every chunk
+    let completedChunks = 0;
+    const candidatesPerChunk = await mapWithConcurrency(chunks, MAX_CONCURRENT_CHUNKS, async (chunk, index) => {
+        if (quotas[index] === 0) return [];
+
+        const candidateCount = Math.max(2, Math.ceil(quotas[index] * CANDIDATE_FACTOR));
+        const prompt = buildPrompt(candidateCount) +
+            `\n\n### Source Material (part ${index + 1} of ${chunks.length}):\n` +
+            "Only use the following text as source material.\n\n" +
+            chunk.text;
+
+        const response = await sendPromptFlashcardGeneration(false, prompt, [], () => {}, cardType);
+        completedChunks++;
+        onProgress('chunk_generated', { chunk: index + 1, chunk_count: chunks.length, completed: completedChunks });
+
+        if (!response?.data) {
+            logger.warn(`Chunk ${index + 1} of ${chunks.length} did not produce any flashcard: ${response?.message}`);
+            return [];
+        }
+
+        return response.data.terms_and_definitions.map((card, cardIndex) => ({
+            ...card,
+            candidate_id: `c${index + 1}-${cardIndex + 1}`,
+            chunk: index,
+            source_file: chunk.fileName,
+        }));
+    });
+
+    const candidates = candidatesPerChunk.flat();
+    if (candidates.length === 0) throw new Error("AI_GENERATION_FAILED");
+
+    // Reduce: deduplicate and keep the best cards of every chunk
+    const selected = await selectCandidates(candidates, quotas, numberOfFlashcards);
+    onProgress('flashcards_generated', { count: selected.length });
+
+    return {
+        message: "Prompt was sent successfully",
+        data: {
+            terms_and_definitions: selected.map(({ candidate_id, chunk, ...card }) => card),
+        },
+    };
+}
+
+/**
+ * Splits text into chunks of at most `maxTokens` tokens, keeping paragraphs together where possible.
+ *
+ * @async
+ * @function splitIntoTokenChunks
+ * @param {string} text - The text to split.
+ * @param {number} maxTokens - The maximum number of tokens per chunk.
+ * @returns {Promise<Array<{text: string, tokens: number}>>} The chunks and their token counts, in document order.
+ */
+export const splitIntoTokenChunks = async (text, maxTokens) => {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+
+    // Paragraphs that are too long on their own are split into sentences, then into plain slices
+    const pieces = text
+        .split(/\n{2,}/)
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean)
+        .flatMap(paragraph => paragraph.length <= maxChars
+            ? [paragraph]
+            : (paragraph.match(/[^.!?]+[.!?]*\s*/g) ?? [paragraph]))
+        .flatMap(piece => piece.length <= maxChars
+            ? [piece]
+            : Array.from({ length: Math.ceil(piece.length / maxChars) }, (_, i) => piece.slice(i * maxChars, (i + 1) * maxChars)));
+
+    // Pack the pieces greedily using the estimate
+    const estimatedChunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && current.length + piece.length + 2 > maxChars) {
+            estimatedChunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+    }
+    if (current) estimatedChunks.push(current);
+
+    // Verify every chunk with the real token count and halve the ones that are still too large
+    const chunks = [];
+    for (const chunk of estimatedChunks) {
+        chunks.push(...await enforceTokenLimit(chunk, maxTokens));
+    }
+    return chunks;
+}
+
+/**
+ * Halves a chunk until every part is within the token limit.
+ *
+ * @async
+ * @function enforceTokenLimit
+ * @param {string} chunk - The chunk to check.
+ * @param {number} maxTokens - The maximum number of tokens per chunk.
+ * @returns {Promise<Array<{text: string, tokens: number}>>} The chunk itself or its parts, with their token counts.
+ */
+const enforceTokenLimit = async (chunk, maxTokens) => {
+    const tokens = await countChunkTokens(chunk);
+    if (tokens <= maxTokens || chunk.length < 2) return [{ text: chunk, tokens: tokens }];
+
+    // Split at the paragraph or sentence boundary closest to the middle
+    const middle = Math.floor(chunk.length / 2);
+    const boundaries = [chunk.lastIndexOf('\n\n', middle), chunk.lastIndexOf('. ', middle) + 1]
+        .filter(boundary => boundary > 0);
+    const splitAt = boundaries.length > 0 ? Math.max(...boundaries) : middle;
+
+    return [
+        ...await enforceTokenLimit(chunk.slice(0, splitAt).trim(), maxTokens),
+        ...await enforceTokenLimit(chunk.slice(splitAt).trim(), maxTokens),
+    ];
+}
+
+/**
+ * Counts the tokens of a chunk, falling back to an estimate if the count is not available.
+ *
+ * @async
+ * @function countChunkTokens
+ * @param {string} text - The chunk text.
+ * @returns {Promise<number>} The number of tokens.
+ */
+const countChunkTokens = async (text) => {
+    const tokens = await countToken(TOKEN_MODEL, text);
+    return tokens > 0 ? tokens : Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Asks the AI to deduplicate the candidates and pick the best ones within the per-chunk quotas.
+ * The selection is enforced locally, so the result always has the requested number of cards
+ * (as long as there are enough candidates).
+ *
+ * @async
+ * @function selectCandidates
+ * @param {Array<Object>} candidates - The candidate cards of all chunks.
+ * @param {number[]} quotas - The number of cards to keep from every chunk.
+ * @param {number} numberOfFlashcards - The number of cards to keep in total.
+ * @returns {Promise<Array<Object>>} The selected candidates, in document order.
+ */
+const selectCandidates = async (candidates, quotas, numberOfFlashcards) => {
+    let selectedIds = [];
+
+    try {
+        const response = await sendPromptJson(flashcardSelectionSchema, selectionPrompt(candidates, quotas, numberOfFlashcards));
+        selectedIds = Array.isArray(response?.selected_ids) ? response.selected_ids : [];
+    } catch (error) {
+        logger.warn(`Selection of chunked candidates failed, falling back to the first candidates: ${error.message}`);
+    }
+
+    const byId = new Map(candidates.map(candidate => [candidate.candidate_id, candidate]));
+    const selected = new Map();
+    const takenPerChunk = quotas.map(() => 0);
+
+    const take = (candidate) => {
+        if (!candidate || selected.has(candidate.candidate_id) || selected.size >= numberOfFlashcards) return;
+        selected.set(candidate.candidate_id, candidate);
+        takenPerChunk[candidate.chunk]++;
+    };
+
+    // The AI's picks first, as long as their chunk has room left
+    for (const id of selectedIds) {
+        const candidate = byId.get(id);
+        if (candidate && takenPerChunk[candidate.chunk] < quotas[candidate.chunk]) take(candidate);
+    }
+
+    // Top up chunks that are below their quota, then fill whatever is still missing
+    for (const candidate of candidates) {
+        if (takenPerChunk[candidate.chunk] < quotas[candidate.chunk]) take(candidate);
+    }
+    for (const candidate of candidates) take(candidate);
+
+    return candidates.filter(candidate => selected.has(candidate.candidate_id));
+}
+
+/**
+ * Generates the prompt of the reduce pass.
+ *
+ * @function selectionPrompt
+ * @param {Array<Object>} candidates - The candidate cards of all chunks.
+ * @param {number[]} quotas - The number of cards to keep from every chunk.
+ * @param {number} numberOfFlashcards - The number of cards to keep in total.
+ * @returns {string} A structured prompt for the selection.
+ */
+const selectionPrompt = (candidates, quotas, numberOfFlashcards) => {
+    const candidateList = candidates
+        .map(candidate => `ID: ${candidate.candidate_id} | Part: ${candidate.chunk + 1} | Term: ${candidate.term} | Definition: ${candidate.definition}`)
+        .join("\n");
+    const quotaList = quotas
+        .map((quota, index) => `- Part ${index + 1}: ${quota}`)
+        .join("\n");
+
+    return `You are a professor assembling a deck of flashcards from candidates generated for the consecutive parts of one document.
+
+    ### Instructions:
+    1. Treat candidates with the same or nearly the same term (e.g. "Big O" and "Big-O Notation") as duplicates and keep only the best one.
+    2. Prefer accurate, clearly defined and academically relevant terms.
+    3. Select exactly ${numberOfFlashcards} candidates, taking the following number of candidates from each part:
+${quotaList}
+    4. Return only the IDs of the selected candidates.
+
+    ### Candidates:
+${candidateList}
+
+    ### Expected Output Format:
+    { "selected_ids": ["c1-1", "c1-3", "c2-2"] }`;
+}
@@ -0,0 +1,119 @@
+/**
+ * Deck API - Dedupe Service
+ *
+ * @file dedupeService.js
+ * @description Removes near-duplicate flashcards from a generation result.
+ *
+ * The AI frequently returns the same concept under different terms ("Big O" and "Big-O Notation").
+ * Cards with the same normalized term are duplicates right away, all other cards are embedded and
+ * clustered by cosine similarity. Only the best card of every cluster is kept, and cards that are similar
+ * to a card that is already in the deck are dropped.
+ *
+ * @module dedupeService
+ *
+ * @requires ../config/geminiConfig.js
+ * @requires ../utils/utils.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { logger } from 'firebase-functions';
+import { embedTexts } from '../config/geminiConfig.js';
+import { cosineSimilarity, normalizeTerm } from '../utils/utils.js';
+
+/**
+ * Cards whose embeddings are at least this similar are treated as duplicates.
+ */
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.9;
+
+/**
+ * Definitions longer than this number of words do not score any higher.
+ */
+const MAX_SCORED_DEFINITION_WORDS = 35;
+
+/**
+ * Removes near-duplicates from the given flashcards.
+ *
+ * The returned cards carry their `embedding` (if it could be computed), so they can be passed on
+ * as `existingCards` of a later call without being embedded again. Callers strip it before persisting.
+ * The embeddings computed for `existingCards` are written back onto those cards for the same reason.
+ *
+ * @async
+ * @function dedupeFlashcards
+ * @param {Array<Object>} flashcards - The generated flashcards, in the order returned by the AI.
+ * @param {Array<Object>} [existingCards=[]] - Cards that are kept in any case (e.g. the cards already in the deck),
+ * new cards similar to one of them are dropped.
+ * @returns {Promise<{flashcards: Array<Object>, duplicatesRemoved: number}>} The kept flashcards in their original order
+ * and the number of dropped duplicates.
+ */
+export const dedupeFlashcards = async (flashcards, existingCards = []) => {
+    if (flashcards.length === 0) return { flashcards: [], duplicatesRemoved: 0 };
+
+    const candidates = flashcards.map((card, index) => ({ ...card, index, normalizedTerm: normalizeTerm(card.term) }));
+    const existing = existingCards.map(card => ({ ...card, normalizedTerm: normalizeTerm(card.term) }));
+
+    // Embeddings are best effort, without them only cards with the same normalized term are merged
+    try {
+        const missing = [...existing, ...candidates].filter(card => !Array.isArray(card.embedding));
+        const embeddings = await embedTexts(missing.map(card => `${card.term}: ${card.definition ?? ''}`));
+        missing.forEach((card, index) => { card.embedding = embeddings[index]; });
+        existing.forEach((card, index) => { existingCards[index].embedding = card.embedding; });
+    } catch (error) {
+        logger.warn(`Flashcards could not be embedded, only exact duplicates are removed: ${error.message}`);
+    }
+
+    // Every existing card starts a fixed cluster, new cards join the cluster of their most similar member
+    const clusters = existing.map(card => ({ members: [card], fixed: true }));
+
+    for (const candidate of candidates) {
+        let bestCluster = null;
+        let bestSimilarity = DUPLICATE_SIMILARITY_THRESHOLD;
+
+        for (const cluster of clusters) {
+            for (const member of cluster.members) {
+                const similarity = member.normalizedTerm === candidate.normalizedTerm
+                    ? 1
+                    : (member.embedding && candidate.embedding ? cosineSimilarity(member.embedding, candidate.embedding) : 0);
+
+                if (similarity >= bestSimilarity) {
+                    bestCluster = cluster;
+                    bestSimilarity = similarity;
+                }
+            }
+        }
+
+        if (bestCluster) {
+            bestCluster.members.push(candidate);
+        } else {
+            clusters.push({ members: [candidate], fixed: false });
+        }
+    }
+
+    const kept = clusters
+        .filter(cluster => !cluster.fixed)
+        .map(cluster => cluster.members.reduce((best, card) => scoreFlashcard(card) > scoreFlashcard(best) ? card : best))
+        .sort((a, b) => a.index - b.index)
+        .map(({ index, normalizedTerm, ...card }) => card);
+
+    return {
+        flashcards: kept,
+        duplicatesRemoved: flashcards.length - kept.length,
+    };
+}
+
+/**
+ * Scores a flashcard to pick the best card of a cluster of duplicates.
+ * Fuller definitions score higher (up to a limit), overly long terms are penalized.
+ *
+ * @function scoreFlashcard
+ * @param {Object} card - The flashcard.
+ * @returns {number} The score, ties keep the earlier card.
+ */
+const scoreFlashcard = (card) => {
+    const definitionWords = String(card.definition ?? '').split(/\s+/).filter(Boolean).length;
+    const termWords = String(card.term ?? '').split(/\s+/).filter(Boolean).length;
+
+    return Math.min(definitionWords, MAX_SCORED_DEFINITION_WORDS) - Math.max(0, termWords - 6);
+}
@@ -11,167 +11,1321 @@
  * 
  * @requires ../utils/utils.js
  * @requires ../services/aiService.js
+ * @requires ./qualityService.js
  * @requires ../repositories/fileRepository.js
+ * @requires ../repositories/draftRepository.js
  * 
  * @author Arthur M. Artugue
  * @created 2025-02-12
- * @updated 2025-05-12
+ * @updated 2026-10-18
  * 
  */
 
-import { cleanTitle } from '../utils/utils.js';
-import { sendPromptFlashcardGeneration } from './aiService.js';
-import { cleanupTempFile, downloadFile, downloadPdf } from "../repositories/fileRepository.js";
-import { createDeck, createFlashcard } from '../repositories/deckRepository.js';
+import {
+    cleanTitle, distributeEvenly, extractSourceText, normalizeExtension, DIFFICULTY_LEVELS, BLOOM_LEVELS, SUPPORTED_LANGUAGES,
+    isValidCloze, revealCloze, normalizeText, locateQuote, TEXT_EXTRACTABLE_EXTENSIONS, GEMINI_NATIVE_EXTENSIONS, CARD_EXTRAS,
+    extractPdfPages, parsePageRange, selectPdfPages, MAX_PAGE_RANGE_PAGES, extractPdfSection, formatPdfPages
+} from '../utils/utils.js';
+import { countToken, sendPromptFlashcardGeneration, sendPromptJson } from './aiService.js';
+import { generateFlashcardsChunked } from './chunkedGenerationService.js';
+import { dedupeFlashcards } from './dedupeService.js';
+import { createQualityReport, enforceFlashcardQuality } from './qualityService.js';
+import { cleanupTempFile, downloadFile, writeTempTextFile } from "../repositories/fileRepository.js";
+import {
+    createDeck, createFlashcard, getDeckData, getDeckWithFlashcards, getFlashcardById, updateDeck, updateFlashcard
+} from '../repositories/deckRepository.js';
+import { claimDraft, createDraft, getDraftById, updateDraft } from '../repositories/draftRepository.js';
 import { timeStamp } from '../config/firebaseAdminConfig.js';
 import { embedDeck } from '../config/geminiConfig.js';
-import { FieldValue } from 'firebase-admin/firestore';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { flashcardImprovementSchema } from '../schema/flashcardImprovementSchema.js';
+import { deckMetadataSchema } from '../schema/deckMetadataSchema.js';
+
+const DEFAULT_COVER_PHOTO = 'https://firebasestorage.googleapis.com/v0/b/deck-f429c.appspot.com/o/deckCovers%2Fdefault%2FdeckDefault.png?alt=media&token=de6ac50d-13d0-411c-934e-fbeac5b9f6e0';
+
+/**
+ * Maximum number of terms included in the text a deck embedding is computed from.
+ */
+const MAX_EMBEDDED_TERMS = 200;
+
+/**
+ * Maximum number of tokens of pasted source text.
+ */
+const MAX_SOURCE_TEXT_TOKENS = 30000;
+
+/**
+ * Name under which pasted source text is listed in the prompt and stored as the `source_file` of its flashcards.
+ */
+const PASTED_TEXT_SOURCE_NAME = 'pasted_text';
+
+/**
+ * Maximum number of additional requests made to replace the flashcards dropped as duplicates.
+ */
+const MAX_TOP_UP_ROUNDS = 2;
+
+/**
+ * Maximum number of words of the source quote every flashcard generated from source material cites.
+ */
+const MAX_SOURCE_QUOTE_WORDS = 25;
+
+/**
+ * Maximum number of related terms kept for every flashcard.
+ */
+const MAX_RELATED_TERMS = 5;
+
+/**
+ * Time in ms after which the draft of a previewed deck expires and can no longer be committed.
+ */
+const DRAFT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Minimum and maximum number of subject tags of a generated deck.
+ */
+const MIN_DECK_TAGS = 3;
+const MAX_DECK_TAGS = 8;
+
+/**
+ * Maximum number of terms the deck title, description and tags are generated from.
+ */
+const MAX_METADATA_TERMS = 50;
+
+/**
+ * How each difficulty level is explained to the AI.
+ */
+const DIFFICULTY_DESCRIPTIONS = {
+    intro: 'foundational terms for students new to the subject',
+    intermediate: 'terms for students who already know the basics',
+    advanced: 'specialized terms for students with a solid grasp of the subject',
+};
+
+/**
+ * The task description and the output example of the generation prompt for every card type.
+ * Reverse cards are generated as term/definition pairs.
+ */
+const CARD_TYPE_PROMPTS = {
+    term: {
+        task: (count) => `  - Provide exactly **${count}** academic terms along with their definitions.
+  - Ensure all terms are **concise, relevant, and clearly defined**.
+  - **Definitions should be at most one to two sentences long.**
+  - **Avoid terms that begin with** "Who," "What," "Where," or "When."`,
+        example: (sourceField) => `  {
+    "terms_and_definitions": [
+      { "term": "Variable",   "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation.", "difficulty": "intro", "bloom_level": "remember"${sourceField} },
+      { "term": "Equation",   "definition": "A mathematical statement asserting the equality of two expressions, typically containing one or more variables.", "difficulty": "intermediate", "bloom_level": "understand"${sourceField} }
+    ]
+  }`,
+    },
+    cloze: {
+        task: (count) => `  - Provide exactly **${count}** cloze deletion cards. Every card is one or two sentences stating a key academic fact.
+  - Hide the key term of every card as **{{c1::term}}**, use {{c2::term}} for a second deletion in the same card.
+  - A deletion may carry a short hint: {{c1::mitochondria::organelle}}.
+  - Every card must contain at least one deletion and **no other curly braces**.`,
+        example: (sourceField) => `  {
+    "cloze_cards": [
+      { "text": "A {{c1::variable}} is a symbol, usually a letter, representing an unknown numerical value.", "difficulty": "intro", "bloom_level": "remember"${sourceField} },
+      { "text": "An {{c1::equation}} asserts the {{c2::equality::relation}} of two expressions.", "difficulty": "intermediate", "bloom_level": "understand"${sourceField} }
+    ]
+  }`,
+    },
+    qa: {
+        task: (count) => `  - Provide exactly **${count}** question and answer pairs about key academic concepts.
+  - Ensure every question is **clear and has a single correct answer**.
+  - **Answers should be at most one to two sentences long.**`,
+        example: (sourceField) => `  {
+    "questions_and_answers": [
+      { "question": "What does a variable represent in an algebraic expression?", "answer": "An unknown numerical value, usually written as a letter.", "difficulty": "intro", "bloom_level": "remember"${sourceField} },
+      { "question": "Why is an equation different from an expression?", "answer": "An equation asserts that two expressions are equal, an expression does not.", "difficulty": "intermediate", "bloom_level": "understand"${sourceField} }
+    ]
+  }`,
+    },
+};
+CARD_TYPE_PROMPTS.reverse = CARD_TYPE_PROMPTS.term;
+
+/**
+ * The instruction and the output example of every card extra.
+ */
+const CARD_EXTRA_PROMPTS = {
+    example: {
+        instruction: `Set the "example" of every card to one worked example sentence that shows the term in use.`,
+        example: `"example": "<one example sentence using the term>"`,
+    },
+    mnemonic: {
+        instruction: `Set the "mnemonic" of every card to a short, memorable mnemonic that helps to recall it.`,
+        example: `"mnemonic": "<short mnemonic>"`,
+    },
+    related_terms: {
+        instruction: `Set the "related_terms" of every card to up to ${MAX_RELATED_TERMS} closely related terms worth studying next.`,
+        example: `"related_terms": ["<related term>", "<related term>"]`,
+    },
+    pronunciation: {
+        instruction: `Set the "pronunciation" of a card to a simple phonetic respelling (e.g. "my-toh-KON-dree-uh") only if its term is a foreign-language word or hard to pronounce, otherwise leave it out.`,
+        example: `"pronunciation": "<phonetic respelling, foreign-language terms only>"`,
+    },
+};
+
+/**
+ * Ways a single flashcard can be improved and the instruction sent to the AI for each.
+ */
+const FLASHCARD_IMPROVEMENT_INSTRUCTIONS = {
+    'regenerate': 'Write a new and better flashcard for the same concept. The term may be rephrased, but it must still name the same concept.',
+    'shorten': 'Shorten the definition to one concise sentence without losing its meaning. Keep the term.',
+    'simplify': 'Rewrite the definition in simple language a beginner can understand. Keep the term.',
+    'fix-accuracy': 'Correct any factual error in the term or definition. If the flashcard is already accurate, keep its meaning and only tighten the wording.',
+    'add-example': 'Keep the term and the meaning of the definition, and end the definition with one short, concrete example.',
+};
+
+/**
+ * Supported modes of the flashcard improvement.
+ */
+export const FLASHCARD_IMPROVEMENT_MODES = Object.freeze(Object.keys(FLASHCARD_IMPROVEMENT_INSTRUCTIONS));
+
+/**
+ * Known error codes of the flashcard generation and the response status and message used for each.
+ * Errors not listed here are reported as UNKNOWN_SERVER_ERROR.
+ */
+const FLASHCARD_ERRORS = {
+    MISSING_FILE_EXTENSION: {
+        status: 422,
+        message: 'File extension is a required field if file is given.'
+    },
+    UNSUPPORTED_FILE_TYPE: {
+        status: 415,
+        message: `Unsupported file type. Supported types are: ${[...GEMINI_NATIVE_EXTENSIONS, ...TEXT_EXTRACTABLE_EXTENSIONS].join(', ')}.`
+    },
+    EMPTY_SOURCE_FILE: {
+        status: 422,
+        message: 'No text could be extracted from the given file.'
+    },
+    EMPTY_SOURCE_TEXT: {
+        status: 422,
+        message: 'sourceText does not contain any text.'
+    },
+    SOURCE_TEXT_TOO_LONG: {
+        status: 413,
+        message: `sourceText exceeds the limit of ${MAX_SOURCE_TEXT_TOKENS} tokens.`
+    },
+    INVALID_PAGE_RANGE: {
+        status: 422,
+        message: 'pageRange must be a list of pages and ranges such as "12-30,45".'
+    },
+    PAGE_RANGE_TOO_LARGE: {
+        status: 422,
+        message: `pageRange cannot span more than ${MAX_PAGE_RANGE_PAGES} pages.`
+    },
+    PAGE_RANGE_OUT_OF_BOUNDS: {
+        status: 422,
+        message: 'pageRange contains pages beyond the page count of the file.'
+    },
+    SECTION_NOT_FOUND: {
+        status: 422,
+        message: 'The given section could not be found in the file.'
+    },
+    DECK_NOT_FOUND: {
+        status: 404,
+        message: 'The deck does not exist or has been deleted.'
+    },
+    FORBIDDEN: {
+        status: 403,
+        message: 'The deck does not belong to the requesting user.'
+    },
+    NO_NEW_FLASHCARDS: {
+        status: 422,
+        message: 'The AI only returned terms that are already in the deck. Try a different topic or file.'
+    },
+    FLASHCARD_NOT_FOUND: {
+        status: 404,
+        message: 'The flashcard does not exist or has been deleted.'
+    },
+    FILE_RETRIEVAL_FAILURE: {
+        status: 500,
+        message: 'Error retrieving the file from the server.'
+    },
+    AI_GENERATION_FAILED: {
+        status: 502,
+        message: 'The AI was not able to generate the flashcards. Please try again later'
+    },
+    DRAFT_NOT_FOUND: {
+        status: 404,
+        message: 'The draft does not exist.'
+    },
+    DRAFT_EXPIRED: {
+        status: 410,
+        message: 'The draft has expired. Please generate the deck again.'
+    },
+    DRAFT_ALREADY_COMMITTED: {
+        status: 409,
+        message: 'The draft has already been committed.'
+    },
+    UNKNOWN_DRAFT_CARD: {
+        status: 422,
+        message: 'The edits, removals or order refer to a card that is not part of the draft.'
+    },
+    INVALID_CLOZE_EDIT: {
+        status: 422,
+        message: 'Edited cloze cards must keep at least one deletion marked as {{c1::answer}}.'
+    },
+    EMPTY_DRAFT: {
+        status: 422,
+        message: 'A deck needs at least one flashcard, the removals leave none.'
+    },
+};
 
 /**
  * Generates AI-generated flashcards using Gemini.
  *
+ * With `preview` set, no deck is written and the deck is not embedded. The generated cards are stored as a
+ * draft instead, which expires after DRAFT_TTL and can be persisted through commitDeckDraftService.
+ *
+ * Without a title or description, both are generated from the flashcards together with subject tags, so the
+ * deck is only embedded after the flashcards were generated.
+ *
  * @async
  * @function geminiFlashcardService
  * @param {Object} request - The HTTP request object.
  * @param {string} id - The request owner ID.
- * @returns {Promise<Object>} Response object containing the generated flashcards or error message.
+ * @param {Function} [onProgress] - Optional callback notified with each completed step and its details
+ * (file_downloaded, file_uploaded, file_active, chunks_prepared, chunk_generated, flashcards_generated, flashcards_deduplicated,
+ * citations_verified, metadata_generated, deck_embedded, deck_saved, draft_saved, retry).
+ * @returns {Promise<Object>} Response object containing the deck ID (or the draft and its cards in preview mode), the generated
+ * title, description and tags, or error message.
  */
-export const geminiFlashcardService = async (request, id) => {
-    const { subject, topic, deckDescription, fileName, fileExtension, numberOfFlashcards, title, description, coverPhoto  } = request.body;
+export const geminiFlashcardService = async (request, id, onProgress = () => {}) => {
+    const {
+        subject, topic, deckDescription, numberOfFlashcards, title, description, coverPhoto, chunked, difficulty, language, cardType,
+        extras, preview
+    } = request.body;
     
-    const coverPhotoRef = coverPhoto ?? 'https://firebasestorage.googleapis.com/v0/b/deck-f429c.appspot.com/o/deckCovers%2Fdefault%2FdeckDefault.png?alt=media&token=de6ac50d-13d0-411c-934e-fbeac5b9f6e0';
-
-    // Explicit null/undefined + non‐empty check
-    const isTherePdf = fileName != null && fileName.trim() !== '';
-
-    const prompt = constructFlashCardGenerationPrompt(topic, subject, deckDescription, numberOfFlashcards, isTherePdf);
-    let filePath = '';
-
-    if (fileName?.trim()) {
-        if (!fileExtension?.trim()) {
-            return { 
-                status: 422, 
-                message: 'An error occured during the generation of deck', 
-                data: {
-                    error: 'MISSING_FILE_EXTENSION',
-                    message: 'File extension is a required field if file is given.'
-                }
-            };
-        }
+    const coverPhotoRef = coverPhoto ?? DEFAULT_COVER_PHOTO;
+    const tempFilePaths = [];
+
+    try {
+        const downloadedFiles = await prepareSourceFiles(getSourceFiles(request.body), id, chunked, tempFilePaths, onProgress);
 
-        try {
-            filePath = await downloadFile(fileName, fileExtension, id);
-
-            if (!filePath){
-                return { 
-                    status: 500, 
-                    message: 'An error occured during the generation of deck', 
-                    data: {
-                        error: 'FILE_RETRIEVAL_FAILURE',
-                        message: 'Error retrieving the file from the server.'
-                    }
-                };
-            } 
-
-            const flashcardPromise = sendPromptFlashcardGeneration(true, prompt, filePath, fileExtension);
-            const embedPromise = embedDeck(`Deck title: ${title}, Description: ${description}`);
-
-            const [flashcardResponse, embedResponse] = await Promise.all([
-                flashcardPromise,
-                embedPromise
-            ]);
-
-            const firstEmbedObj = embedResponse.embeddings[0];
-            const vector = firstEmbedObj.values;
-            
-            const flashcards = flashcardResponse.data.terms_and_definitions;
-            const deckId = await createDeck({
-                created_at: timeStamp,
-                is_deleted: false,
-                is_private: true,
-                title: cleanTitle(title),
-                description: description,
-                flashcard_count: flashcards.length,
-                owner_id: id,
-                cover_photo: coverPhotoRef,
-                embedding_field: FieldValue.vector(vector),
+        const flashcardPromise = generateFlashcards(
+            { topic, subject, deckDescription, numberOfFlashcards, chunked, difficulty, language, cardType, extras },
+            downloadedFiles,
+            onProgress
+        );
+        const embed = (deckTitle, deckDescription) => embedDeck(buildDeckEmbeddingText(deckTitle, deckDescription))
+            .then((response) => {
+                onProgress('deck_embedded');
+                return response;
             });
 
-            await createFlashcard(deckId, flashcards);
-
-            return {
-                status: 200,
-                request_owner_id: id,
-                message: flashcardResponse.message,
-                data: {
-                    deck_id: deckId
-                }
-            };
-        } catch (error) {
+        // A preview is only embedded once it is committed, generated metadata once it is known
+        const needsMetadata = !title?.trim() || !description?.trim();
+        const embedPromise = preview || needsMetadata ? Promise.resolve(null) : embed(title, description);
+
+        const [flashcardResponse, embedResponse] = await Promise.all([
+            flashcardPromise,
+            embedPromise
+        ]);
+
+        const flashcards = flashcardResponse.flashcards;
+        const metadata = needsMetadata
+            ? await generateDeckMetadata(flashcards, { title, description, subject, topic, deckDescription, language })
+            : null;
+        if (metadata) onProgress('metadata_generated');
+
+        const deck = {
+            title: metadata?.title ?? title,
+            description: metadata?.description ?? description,
+            coverPhoto: coverPhotoRef,
+            subject,
+            topic,
+            language,
+            tags: metadata?.tags,
+        };
+
+        if (preview) {
+            return await saveDeckDraft(deck, flashcardResponse, id, onProgress);
+        }
+
+        const firstEmbedObj = (embedResponse ?? await embed(deck.title, deck.description)).embeddings[0];
+        const vector = firstEmbedObj.values;
+
+        const deckId = await createDeck(buildDeckDocument(deck, flashcards.length, vector, id));
+
+        await createFlashcard(deckId, flashcards);
+        onProgress('deck_saved', { deck_id: deckId });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: flashcardResponse.message,
+            data: {
+                deck_id: deckId,
+                duplicates_removed: flashcardResponse.duplicatesRemoved,
+                quality_report: flashcardResponse.qualityReport,
+                ...(metadata && { title: deck.title, description: deck.description, tags: deck.tags })
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return flashcardErrorResponse(error, id);
+    } finally {
+        tempFilePaths.forEach(filePath => cleanupTempFile(filePath));
+    }
+}
+
+/**
+ * Persists and embeds the deck of a previewed generation.
+ *
+ * The user's changes are applied to the draft cards first: `edits` replace the term and/or definition of a card,
+ * `removals` drop cards and `order` lists card IDs that move to the front in the given order (unlisted cards follow
+ * in their draft order). A draft can only be committed once.
+ *
+ * @async
+ * @function commitDeckDraftService
+ * @param {Object} request - The HTTP request object.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object>} Response object containing the new deck ID or error message.
+ */
+export const commitDeckDraftService = async (request, id) => {
+    const { draftId, edits = [], removals = [], order = [], title, description } = request.body;
+    let claimed = false;
+
+    try {
+        const draft = await getDraftById(draftId);
+
+        if (!draft) throw new Error("DRAFT_NOT_FOUND");
+        if (draft.owner_id !== id) throw new Error("FORBIDDEN");
+        if (draft.status !== 'open') throw new Error("DRAFT_ALREADY_COMMITTED");
+        if (draft.expires_at.toMillis() <= Date.now()) throw new Error("DRAFT_EXPIRED");
+
+        const flashcards = applyDraftChanges(draft.flashcards, edits, removals, order);
+        if (flashcards.length === 0) throw new Error("EMPTY_DRAFT");
+
+        claimed = await claimDraft(draftId);
+        if (!claimed) throw new Error("DRAFT_ALREADY_COMMITTED");
+
+        const deck = {
+            title: title?.trim() || draft.title,
+            description: description?.trim() || draft.description,
+            coverPhoto: draft.cover_photo,
+            subject: draft.subject,
+            topic: draft.topic,
+            language: draft.language,
+            tags: draft.tags,
+        };
+
+        const embedResponse = await embedDeck(buildDeckEmbeddingText(deck.title, deck.description));
+        const deckId = await createDeck(buildDeckDocument(deck, flashcards.length, embedResponse.embeddings[0].values, id));
+        await createFlashcard(deckId, flashcards.map(({ id: draftCardId, ...card }) => card));
+
+        await updateDraft(draftId, {
+            status: 'committed',
+            deck_id: deckId,
+            committed_at: FieldValue.serverTimestamp(),
+        });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Draft was committed successfully',
+            data: {
+                deck_id: deckId,
+                draft_id: draftId,
+                flashcard_count: flashcards.length
+            }
+        };
+    } catch (error) {
+        console.log(error);
+
+        // Reopen the draft so the commit can be retried
+        if (claimed) {
+            await updateDraft(draftId, { status: 'open' }).catch(updateError => console.log(updateError));
+        }
+
+        return flashcardErrorResponse(error, id);
+    }
+}
+
+/**
+ * Generates AI-generated flashcards and appends them to an existing deck of the requesting user.
+ *
+ * The terms already in the deck are sent as context so the AI does not repeat them, cards that are
+ * similar to an existing card are dropped by the deduplication. The flashcard count and the embedding of the deck are updated afterwards.
+ *
+ * @async
+ * @function geminiAppendFlashcardsService
+ * @param {Object} request - The HTTP request object.
+ * @param {string} id - The request owner ID.
+ * @param {Function} [onProgress] - Optional callback notified with each completed step and its details
+ * (same steps as geminiFlashcardService).
+ * @returns {Promise<Object>} Response object containing the deck ID and the number of added flashcards or error message.
+ */
+export const geminiAppendFlashcardsService = async (request, id, onProgress = () => {}) => {
+    const { deckId, subject, topic, deckDescription, numberOfFlashcards, chunked, difficulty, language, cardType, extras } = request.body;
+
+    const tempFilePaths = [];
+
+    try {
+        const deck = await getDeckWithFlashcards(deckId);
+
+        if (!deck || deck.is_deleted) throw new Error("DECK_NOT_FOUND");
+        if (deck.owner_id !== id) throw new Error("FORBIDDEN");
+
+        const downloadedFiles = await prepareSourceFiles(getSourceFiles(request.body), id, chunked, tempFilePaths, onProgress);
+
+        const flashcardResponse = await generateFlashcards(
+            {
+                topic,
+                subject,
+                deckDescription: deckDescription ?? deck.description,
+                numberOfFlashcards,
+                chunked,
+                difficulty,
+                language: language ?? deck.language,
+                cardType,
+                extras,
+                deckTitle: deck.title,
+                existingCards: deck.flashcards,
+            },
+            downloadedFiles,
+            onProgress
+        );
+
+        // Repeats of the existing terms are already dropped by the deduplication
+        const flashcards = flashcardResponse.flashcards;
+
+        if (flashcards.length === 0) throw new Error("NO_NEW_FLASHCARDS");
+
+        const embedResponse = await embedDeck(buildDeckEmbeddingText(
+            deck.title, deck.description, [...deck.flashcards, ...flashcards].map(card => card.term)
+        ));
+        onProgress('deck_embedded');
+
+        const vector = embedResponse.embeddings[0].values;
+
+        await createFlashcard(deckId, flashcards);
+        await updateDeck(deckId, {
+            flashcard_count: FieldValue.increment(flashcards.length),
+            embedding_field: FieldValue.vector(vector),
+        });
+        onProgress('deck_saved', { deck_id: deckId });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: flashcardResponse.message,
+            data: {
+                deck_id: deckId,
+                added_count: flashcards.length,
+                duplicates_removed: flashcardResponse.duplicatesRemoved,
+                quality_report: flashcardResponse.qualityReport
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return flashcardErrorResponse(error, id);
+    } finally {
+        tempFilePaths.forEach(filePath => cleanupTempFile(filePath));
+    }
+}
+
+/**
+ * Proposes an improved replacement for a single flashcard of a deck owned by the requesting user.
+ *
+ * The proposal is built from the deck's title, description, subject and topic. If `commit` is set, the
+ * flashcard is replaced right away and stamped with `updated_at`, so quiz questions tied to it through
+ * `related_flashcard_id` can be recognized as outdated.
+ *
+ * @async
+ * @function geminiImproveFlashcardService
+ * @param {Object} request - The HTTP request object.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object>} Response object containing the original and the proposed flashcard or error message.
+ */
+export const geminiImproveFlashcardService = async (request, id) => {
+    const { deckId, flashcardId, mode, commit } = request.body;
+
+    try {
+        const deck = await getDeckData(deckId);
+
+        if (!deck || deck.is_deleted) throw new Error("DECK_NOT_FOUND");
+        if (deck.owner_id !== id) throw new Error("FORBIDDEN");
+
+        const flashcard = await getFlashcardById(deckId, flashcardId);
+        if (!flashcard || flashcard.is_deleted) throw new Error("FLASHCARD_NOT_FOUND");
+
+        const response = await sendPromptJson(
+            flashcardImprovementSchema,
+            constructFlashcardImprovementPrompt(deck, flashcard, mode)
+        ).catch(error => {
             console.log(error);
-            return {
-                status: 500,
-                request_owner_id: id,
-                message: 'An Error has occured while sending information to AI.',
-                data: {
-                    error: 'UNKNOWN_SERVER_ERROR',
-                    message: 'An unknown error was encountered. Please try again later'
-                }
-            };
-        } finally {
-            cleanupTempFile(filePath);
+            return null;
+        });
+
+        if (typeof response?.term !== 'string' || !response.term.trim() ||
+            typeof response?.definition !== 'string' || !response.definition.trim()) {
+            throw new Error("AI_GENERATION_FAILED");
         }
-    } else {
-        try {
-
-            const flashcardPromise = sendPromptFlashcardGeneration(false, prompt, filePath, fileExtension);
-            const embedPromise = embedDeck(`Deck title: ${title}, Description: ${description}`);
-
-            const [flashcardResponse, embedResponse] = await Promise.all([
-                flashcardPromise,
-                embedPromise
-            ]);
-
-            const firstEmbedObj = embedResponse.embeddings[0];
-            const vector = firstEmbedObj.values;
-          
-            const flashcards = flashcardResponse.data.terms_and_definitions;
-            
-            const deckId = await createDeck({
-                created_at: timeStamp,
-                is_deleted: false,
-                is_private: true,
-                title: cleanTitle(title),
-                description: description,
-                flashcard_count: flashcards.length,
-                owner_id: id,
-                cover_photo: coverPhotoRef,
-                embedding_field: FieldValue.vector(vector),
+
+        // Cloze cards must keep a valid deletion, their definition is always the revealed text
+        const isCloze = flashcard.card_type === 'cloze';
+        if (isCloze && !isValidCloze(response.term)) throw new Error("AI_GENERATION_FAILED");
+
+        const proposal = {
+            term: response.term.trim(),
+            definition: isCloze ? revealCloze(response.term.trim()) : response.definition.trim(),
+        };
+
+        if (commit) {
+            await updateFlashcard(deckId, flashcardId, {
+                ...proposal,
+                updated_at: FieldValue.serverTimestamp(),
             });
+        }
 
-            await createFlashcard(deckId, flashcards);
-
-            return {
-                status: 200,
-                request_owner_id: id,
-                message: flashcardResponse.message,
-                data: {
-                    deck_id: deckId
-                }
-            };
-        } catch (error) {
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: commit ? 'Flashcard was improved successfully' : 'Flashcard improvement was proposed successfully',
+            data: {
+                deck_id: deckId,
+                flashcard_id: flashcardId,
+                mode: mode,
+                original: {
+                    term: flashcard.term,
+                    definition: flashcard.definition,
+                },
+                proposal: proposal,
+                committed: Boolean(commit),
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return flashcardErrorResponse(error, id);
+    }
+}
+
+/**
+ * Downloads the source files of a generation request and prepares them for the AI.
+ *
+ * PDFs without a page selection are sent as-is. Office, Markdown, HTML and text files as well as the
+ * selected pages of a PDF are converted to plain text and written to a temporary text file, and so is pasted
+ * source text. In chunked mode the text of every file is kept in memory instead.
+ * The extracted text (and the pages of a PDF) is kept on every entry to verify the citations of the flashcards.
+ *
+ * @async
+ * @function prepareSourceFiles
+ * @param {Array<Object>} sourceFiles - The source files returned by getSourceFiles.
+ * @param {string} id - The request owner ID.
+ * @param {boolean} [chunked] - Whether the generation runs in chunked mode.
+ * @param {string[]} tempFilePaths - Collects the paths of all temporary files, to be cleaned up by the caller.
+ * @param {Function} onProgress - Notified with file_downloaded for every file.
+ * @returns {Promise<Array<Object>>} The source files with their local `filePath`, extracted `text` and PDF `pages`
+ * (PDFs sent as-is have neither).
+ * @throws {Error} MISSING_FILE_EXTENSION, UNSUPPORTED_FILE_TYPE, FILE_RETRIEVAL_FAILURE, EMPTY_SOURCE_FILE, EMPTY_SOURCE_TEXT,
+ * SOURCE_TEXT_TOO_LONG or a page selection error.
+ */
+const prepareSourceFiles = async (sourceFiles, id, chunked, tempFilePaths, onProgress) => {
+    const downloadedFiles = [];
+
+    for (const source of sourceFiles) {
+        if (source.sourceText !== undefined) {
+            const text = normalizeText(source.sourceText);
+            if (!text) throw new Error("EMPTY_SOURCE_TEXT");
+
+            // The character limit is checked on the request, the token count needs the model
+            if (await countToken("gemini-2.0-flash", text) > MAX_SOURCE_TEXT_TOKENS) {
+                throw new Error("SOURCE_TEXT_TOO_LONG");
+            }
+
+            if (chunked) {
+                downloadedFiles.push({ fileName: source.fileName, text });
+                continue;
+            }
+
+            const textFilePath = await writeTempTextFile(text, id);
+            tempFilePaths.push(textFilePath);
+            downloadedFiles.push({ fileName: source.fileName, filePath: textFilePath, fileExtension: 'txt', text });
+            continue;
+        }
+
+        if (!source.fileExtension?.trim()) throw new Error("MISSING_FILE_EXTENSION");
+
+        const extension = normalizeExtension(source.fileExtension);
+        const isExtractable = TEXT_EXTRACTABLE_EXTENSIONS.includes(extension);
+
+        if (!isExtractable && !GEMINI_NATIVE_EXTENSIONS.includes(extension)) {
+            throw new Error("UNSUPPORTED_FILE_TYPE");
+        }
+
+        const filePath = await downloadFile(source.fileName, source.fileExtension, id);
+        if (!filePath) throw new Error("FILE_RETRIEVAL_FAILURE");
+        tempFilePaths.push(filePath);
+        onProgress('file_downloaded', { file_name: source.fileName });
+
+        const hasPageSelection = extension === 'pdf' && (source.pageRange || source.section);
+
+        if (!isExtractable && !hasPageSelection && !chunked) {
+            downloadedFiles.push({ ...source, filePath });
+            continue;
+        }
+
+        const pages = extension === 'pdf'
+            ? await extractPdfSelection(filePath, source.pageRange, source.section)
+            : null;
+        const text = pages ? formatPdfPages(pages) : await extractSourceText(filePath, extension);
+        if (!text) throw new Error("EMPTY_SOURCE_FILE");
+
+        if (chunked) {
+            downloadedFiles.push({ ...source, filePath, text, ...(pages && { pages }) });
+            continue;
+        }
+
+        const textFilePath = await writeTempTextFile(text, id);
+        tempFilePaths.push(textFilePath);
+        downloadedFiles.push({ ...source, filePath: textFilePath, fileExtension: 'txt', text, ...(pages && { pages }) });
+    }
+
+    return downloadedFiles;
+}
+
+/**
+ * Generates the flashcards from the prepared source files, or from the prompt alone if there are none.
+ *
+ * Every response passes the quality gate of the quality service first. Cards that fail it even after the
+ * targeted re-prompt and near-duplicate cards are removed from the result and replaced by additional cards
+ * (up to MAX_TOP_UP_ROUNDS requests), so the requested number of cards is still honoured.
+ *
+ * @async
+ * @function generateFlashcards
+ * @param {Object} options - The generation options.
+ * @param {string} [options.topic] - The topic of the flashcards.
+ * @param {string} [options.subject] - The subject of the flashcards.
+ * @param {string} [options.deckDescription] - Additional context for the prompt.
+ * @param {number} options.numberOfFlashcards - The number of flashcards to generate.
+ * @param {boolean} [options.chunked] - Whether to generate in map-reduce mode.
+ * @param {string} [options.difficulty] - The target difficulty, one of DIFFICULTY_LEVELS.
+ * @param {string} [options.language] - The code of the language the flashcards are written in, one of SUPPORTED_LANGUAGES.
+ * @param {string} [options.cardType='term'] - The card type to generate, one of CARD_TYPES. Reverse cards are stored together
+ * with a reversed copy, so the result holds twice the number of cards.
+ * @param {string[]} [options.extras=[]] - The card extras to generate, any of CARD_EXTRAS.
+ * @param {string} [options.deckTitle] - The title of the deck the flashcards are added to.
+ * @param {Array<Object>} [options.existingCards] - Cards already in the deck that must not be repeated.
+ * @param {Array<Object>} files - The source files returned by prepareSourceFiles.
+ * @param {Function} onProgress - Progress callback passed on to the AI service.
+ * @returns {Promise<{message: string, flashcards: Array<Object>, duplicatesRemoved: number, qualityReport: Object}>} The generated
+ * flashcards with their `source_file` and verified citation, the number of dropped duplicates and the quality report.
+ * @throws {Error} AI_GENERATION_FAILED if the AI did not return any flashcard.
+ */
+const generateFlashcards = async (options, files, onProgress) => {
+    const {
+        topic, subject, deckDescription, numberOfFlashcards, chunked, difficulty, language, cardType = 'term', extras = [], deckTitle,
+        existingCards = []
+    } = options;
+
+    const requestFlashcards = async (count, existingTerms) => {
+        // Spread the requested number of cards across the given files
+        const cardsPerFile = distributeEvenly(count, files.length);
+        const fileQuotas = files.map((file, index) => ({
+            fileName: file.fileName,
+            numberOfFlashcards: cardsPerFile[index],
+        }));
+
+        const citations = files.length > 0;
+        const promptOptions = { fileQuotas, deckTitle, existingTerms, difficulty, language, cardType, extras, citations };
+
+        return chunked && files.length > 0
+            ? await generateFlashcardsChunked(
+                files.map(file => ({ fileName: file.fileName, text: file.text })),
+                count,
+                (chunkCount) => constructFlashCardGenerationPrompt(
+                    topic, subject, deckDescription, chunkCount, false, { deckTitle, existingTerms, difficulty, language, cardType, extras, citations }
+                ),
+                onProgress,
+                cardType
+            )
+            : await sendPromptFlashcardGeneration(
+                files.length > 0,
+                constructFlashCardGenerationPrompt(topic, subject, deckDescription, count, files.length > 0, promptOptions),
+                files,
+                onProgress,
+                cardType
+            );
+    };
+
+    // The quality report covers the first response and all top-ups
+    const qualityReport = createQualityReport();
+    const checkQuality = async (response) => {
+        const { flashcards } = await enforceFlashcardQuality(
+            assignSourceFiles(normalizeCardExtras(normalizeCardLevels(response.data.terms_and_definitions), extras), files),
+            { subject, topic, language },
+            qualityReport
+        );
+        return flashcards;
+    };
+
+    // Reversed copies only repeat the terms of their originals
+    const existingTerms = existingCards.filter(card => card.card_type !== 'reverse').map(card => card.term);
+    const flashcardResponse = await requestFlashcards(numberOfFlashcards, existingTerms);
+    if (!flashcardResponse?.data) throw new Error("AI_GENERATION_FAILED");
+
+    let { flashcards, duplicatesRemoved } = await dedupeFlashcards(await checkQuality(flashcardResponse), existingCards);
+
+    // Replace the dropped duplicates, the kept cards are sent as context so they are not repeated
+    for (let round = 0; round < MAX_TOP_UP_ROUNDS && flashcards.length < numberOfFlashcards; round++) {
+        const knownCards = [...existingCards, ...flashcards];
+        const topUpResponse = await requestFlashcards(
+            numberOfFlashcards - flashcards.length,
+            [...existingTerms, ...flashcards.map(card => card.term)]
+        ).catch(error => {
             console.log(error);
-            return {
-                status: 500,
-                request_owner_id: id,
-                message: 'An Error has occured while sending information to AI.',
-                data: {
-                    error: 'UNKNOWN_SERVER_ERROR',
-                    message: 'An unknown error was encountered. Please try again later'
-                }
-            };
+            return null;
+        });
+
+        if (!topUpResponse?.data) break;
+
+        const topUp = await dedupeFlashcards(await checkQuality(topUpResponse), knownCards);
+        flashcards = [...flashcards, ...topUp.flashcards];
+        duplicatesRemoved += topUp.duplicatesRemoved;
+    }
+
+    onProgress('flashcards_deduplicated', { duplicates_removed: duplicatesRemoved });
+
+    qualityReport.card_count = {
+        requested: numberOfFlashcards,
+        generated: Math.min(flashcards.length, numberOfFlashcards),
+        passed: flashcards.length >= numberOfFlashcards,
+    };
+
+    const generatedCards = await verifyCitations(
+        flashcards.slice(0, numberOfFlashcards).map(({ embedding, ...card }) => card),
+        files
+    );
+    if (files.length > 0) {
+        onProgress('citations_verified', {
+            unverified_count: generatedCards.filter(card => card.citation_verified === false).length
+        });
+    }
+
+    return {
+        message: flashcardResponse.message,
+        flashcards: cardType === 'reverse' ? addReverseCards(generatedCards) : generatedCards,
+        duplicatesRemoved: duplicatesRemoved,
+        qualityReport: qualityReport,
+    };
+}
+
+/**
+ * Builds the service response for a failed flashcard generation.
+ *
+ * @function flashcardErrorResponse
+ * @param {Error} error - The error thrown during the generation.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object containing the error code and message.
+ */
+const flashcardErrorResponse = (error, id) => {
+    const knownError = FLASHCARD_ERRORS[error.message];
+
+    if (!knownError) {
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: 'An Error has occured while sending information to AI.',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+
+    return {
+        status: knownError.status,
+        request_owner_id: id,
+        message: 'An error occured during the generation of deck',
+        data: {
+            error: error.message,
+            message: knownError.message
         }
+    };
+}
+
+/**
+ * Builds the document of a newly generated deck.
+ *
+ * @function buildDeckDocument
+ * @param {Object} deck - The deck fields (title, description, coverPhoto and optionally subject, topic, language and tags).
+ * @param {number} flashcardCount - The number of flashcards of the deck.
+ * @param {number[]} vector - The embedding of the deck.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} The deck document.
+ */
+const buildDeckDocument = (deck, flashcardCount, vector, id) => {
+    const { title, description, coverPhoto, subject, topic, language, tags } = deck;
+
+    return {
+        created_at: timeStamp,
+        is_deleted: false,
+        is_private: true,
+        title: cleanTitle(title),
+        description: description,
+        flashcard_count: flashcardCount,
+        owner_id: id,
+        cover_photo: coverPhoto ?? DEFAULT_COVER_PHOTO,
+        embedding_field: FieldValue.vector(vector),
+        ...(subject?.trim() && { subject: subject.trim() }),
+        ...(topic?.trim() && { topic: topic.trim() }),
+        ...(language && { language: language }),
+        ...(tags?.length > 0 && { tags: tags }),
+    };
+}
+
+/**
+ * Stores the result of a previewed generation as a draft.
+ * Every card gets a draft card `id` that the commit refers to.
+ *
+ * @async
+ * @function saveDeckDraft
+ * @param {Object} deck - The deck fields (title, description, coverPhoto and optionally subject, topic, language and tags).
+ * @param {Object} flashcardResponse - The result of generateFlashcards.
+ * @param {string} id - The request owner ID.
+ * @param {Function} onProgress - Notified with draft_saved once the draft was stored.
+ * @returns {Promise<Object>} Response object containing the draft ID, its expiry and the generated cards.
+ */
+const saveDeckDraft = async (deck, flashcardResponse, id, onProgress) => {
+    const { title, description, coverPhoto, subject, topic, language, tags } = deck;
+    const flashcards = flashcardResponse.flashcards.map((card, index) => ({ id: `c${index + 1}`, ...card }));
+    const expiresAt = Timestamp.fromMillis(Date.now() + DRAFT_TTL);
+
+    const draftId = await createDraft({
+        owner_id: id,
+        status: 'open',
+        title: title,
+        description: description,
+        cover_photo: coverPhoto,
+        flashcards: flashcards,
+        created_at: FieldValue.serverTimestamp(),
+        expires_at: expiresAt,
+        ...(subject?.trim() && { subject: subject.trim() }),
+        ...(topic?.trim() && { topic: topic.trim() }),
+        ...(language && { language: language }),
+        ...(tags?.length > 0 && { tags: tags }),
+    });
+    onProgress('draft_saved', { draft_id: draftId });
+
+    return {
+        status: 200,
+        request_owner_id: id,
+        message: flashcardResponse.message,
+        data: {
+            draft_id: draftId,
+            expires_at: expiresAt.toDate().toISOString(),
+            title: title,
+            description: description,
+            ...(tags?.length > 0 && { tags: tags }),
+            flashcards: flashcards,
+            duplicates_removed: flashcardResponse.duplicatesRemoved,
+            quality_report: flashcardResponse.qualityReport
+        }
+    };
+}
+
+/**
+ * Applies the user's edits, removals and reordering to the cards of a draft.
+ *
+ * @function applyDraftChanges
+ * @param {Array<Object>} flashcards - The draft cards with their draft card `id`.
+ * @param {Array<{id: string, term?: string, definition?: string}>} edits - The new term and/or definition of cards.
+ * @param {string[]} removals - The IDs of the cards to drop.
+ * @param {string[]} order - The IDs of the cards that come first, in this order.
+ * @returns {Array<Object>} The changed cards in their final order.
+ * @throws {Error} UNKNOWN_DRAFT_CARD if a change refers to a card that is not in the draft, INVALID_CLOZE_EDIT if an
+ * edited cloze card has no valid deletion.
+ */
+const applyDraftChanges = (flashcards, edits, removals, order) => {
+    const cards = new Map(flashcards.map(card => [card.id, card]));
+
+    const referencedIds = [...edits.map(edit => edit.id), ...removals, ...order];
+    if (referencedIds.some(cardId => !cards.has(cardId))) throw new Error("UNKNOWN_DRAFT_CARD");
+
+    for (const edit of edits) {
+        const card = cards.get(edit.id);
+        const term = edit.term?.trim() || card.term;
+
+        // The definition of a cloze card is always the revealed sentence
+        if (card.card_type === 'cloze') {
+            if (!isValidCloze(term)) throw new Error("INVALID_CLOZE_EDIT");
+            cards.set(edit.id, { ...card, term: term, definition: revealCloze(term) });
+            continue;
+        }
+
+        cards.set(edit.id, { ...card, term: term, definition: edit.definition?.trim() || card.definition });
     }
+
+    removals.forEach(cardId => cards.delete(cardId));
+
+    const orderedIds = new Set(order.filter(cardId => cards.has(cardId)));
+    return [
+        ...[...orderedIds].map(cardId => cards.get(cardId)),
+        ...[...cards.values()].filter(card => !orderedIds.has(card.id)),
+    ];
+}
+
+/**
+ * Collects the source files of a generation request.
+ * The `files` array takes precedence over the single `fileName`/`fileExtension` pair.
+ * Pasted `sourceText` is added as one more source after the files.
+ *
+ * @function getSourceFiles
+ * @param {Object} body - The request body.
+ * @returns {Array<{fileName: string, fileExtension?: string, pageRange?: string, section?: string, sourceText?: string}>}
+ * The source files, empty if no file or text was given.
+ */
+const getSourceFiles = (body) => {
+    const { files, fileName, fileExtension, pageRange, section, sourceText } = body;
+    const sources = [];
+
+    if (Array.isArray(files) && files.length > 0) {
+        sources.push(...files.map(file => ({
+            fileName: file.fileName,
+            fileExtension: file.fileExtension,
+            pageRange: file.pageRange,
+            section: file.section,
+        })));
+    } else if (fileName?.trim()) {
+        sources.push({ fileName: fileName, fileExtension: fileExtension, pageRange: pageRange, section: section });
+    }
+
+    if (typeof sourceText === 'string') {
+        sources.push({ fileName: PASTED_TEXT_SOURCE_NAME, sourceText: sourceText });
+    }
+
+    return sources;
+}
+
+/**
+ * Extracts the text of the selected pages and/or section of a PDF.
+ * The section is searched within the selected pages when both are given.
+ *
+ * @async
+ * @function extractPdfSelection
+ * @param {string} filePath - The local path of the PDF.
+ * @param {string} [pageRange] - The pages to keep, e.g. "12-30,45".
+ * @param {string} [section] - The heading of the section to keep.
+ * @returns {Promise<Array<{pageNumber: number, text: string}>>} The pages of the selection.
+ * @throws {Error} INVALID_PAGE_RANGE, PAGE_RANGE_OUT_OF_BOUNDS or SECTION_NOT_FOUND.
+ */
+const extractPdfSelection = async (filePath, pageRange, section) => {
+    let pages = await extractPdfPages(filePath);
+
+    if (pageRange) pages = selectPdfPages(pages, parsePageRange(pageRange));
+    if (section) pages = extractPdfSection(pages, section);
+
+    return pages;
+}
+
+/**
+ * Attaches the name of the source file to every generated flashcard.
+ * Cards of single file decks always come from that file, for multiple files the name
+ * reported by the AI is matched against the given files and dropped if it is unknown.
+ *
+ * @function assignSourceFiles
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {Array<Object>} files - The source files used for the generation.
+ * @returns {Array<Object>} The flashcards with their `source_file`.
+ */
+const assignSourceFiles = (flashcards, files) => {
+    if (files.length === 0) return flashcards;
+
+    return flashcards.map(card => {
+        if (files.length === 1) {
+            return { ...card, source_file: files[0].fileName };
+        }
+
+        const reportedFile = card.source_file?.trim().toLowerCase();
+        const match = files.find(file => file.fileName.toLowerCase() === reportedFile);
+        return { ...card, source_file: match?.fileName ?? null };
+    });
+}
+
+/**
+ * Verifies the source citation of every flashcard against the locally extracted text of its source files.
+ *
+ * Cards whose quote is found are marked with `citation_verified: true` and get the pages the quote was found on
+ * as `source_pages`. Cards without a quote or with a quote that is not in the source are flagged with
+ * `citation_verified: false` and keep the pages reported by the AI. Only PDF sources have pages.
+ *
+ * @async
+ * @function verifyCitations
+ * @param {Array<Object>} flashcards - The generated flashcards with their `source_file`, `source_pages` and `source_quote`.
+ * @param {Array<Object>} files - The source files returned by prepareSourceFiles.
+ * @returns {Promise<Array<Object>>} The flashcards with their verified citation, without citation fields if there are no files.
+ */
+const verifyCitations = async (flashcards, files) => {
+    if (files.length === 0) {
+        return flashcards.map(({ source_pages, source_quote, ...card }) => card);
+    }
+
+    // The pages of every file are loaded once, and only when a card cites the file
+    const sourcePages = new Map();
+    const getSourcePages = (file) => {
+        if (!sourcePages.has(file)) sourcePages.set(file, loadSourcePages(file));
+        return sourcePages.get(file);
+    };
+
+    const verifiedCards = [];
+    for (const card of flashcards) {
+        const quote = card.source_quote?.trim();
+        const citedFiles = card.source_file ? files.filter(file => file.fileName === card.source_file) : files;
+
+        let match = null;
+        for (const file of quote ? citedFiles : []) {
+            const pages = locateQuote(await getSourcePages(file), quote);
+            if (pages) {
+                match = { file, pages };
+                break;
+            }
+        }
+
+        const reportedPages = citedFiles.length === 1 && hasSourcePages(citedFiles[0]) ? toPageNumbers(card.source_pages) : [];
+        const { source_pages, source_quote, ...rest } = card;
+
+        verifiedCards.push({
+            ...rest,
+            ...(match && !card.source_file && { source_file: match.file.fileName }),
+            source_pages: match ? match.pages : reportedPages,
+            ...(quote && { source_quote: quote }),
+            citation_verified: Boolean(match),
+        });
+    }
+
+    return verifiedCards;
+}
+
+/**
+ * Loads the pages a citation of the given source file is searched in.
+ * PDFs that were sent to the AI as-is are extracted now, sources without pages are returned as a single page.
+ *
+ * @async
+ * @function loadSourcePages
+ * @param {Object} file - A source file returned by prepareSourceFiles.
+ * @returns {Promise<Array<{pageNumber: number|null, text: string}>>} The pages, empty if the text could not be extracted.
+ */
+const loadSourcePages = async (file) => {
+    if (file.pages) return file.pages;
+    if (typeof file.text === 'string') return [{ pageNumber: null, text: file.text }];
+
+    try {
+        return await extractPdfPages(file.filePath);
+    } catch (error) {
+        console.log(error);
+        return [];
+    }
+}
+
+/**
+ * Checks whether citations of the given source file can refer to pages.
+ *
+ * @function hasSourcePages
+ * @param {Object} file - A source file returned by prepareSourceFiles.
+ * @returns {boolean} True for PDFs.
+ */
+const hasSourcePages = (file) => {
+    return Boolean(file.pages) || normalizeExtension(file.fileExtension ?? '') === 'pdf';
+}
+
+/**
+ * Converts the page numbers reported by the AI to a sorted list of unique positive integers.
+ *
+ * @function toPageNumbers
+ * @param {Array<number|string>} [pages] - The reported page numbers.
+ * @returns {number[]} The valid page numbers.
+ */
+const toPageNumbers = (pages) => {
+    const pageNumbers = (Array.isArray(pages) ? pages : [])
+        .map(page => Number.parseInt(page, 10))
+        .filter(page => Number.isInteger(page) && page > 0);
+
+    return [...new Set(pageNumbers)].sort((a, b) => a - b);
+}
+
+/**
+ * Adds a reversed copy after every flashcard, asking for the term by its definition.
+ *
+ * @function addReverseCards
+ * @param {Array<Object>} flashcards - The generated term/definition pairs.
+ * @returns {Array<Object>} The flashcards, each followed by its reversed copy with the `card_type` reverse.
+ */
+const addReverseCards = (flashcards) => {
+    return flashcards.flatMap(card => [
+        card,
+        { ...card, term: card.definition, definition: card.term, card_type: 'reverse' },
+    ]);
+}
+
+/**
+ * Lowercases the difficulty and Bloom's level reported for every flashcard and drops unknown values.
+ *
+ * @function normalizeCardLevels
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @returns {Array<Object>} The flashcards with a valid `difficulty` and `bloom_level`, or without them.
+ */
+const normalizeCardLevels = (flashcards) => {
+    return flashcards.map(({ difficulty, bloom_level, ...card }) => {
+        const cardDifficulty = String(difficulty ?? '').toLowerCase();
+        const cardBloomLevel = String(bloom_level ?? '').toLowerCase();
+
+        return {
+            ...card,
+            ...(DIFFICULTY_LEVELS.includes(cardDifficulty) && { difficulty: cardDifficulty }),
+            ...(BLOOM_LEVELS.includes(cardBloomLevel) && { bloom_level: cardBloomLevel }),
+        };
+    });
+}
+
+/**
+ * Keeps the requested extras of every flashcard, trimmed, and drops the empty and unrequested ones.
+ * Related terms are deduplicated and capped at MAX_RELATED_TERMS.
+ *
+ * @function normalizeCardExtras
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {string[]} extras - The requested card extras, any of CARD_EXTRAS.
+ * @returns {Array<Object>} The flashcards with the valid requested extras only.
+ */
+const normalizeCardExtras = (flashcards, extras) => {
+    return flashcards.map(({ example, mnemonic, related_terms, pronunciation, ...card }) => {
+        const relatedTerms = Array.isArray(related_terms)
+            ? [...new Set(related_terms.map(term => String(term).trim()).filter(Boolean))].slice(0, MAX_RELATED_TERMS)
+            : [];
+
+        return {
+            ...card,
+            ...(extras.includes('example') && example?.trim() && { example: example.trim() }),
+            ...(extras.includes('mnemonic') && mnemonic?.trim() && { mnemonic: mnemonic.trim() }),
+            ...(extras.includes('related_terms') && relatedTerms.length > 0 && { related_terms: relatedTerms }),
+            ...(extras.includes('pronunciation') && pronunciation?.trim() && { pronunciation: pronunciation.trim() }),
+        };
+    });
+}
+
+/**
+ * Generates the missing title and/or description of a deck and its subject tags from the generated flashcards.
+ * A given title or description is kept. If the AI fails, the title falls back to the topic or subject and the
+ * description to a list of the first terms.
+ *
+ * @async
+ * @function generateDeckMetadata
+ * @param {Array<Object>} flashcards - The generated flashcards.
+ * @param {Object} context - The deck context (title, description, subject, topic, deckDescription and language).
+ * @returns {Promise<{title: string, description: string, tags: string[]}>} The cleaned title, the description and the tags.
+ */
+const generateDeckMetadata = async (flashcards, context) => {
+    const { title, description, subject, topic } = context;
+    let metadata = null;
+
+    try {
+        metadata = await sendPromptJson(deckMetadataSchema, constructDeckMetadataPrompt(flashcards, context));
+    } catch (error) {
+        console.log(error);
+    }
+
+    const terms = flashcards.filter(card => card.card_type !== 'reverse').map(card => card.term);
+    const generatedTitle = typeof metadata?.title === 'string' && metadata.title.trim()
+        ? metadata.title
+        : (topic?.trim() || subject?.trim() || 'Untitled Deck');
+    const generatedDescription = typeof metadata?.description === 'string' && metadata.description.trim()
+        ? metadata.description.trim()
+        : `Flashcards about ${terms.slice(0, 5).join(', ')}.`;
+    const tags = (Array.isArray(metadata?.tags) ? metadata.tags : [])
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(Boolean);
+
+    return {
+        title: cleanTitle(title?.trim() ? title : generatedTitle),
+        description: description?.trim() ? description : generatedDescription,
+        tags: [...new Set(tags)].slice(0, MAX_DECK_TAGS),
+    };
+}
+
+/**
+ * Builds the text the embedding of a deck is computed from.
+ *
+ * @function buildDeckEmbeddingText
+ * @param {string} title - The deck title.
+ * @param {string} description - The deck description.
+ * @param {string[]} [terms=[]] - The terms of the deck, only the first MAX_EMBEDDED_TERMS are included.
+ * @returns {string} The text to embed.
+ */
+export const buildDeckEmbeddingText = (title, description, terms = []) => {
+    const text = `Deck title: ${title}, Description: ${description}`;
+    if (terms.length === 0) return text;
+
+    return `${text}, Terms: ${terms.slice(0, MAX_EMBEDDED_TERMS).join(', ')}`;
+}
+
+/**
+ * Constructs the prompt that generates the title, description and tags of a deck.
+ *
+ * @function constructDeckMetadataPrompt
+ * @param {Array<Object>} flashcards - The generated flashcards, only the first MAX_METADATA_TERMS terms are included.
+ * @param {Object} context - The deck context (subject, topic, deckDescription and language).
+ * @returns {string} - The constructed prompt.
+ */
+const constructDeckMetadataPrompt = (flashcards, context) => {
+    const { subject, topic, deckDescription, language } = context;
+
+    let deckContext = '';
+    if (subject)         deckContext += `The subject is **${subject}**. `;
+    if (topic)           deckContext += `The topic is **${topic}**. `;
+    if (deckDescription) deckContext += `Additional context: ${deckDescription}. `;
+    if (SUPPORTED_LANGUAGES[language]) deckContext += `Write the title, description and tags in **${SUPPORTED_LANGUAGES[language]}**. `;
+
+    const termList = flashcards
+        .filter(card => card.card_type !== 'reverse')
+        .slice(0, MAX_METADATA_TERMS)
+        .map(card => `- ${card.term}`)
+        .join("\n");
+
+    return `I want you to act as a professor naming a deck of flashcards for students. ${deckContext}
+
+  ### Flashcards:
+${termList}
+
+  ### Instructions:
+  - Write a concise title of at most eight words that names what the deck covers.
+  - Write a one-paragraph description (two to four sentences) of what students learn with the deck.
+  - Provide ${MIN_DECK_TAGS} to ${MAX_DECK_TAGS} short subject tags, such as the field, the subfield and the main topics of the deck.
+
+  ### Expected Output Format:
+  { "title": "Algebra Fundamentals", "description": "Covers the building blocks of algebra...", "tags": ["mathematics", "algebra", "equations"] }`;
+}
+
+/**
+ * Constructs the prompt that improves a single flashcard.
+ *
+ * @function constructFlashcardImprovementPrompt
+ * @param {Object} deck - The deck data (title, description and optionally subject and topic).
+ * @param {Object} flashcard - The flashcard to improve.
+ * @param {string} mode - One of FLASHCARD_IMPROVEMENT_MODES.
+ * @returns {string} - The constructed prompt.
+ */
+const constructFlashcardImprovementPrompt = (deck, flashcard, mode) => {
+    let context = `The flashcard belongs to the deck **${deck.title}**. `;
+    if (deck.description) context += `Deck description: ${deck.description}. `;
+    if (deck.subject)     context += `The subject is **${deck.subject}**. `;
+    if (deck.topic)       context += `The topic is **${deck.topic}**. `;
+    if (SUPPORTED_LANGUAGES[deck.language]) context += `The flashcard must stay in **${SUPPORTED_LANGUAGES[deck.language]}**. `;
+
+    return `I want you to act as a professor reviewing a flashcard with an academic term and its definition. ${context}
+
+  ### Flashcard:
+  - Term: ${flashcard.term}
+  - Definition: ${flashcard.definition}
+
+  ### Instructions:
+  - ${FLASHCARD_IMPROVEMENT_INSTRUCTIONS[mode]}${flashcard.card_type === 'cloze'
+    ? '\n  - The term is a cloze deletion card. Keep at least one deletion marked as {{c1::answer}} in the term and do not use other curly braces.'
+    : ''}
+  - **Definitions should be at most one to two sentences long** (plus the example, if one is asked for).
+  - Return exactly one flashcard.
+
+  ### Expected Output Format:
+  { "term": "Variable", "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation." }`;
 }
 
 /**
@@ -182,6 +1336,16 @@ export const geminiFlashcardService = async (request, id) => {
  * @param {string} addDescription - Additional description for the prompt.
  * @param {number} numberOfFlashcards - Number of flashcards to generate.
  * @param {boolean} isTherePdf - Whether there is an uploaded PDF to use.
+ * @param {Object} [options={}] - Additional prompt options.
+ * @param {Array<{fileName: string, numberOfFlashcards: number}>} [options.fileQuotas=[]] - The attached files in upload order
+ * and the number of flashcards to take from each, used when more than one file is given.
+ * @param {string} [options.deckTitle] - The title of the existing deck the flashcards are added to.
+ * @param {string[]} [options.existingTerms=[]] - Terms already in the deck that must not be repeated.
+ * @param {string} [options.difficulty] - The target difficulty of the terms, one of DIFFICULTY_LEVELS.
+ * @param {string} [options.language] - The code of the language the terms and definitions are written in, one of SUPPORTED_LANGUAGES.
+ * @param {string} [options.cardType='term'] - The card type to generate, one of CARD_TYPES.
+ * @param {string[]} [options.extras=[]] - The card extras to generate, any of CARD_EXTRAS.
+ * @param {boolean} [options.citations=false] - Whether every card has to cite the page(s) and a verbatim quote of the source material.
  * @returns {string} - The constructed JSON prompt.
  */
 export function constructFlashCardGenerationPrompt(
@@ -189,40 +1353,68 @@ export function constructFlashCardGenerationPrompt(
     subject,
     addDescription,
     numberOfFlashcards,
-    isTherePdf
+    isTherePdf,
+    options = {}
   ) {
+    const {
+      fileQuotas = [], deckTitle, existingTerms = [], difficulty, language, cardType = 'term', extras = [], citations = false
+    } = options;
+    const cardPrompt = CARD_TYPE_PROMPTS[cardType] ?? CARD_TYPE_PROMPTS.term;
+    const extraPrompts = CARD_EXTRAS.filter(extra => extras.includes(extra)).map(extra => CARD_EXTRA_PROMPTS[extra]);
+
     let prompt = "I want you to act as a professor providing students with academic terminologies and their definitions. ";
   
     // Core context
     if (subject)     prompt += `The subject is **${subject}**. `;
     if (topic)       prompt += `The topic is **${topic}**. `;
     if (addDescription) prompt += `Additional context: ${addDescription}. `;
+    if (deckTitle)   prompt += `The terms will be added to the existing deck **${deckTitle}**. `;
+    if (difficulty)  prompt += `The terms should be at the **${difficulty}** level (${DIFFICULTY_DESCRIPTIONS[difficulty]}). `;
   
     // PDF instruction
-    if (isTherePdf) {
-      prompt += "Use the content of the provided PDF as source material to inform your terms and definitions. ";
+    if (isTherePdf && fileQuotas.length > 1) {
+      prompt += "Use the content of the provided files as source material to inform your terms and definitions. ";
+      prompt += "The files are attached in the following order, take the given number of terms from each file:\n";
+      fileQuotas.forEach((file, index) => {
+        prompt += `${index + 1}. "${file.fileName}": ${file.numberOfFlashcards} terms\n`;
+      });
+      prompt += 'Set the "source_file" of every term to the exact name of the file it was taken from. ';
+    } else if (isTherePdf) {
+      prompt += "Use the content of the provided file as source material to inform your terms and definitions. ";
+    }
+  
+    // Terms of the existing deck
+    if (existingTerms.length > 0) {
+      prompt += "\nThe deck already contains the following terms. Do not repeat them or provide terms with the same meaning:\n";
+      prompt += existingTerms.map(term => `- ${term}`).join("\n") + "\n";
+    }
+  
+    // Output language, independent of the language of the source material
+    if (SUPPORTED_LANGUAGES[language]) {
+      prompt += `\nWrite every term and definition${extraPrompts.length > 0 ? ' (and the card extras)' : ''} in **${SUPPORTED_LANGUAGES[language]}**, even if the source material is in another language. `;
+      prompt += `Keep the JSON keys and the "difficulty" and "bloom_level" values in English. `;
     }
   
     // Generation instructions
     const instruction = `
   ### Instructions:
-  - Provide exactly **${numberOfFlashcards}** academic terms along with their definitions.
-  - Ensure all terms are **concise, relevant, and clearly defined**.
-  - **Definitions should be at most one to two sentences long.**
+${cardPrompt.task(numberOfFlashcards)}
   - **Do not include** computations, numerical problem-solving examples, or trivia questions.
-  - **Avoid terms that begin with** "Who," "What," "Where," or "When."
   - **Reject non-academic, offensive, or inappropriate prompts** and return an error.
+  - Rate the "difficulty" of every term as "intro", "intermediate" or "advanced".
+  - Set the "bloom_level" of every term to the level of Bloom's taxonomy its definition targets: "remember", "understand", "apply" or "analyze".${citations ? `
+  - Set the "source_quote" of every term to a short quote (at most ${MAX_SOURCE_QUOTE_WORDS} words) that supports it, copied **word for word** from the source material in its original language.
+  - Set the "source_pages" of every term to the page number(s) the quote is on (as given by the PDF or the "[Page N]" markers), or to an empty list if the source has no pages.` : ''}${extraPrompts.map(extra => `
+  - ${extra.instruction}`).join('')}
   
   `;
   
     // Expected JSON output format
+    let sourceField = isTherePdf && fileQuotas.length > 1 ? `, "source_file": "${fileQuotas[0].fileName}"` : "";
+    if (citations) sourceField += `, "source_pages": [3], "source_quote": "<verbatim quote from the source>"`;
+    sourceField += extraPrompts.map(extra => `, ${extra.example}`).join('');
     const outputFormat = `### Expected Output Format:
-  {
-    "terms_and_definitions": [
-      { "term": "Variable",   "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation." },
-      { "term": "Equation",   "definition": "A mathematical statement asserting the equality of two expressions, typically containing one or more variables." }
-    ]
-  }`;
+${cardPrompt.example(sourceField)}`;
   
     return prompt + instruction + outputFormat;
   }
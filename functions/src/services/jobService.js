@@ -0,0 +1,259 @@
+/**
+ * Deck API - Job Service
+ *
+ * @file jobService.js
+ * @description Provides services for asynchronous generation jobs.
+ *
+ * Long running generation requests (flashcards, appended flashcards, quizzes, moderation, translation and the
+ * taxonomy backfill) are persisted as job documents and executed by a Firestore-triggered worker, so the HTTP routes
+ * can respond right away and clients can poll the job status.
+ *
+ * Job lifecycle: queued -> running -> succeeded | failed
+ *
+ * @module jobService
+ *
+ * @requires ../repositories/jobRepository.js
+ * @requires ./flashcardService.js
+ * @requires ./quizService.js
+ * @requires ./moderationService.js
+ * @requires ./translationService.js
+ * @requires ./taxonomyService.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { createJob, claimJob, updateJob, getJobById } from '../repositories/jobRepository.js';
+import { geminiFlashcardService, geminiAppendFlashcardsService } from './flashcardService.js';
+import { geminiQuizService } from './quizService.js';
+import { geminiModerationService } from './moderationService.js';
+import { geminiTranslateDeckService } from './translationService.js';
+import { backfillTaxonomyService } from './taxonomyService.js';
+
+/**
+ * Supported job types.
+ */
+export const JOB_TYPES = Object.freeze({
+    FLASHCARDS: 'flashcards',
+    FLASHCARDS_APPEND: 'flashcards_append',
+    QUIZ: 'quiz',
+    MODERATION: 'moderation',
+    TRANSLATION: 'translation',
+    TAXONOMY_BACKFILL: 'taxonomy_backfill',
+});
+
+/**
+ * Possible states of a job.
+ */
+export const JOB_STATUS = Object.freeze({
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+});
+
+/**
+ * Runs the service behind each job type and returns its response object.
+ * Each runner receives the stored payload, the owner ID and a progress reporter.
+ */
+const jobRunners = {
+    [JOB_TYPES.FLASHCARDS]: (payload, ownerId, onProgress) =>
+        geminiFlashcardService({ body: payload }, ownerId, onProgress),
+    [JOB_TYPES.FLASHCARDS_APPEND]: (payload, ownerId, onProgress) =>
+        geminiAppendFlashcardsService({ body: payload }, ownerId, onProgress),
+    [JOB_TYPES.QUIZ]: (payload, ownerId, onProgress) => {
+        onProgress('generating_quiz');
+        return geminiQuizService(payload.deckId, ownerId, payload.numOfQuiz ?? null, payload.quizType);
+    },
+    [JOB_TYPES.MODERATION]: (payload, ownerId, onProgress) => {
+        onProgress('moderating_deck');
+        return geminiModerationService(payload.deckId, ownerId);
+    },
+    [JOB_TYPES.TRANSLATION]: (payload, ownerId, onProgress) =>
+        geminiTranslateDeckService(payload.deckId, payload.language, ownerId, onProgress),
+    // A backfill run handles as many decks as fit into its time budget and queues a job for the rest
+    [JOB_TYPES.TAXONOMY_BACKFILL]: async (payload, ownerId, onProgress) => {
+        const result = await backfillTaxonomyService(payload.cursor ?? null, ownerId, onProgress);
+
+        if (result.status === 200 && result.data.next_cursor) {
+            result.data.continuation_job_id = await queueGenerationJob(JOB_TYPES.TAXONOMY_BACKFILL, ownerId, {
+                cursor: result.data.next_cursor,
+            });
+        }
+
+        return result;
+    },
+};
+
+/**
+ * Creates a queued job document. The job is picked up by the worker trigger.
+ *
+ * @async
+ * @function queueGenerationJob
+ * @param {string} type - The job type, one of JOB_TYPES.
+ * @param {string} ownerId - The ID of the user requesting the job.
+ * @param {Object} payload - The validated request payload the job will run with.
+ * @returns {Promise<string>} The ID of the created job.
+ * @throws {Error} If the job type is unknown or the job cannot be stored.
+ */
+export const queueGenerationJob = async (type, ownerId, payload) => {
+    if (!jobRunners[type]) {
+        throw new Error("INVALID_JOB_TYPE");
+    }
+
+    const jobId = await createJob({
+        type: type,
+        owner_id: ownerId,
+        status: JOB_STATUS.QUEUED,
+        step: JOB_STATUS.QUEUED,
+        payload: payload,
+        deck_id: payload?.deckId ?? null,
+        result: null,
+        error_code: null,
+        error_message: null,
+        created_at: FieldValue.serverTimestamp(),
+        updated_at: FieldValue.serverTimestamp(),
+    });
+
+    logger.info(`Queued ${type} job ${jobId} for user ${ownerId}`);
+    return jobId;
+}
+
+/**
+ * Executes a queued job and records its progress and outcome on the job document.
+ *
+ * @async
+ * @function runGenerationJob
+ * @param {string} jobId - The ID of the job to run.
+ * @param {Object} job - The job document data.
+ * @returns {Promise<void>} Resolves once the job reached a final state (or was already claimed).
+ */
+export const runGenerationJob = async (jobId, job) => {
+    const runner = jobRunners[job?.type];
+
+    if (!runner) {
+        await updateJob(jobId, {
+            status: JOB_STATUS.FAILED,
+            error_code: 'INVALID_JOB_TYPE',
+            error_message: `Unknown job type: ${job?.type}`,
+            updated_at: FieldValue.serverTimestamp(),
+        });
+        return;
+    }
+
+    const claimed = await claimJob(jobId, {
+        step: 'started',
+        updated_at: FieldValue.serverTimestamp(),
+    });
+
+    if (!claimed) {
+        logger.info(`Job ${jobId} was already claimed, skipping`);
+        return;
+    }
+
+    // Progress updates are best effort, a failed write must not fail the job itself
+    const onProgress = (step) => updateJob(jobId, {
+        step: step,
+        updated_at: FieldValue.serverTimestamp(),
+    }).catch(error => logger.error(`Failed to record progress of job ${jobId}:`, error));
+
+    try {
+        const result = await runner(job.payload ?? {}, job.owner_id, onProgress);
+
+        if (result?.status >= 200 && result?.status < 300) {
+            await updateJob(jobId, {
+                status: JOB_STATUS.SUCCEEDED,
+                step: 'completed',
+                deck_id: result.data?.deck_id ?? job.deck_id ?? null,
+                result: result.data ?? null,
+                updated_at: FieldValue.serverTimestamp(),
+            });
+        } else {
+            await updateJob(jobId, {
+                status: JOB_STATUS.FAILED,
+                error_code: result?.data?.error ?? 'JOB_FAILED',
+                error_message: result?.data?.message ?? result?.message ?? null,
+                updated_at: FieldValue.serverTimestamp(),
+            });
+        }
+    } catch (error) {
+        logger.error(`Job ${jobId} has failed:`, error);
+        await updateJob(jobId, {
+            status: JOB_STATUS.FAILED,
+            error_code: 'UNKNOWN_SERVER_ERROR',
+            error_message: 'An unknown error was encountered. Please try again later',
+            updated_at: FieldValue.serverTimestamp(),
+        });
+    }
+}
+
+/**
+ * Retrieves the status of a job owned by the requesting user.
+ *
+ * @async
+ * @function getGenerationJobService
+ * @param {string} jobId - The ID of the job.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object>} Response object containing the job status or an error message.
+ */
+export const getGenerationJobService = async (jobId, id) => {
+    try {
+        const job = await getJobById(jobId);
+
+        if (!job) {
+            return {
+                status: 404,
+                request_owner_id: id,
+                message: 'An error occured while retrieving the job',
+                data: {
+                    error: 'JOB_NOT_FOUND',
+                    message: `No job found with id: ${jobId}`
+                }
+            };
+        }
+
+        if (job.owner_id !== id) {
+            return {
+                status: 403,
+                request_owner_id: id,
+                message: 'An error occured while retrieving the job',
+                data: {
+                    error: 'FORBIDDEN',
+                    message: 'The job does not belong to the requesting user'
+                }
+            };
+        }
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Job was retrieved successfully',
+            data: {
+                job_id: job.id,
+                type: job.type,
+                status: job.status,
+                step: job.step,
+                deck_id: job.deck_id ?? null,
+                result: job.result ?? null,
+                error_code: job.error_code ?? null,
+                error_message: job.error_message ?? null,
+                created_at: job.created_at,
+                updated_at: job.updated_at,
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: 'An error occured while retrieving the job',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Deck API - Quality Service
+ *
+ * @file qualityService.js
+ * @description Provides the rule-based quality gate of generated flashcards.
+ *
+ * The response validation of the AI service only checks the shape of a response. The quality gate checks every
+ * generated card against deterministic rules (empty definitions, definitions repeating their term, overly long
+ * definitions, question terms, malformed cloze deletions), sends the failing cards back to the AI in one targeted
+ * re-prompt and drops the cards that still fail. The results of every rule are collected in a quality report.
+ *
+ * @module qualityService
+ *
+ * @requires ./aiService.js
+ * @requires ../schema/flashcardRepairSchema.js
+ * @requires ../utils/utils.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { logger } from 'firebase-functions';
+import { sendPromptJson } from './aiService.js';
+import { flashcardRepairSchema } from '../schema/flashcardRepairSchema.js';
+import { isValidCloze, normalizeTerm, revealCloze, SUPPORTED_LANGUAGES } from '../utils/utils.js';
+
+/**
+ * Maximum number of sentences of a definition, the prompt asks for one to two.
+ */
+const MAX_DEFINITION_SENTENCES = 2;
+
+/**
+ * Maximum number of words of a definition.
+ */
+const MAX_DEFINITION_WORDS = 60;
+
+/**
+ * Question words terms must not begin with.
+ */
+const QUESTION_WORDS = ['who', 'what', 'when', 'where', 'why', 'how', 'which'];
+
+/**
+ * How the card types are named in the repair prompt.
+ */
+const REPAIR_CARD_TYPES = Object.freeze({
+    term: 'term/definition',
+    qa: 'question/answer',
+    cloze: 'cloze',
+});
+
+/**
+ * The rules every generated card is checked against.
+ * Each rule applies to the listed card types (reverse cards are checked as term cards before they are reversed)
+ * and its `check` returns true if the card passes.
+ */
+export const QUALITY_RULES = Object.freeze({
+    empty_definition: {
+        description: 'The definition must not be empty.',
+        cardTypes: ['term', 'qa', 'cloze'],
+        check: (card) => String(card.definition ?? '').trim() !== '',
+    },
+    definition_contains_term: {
+        description: 'The definition must not contain the term itself.',
+        cardTypes: ['term'],
+        check: (card) => {
+            const term = normalizeTerm(card.term);
+            return term === '' || !` ${normalizeTerm(card.definition)} `.includes(` ${term} `);
+        },
+    },
+    definition_too_long: {
+        description: `The definition must be at most ${MAX_DEFINITION_SENTENCES} sentences and ${MAX_DEFINITION_WORDS} words long.`,
+        cardTypes: ['term', 'qa'],
+        check: (card) => {
+            const definition = String(card.definition ?? '').trim();
+            const sentences = definition.match(/[.!?。！？]+(?=\s+\p{Lu}|\s*$)/gu)?.length ?? 0;
+            const words = definition.split(/\s+/).filter(Boolean).length;
+
+            return Math.max(sentences, 1) <= MAX_DEFINITION_SENTENCES && words <= MAX_DEFINITION_WORDS;
+        },
+    },
+    question_term: {
+        description: `The term must be a concept, not a question beginning with ${QUESTION_WORDS.map(word => `"${word}"`).join(', ')}.`,
+        cardTypes: ['term'],
+        check: (card) => !QUESTION_WORDS.includes(normalizeTerm(card.term).split(' ')[0]) && !String(card.term ?? '').trim().endsWith('?'),
+    },
+    invalid_cloze: {
+        description: 'The term must be a cloze text with at least one well-formed {{c1::answer}} deletion, and the definition must be that text with the deletions revealed.',
+        cardTypes: ['cloze'],
+        check: (card) => isValidCloze(card.term) && String(card.definition ?? '').trim() === revealCloze(card.term).trim(),
+    },
+});
+
+/**
+ * Creates an empty quality report.
+ *
+ * @function createQualityReport
+ * @returns {Object} The report, with a `failed` and `repaired` count for every rule of QUALITY_RULES. The `card_count`
+ * result is set by the caller once the final number of cards is known.
+ */
+export const createQualityReport = () => ({
+    checked_count: 0,
+    passed_count: 0,
+    reprompted_count: 0,
+    repaired_count: 0,
+    dropped_count: 0,
+    card_count: null,
+    rules: Object.fromEntries(Object.entries(QUALITY_RULES).map(([rule, { description }]) => [
+        rule,
+        { description: description, failed: 0, repaired: 0 },
+    ])),
+});
+
+/**
+ * Checks a single card against the rules of its card type.
+ *
+ * @function checkFlashcard
+ * @param {Object} card - The card with its `term`, `definition` and `card_type`.
+ * @returns {string[]} The names of the failed rules, empty if the card passes.
+ */
+export const checkFlashcard = (card) => {
+    const cardType = card.card_type ?? 'term';
+
+    return Object.entries(QUALITY_RULES)
+        .filter(([, rule]) => rule.cardTypes.includes(cardType) && !rule.check(card))
+        .map(([name]) => name);
+}
+
+/**
+ * Runs the quality gate on generated cards.
+ *
+ * Failing cards are sent back to the AI once, together with the rules they failed. Fixed cards that pass
+ * all rules replace the originals (keeping their metadata), all other failing cards are dropped.
+ *
+ * @async
+ * @function enforceFlashcardQuality
+ * @param {Array<Object>} flashcards - The generated cards.
+ * @param {Object} [context={}] - The generation context used in the re-prompt.
+ * @param {string} [context.subject] - The subject of the deck.
+ * @param {string} [context.topic] - The topic of the deck.
+ * @param {string} [context.language] - The code of the language of the cards, one of SUPPORTED_LANGUAGES.
+ * @param {Object} [report=createQualityReport()] - The report the results are added to, so several batches
+ * of one generation can share a report.
+ * @returns {Promise<{flashcards: Array<Object>, report: Object}>} The passing cards in their original order and the report.
+ */
+export const enforceFlashcardQuality = async (flashcards, context = {}, report = createQualityReport()) => {
+    const failures = flashcards
+        .map((card, index) => ({ id: `f${index + 1}`, index, card, failedRules: checkFlashcard(card) }))
+        .filter(failure => failure.failedRules.length > 0);
+
+    report.checked_count += flashcards.length;
+    report.passed_count += flashcards.length - failures.length;
+    failures.forEach(failure => failure.failedRules.forEach(rule => report.rules[rule].failed++));
+
+    if (failures.length === 0) return { flashcards, report };
+
+    report.reprompted_count += failures.length;
+    const repairs = await repairFlashcards(failures, context);
+
+    const replacements = new Map();
+    for (const failure of failures) {
+        const repair = repairs.get(failure.id);
+        const repairedCard = repair && repairedFlashcard(failure.card, repair);
+
+        if (!repairedCard || checkFlashcard(repairedCard).length > 0) {
+            report.dropped_count++;
+            continue;
+        }
+
+        replacements.set(failure.index, repairedCard);
+        report.repaired_count++;
+        failure.failedRules.forEach(rule => report.rules[rule].repaired++);
+    }
+
+    const failedIndexes = new Set(failures.map(failure => failure.index));
+    const kept = flashcards.flatMap((card, index) => {
+        if (!failedIndexes.has(index)) return [card];
+        return replacements.has(index) ? [replacements.get(index)] : [];
+    });
+
+    return { flashcards: kept, report };
+}
+
+/**
+ * Applies a fixed version returned by the AI to a card, keeping its metadata.
+ * The definition of a cloze card is always its text with the deletions revealed.
+ *
+ * @function repairedFlashcard
+ * @param {Object} card - The failing card.
+ * @param {{term: string, definition: string}} repair - The fixed version.
+ * @returns {Object} The repaired card.
+ */
+const repairedFlashcard = (card, repair) => {
+    const term = repair.term.trim();
+    const definition = card.card_type === 'cloze' ? revealCloze(term) : repair.definition.trim();
+
+    return { ...card, term: term, definition: definition };
+}
+
+/**
+ * Sends the failing cards to the AI in one prompt and asks for fixed versions.
+ *
+ * @async
+ * @function repairFlashcards
+ * @param {Array<Object>} failures - The failing cards with their `id` and `failedRules`.
+ * @param {Object} context - The generation context (subject, topic and language).
+ * @returns {Promise<Map<string, {term: string, definition: string}>>} The fixed cards by ID, empty if the re-prompt failed.
+ */
+const repairFlashcards = async (failures, context) => {
+    try {
+        const response = await sendPromptJson(flashcardRepairSchema, repairPrompt(failures, context));
+
+        return new Map(
+            (Array.isArray(response?.flashcards) ? response.flashcards : [])
+                .filter(card => typeof card?.id === 'string' && typeof card.term === 'string' && typeof card.definition === 'string')
+                .map(card => [card.id, card])
+        );
+    } catch (error) {
+        logger.warn(`Failing flashcards could not be re-prompted and are dropped: ${error.message}`);
+        return new Map();
+    }
+}
+
+/**
+ * Generates the prompt asking for fixed versions of the failing cards.
+ *
+ * @function repairPrompt
+ * @param {Array<Object>} failures - The failing cards with their `id` and `failedRules`.
+ * @param {Object} context - The generation context (subject, topic and language).
+ * @returns {string} A structured prompt for the repair.
+ */
+const repairPrompt = (failures, context) => {
+    const { subject, topic, language } = context;
+
+    let deckContext = '';
+    if (subject) deckContext += `The subject is **${subject}**. `;
+    if (topic)   deckContext += `The topic is **${topic}**. `;
+    if (SUPPORTED_LANGUAGES[language]) deckContext += `Keep the flashcards in **${SUPPORTED_LANGUAGES[language]}**. `;
+
+    const flashcardList = JSON.stringify(
+        failures.map(failure => ({
+            id: failure.id,
+            type: REPAIR_CARD_TYPES[failure.card.card_type] ?? 'term/definition',
+            term: failure.card.term,
+            definition: failure.card.definition,
+            problems: failure.failedRules.map(rule => QUALITY_RULES[rule].description),
+        })),
+        null,
+        2
+    );
+
+    return `I want you to act as a professor fixing flashcards that failed a quality check. ${deckContext}
+
+    ### Instructions:
+    1. Fix every listed problem of every flashcard and keep the "id" unchanged.
+    2. Keep the academic concept of the flashcard. Only rewrite the term if one of its problems concerns the term.
+    3. For question/answer cards the term is the question and the definition is the answer.
+    4. For cloze cards the term is the cloze text with the hidden parts marked as {{c1::answer}}, {{c2::answer}} and so on, and the definition is the same text without the markers.
+    5. Definitions are at most one to two sentences long and do not contain the term itself.
+
+    ### Flashcards:
+${flashcardList}
+
+    ### Expected Output Format:
+    { "flashcards": [ { "id": "f1", "term": "Variable", "definition": "A symbol, usually a letter, representing an unknown numerical value in an algebraic expression or equation." } ] }`;
+}
@@ -0,0 +1,313 @@
+/**
+ * Deck API - Quiz Attempt Service
+ *
+ * @file quizAttemptService.js
+ * @description Provides services for taking and grading quizzes.
+ *
+ * Every quiz handed out to a learner starts an attempt stored under the learner ('users/{userId}/quiz_attempts').
+ * The questions of an attempt are given without their answers: choices lose their `is_correct` flag, typed questions
+ * their `answer` and matching questions are split into terms and shuffled definitions. Submitted answers are graded
+ * against the stored quiz and the graded attempt is persisted with its score and duration.
+ *
+ * @module quizAttemptService
+ *
+ * @requires ../repositories/quizAttemptRepository.js
+ * @requires ../repositories/quizRepository.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { createQuizAttempt, getQuizAttempt, submitQuizAttempt } from '../repositories/quizAttemptRepository.js';
+import { getQuizByID } from '../repositories/quizRepository.js';
+import { fischerYatesShuffle, normalizeTerm } from '../utils/utils.js';
+
+/**
+ * Known error codes of the quiz attempt services and the response status and message used for each.
+ * Errors not listed here are reported as UNKNOWN_SERVER_ERROR.
+ */
+const QUIZ_ATTEMPT_ERRORS = {
+    ATTEMPT_NOT_FOUND: {
+        status: 404,
+        message: 'The quiz attempt does not exist.'
+    },
+    ATTEMPT_ALREADY_SUBMITTED: {
+        status: 409,
+        message: 'The quiz attempt was already submitted.'
+    },
+    QUIZ_NOT_FOUND: {
+        status: 404,
+        message: 'The quiz of the attempt does not exist anymore.'
+    },
+    UNKNOWN_QUESTION: {
+        status: 422,
+        message: 'An answer refers to a question that is not part of the attempt.'
+    },
+};
+
+/**
+ * Starts an attempt of a quiz and builds the questions given to the learner, without their answers.
+ * The choices of multiple-choice questions are shuffled, as are the definitions of matching questions. The order
+ * of the definitions is stored with the attempt, so the submitted matches can be graded.
+ *
+ * @async
+ * @function startQuizAttempt
+ * @param {Object} quiz - The quiz returned by getQuizByID.
+ * @param {Array<Object>} questions - The questions of the attempt, in the order they are given.
+ * @param {string} userId - The ID of the learner.
+ * @returns {Promise<{attemptId: string, questions: Array<Object>}>} The attempt ID and the questions without answers.
+ */
+export const startQuizAttempt = async (quiz, questions, userId) => {
+    const definitionOrders = Object.fromEntries(
+        questions
+            .filter(question => Array.isArray(question.pairs))
+            .map(question => [question.id, fischerYatesShuffle(question.pairs.map((_, index) => index))])
+    );
+
+    const attemptId = await createQuizAttempt(userId, {
+        owner_id: userId,
+        quiz_id: quiz.id,
+        deck_id: quiz.associated_deck_id,
+        quiz_type: quiz.quiz_type,
+        status: 'open',
+        question_ids: questions.map(question => question.id),
+        definition_orders: definitionOrders,
+        started_at: Timestamp.now(),
+    });
+
+    return {
+        attemptId: attemptId,
+        questions: questions.map(question => toAttemptQuestion(question, quiz.quiz_type, definitionOrders[question.id])),
+    };
+}
+
+/**
+ * Grades the answers of an attempt against the stored quiz and persists the graded attempt.
+ * Unanswered questions count as wrong. Matching questions earn a point share for every correct match.
+ *
+ * @async
+ * @function submitQuizAttemptService
+ * @param {string} attemptId - The ID of the attempt.
+ * @param {Array<Object>} answers - The answers, each with its `question_id` and a `choice_id`, `answer` or `matches`.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object>} Response object containing the score, the duration and the result of every question,
+ * or error message.
+ */
+export const submitQuizAttemptService = async (attemptId, answers, id) => {
+    try {
+        const attempt = await getQuizAttempt(id, attemptId);
+
+        if (!attempt) throw new Error("ATTEMPT_NOT_FOUND");
+        if (attempt.status !== 'open') throw new Error("ATTEMPT_ALREADY_SUBMITTED");
+        if (answers.some(answer => !attempt.question_ids.includes(answer.question_id))) throw new Error("UNKNOWN_QUESTION");
+
+        const quiz = await getQuizByID(attempt.quiz_id, attempt.quiz_type);
+        if (!quiz || quiz.is_deleted) throw new Error("QUIZ_NOT_FOUND");
+
+        const questions = new Map(quiz.questions.map(question => [question.id, question]));
+        const answersById = new Map(answers.map(answer => [answer.question_id, answer]));
+
+        // Questions removed from the quiz since the attempt started are not graded
+        const results = attempt.question_ids
+            .filter(questionId => questions.has(questionId))
+            .map(questionId => gradeQuestion(
+                questions.get(questionId),
+                answersById.get(questionId) ?? {},
+                attempt.definition_orders?.[questionId] ?? []
+            ));
+
+        const score = roundScore(results.reduce((sum, result) => sum + result.points, 0));
+        const submittedAt = Timestamp.now();
+        const graded = {
+            score: score,
+            max_score: results.length,
+            percentage: results.length > 0 ? Math.round((score / results.length) * 100) : 0,
+            correct_count: results.filter(result => result.is_correct).length,
+            question_count: results.length,
+            duration_ms: Math.max(0, submittedAt.toMillis() - attempt.started_at.toMillis()),
+            results: results,
+        };
+
+        await submitQuizAttempt(id, attemptId, {
+            ...graded,
+            submitted_at: submittedAt,
+            updated_at: FieldValue.serverTimestamp(),
+        });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Quiz attempt was graded successfully',
+            data: {
+                attempt_id: attemptId,
+                quiz_id: attempt.quiz_id,
+                quiz_type: attempt.quiz_type,
+                ...graded,
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return quizAttemptErrorResponse(error, id);
+    }
+}
+
+/**
+ * Builds a question given to the learner, without its answer and flashcard reference.
+ *
+ * @function toAttemptQuestion
+ * @param {Object} question - The stored question.
+ * @param {string} quizType - The quiz type.
+ * @param {number[]} [definitionOrder] - The order of the pair indexes the definitions of a matching question are given in.
+ * @returns {Object} The question as given to the learner.
+ */
+const toAttemptQuestion = (question, quizType, definitionOrder) => {
+    if (Array.isArray(question.pairs)) {
+        return {
+            id: question.id,
+            question: question.question,
+            terms: question.pairs.map((pair, index) => ({ id: termId(index), text: pair.term })),
+            definitions: definitionOrder.map((pairIndex, position) => ({
+                id: definitionId(position),
+                text: question.pairs[pairIndex].definition,
+            })),
+        };
+    }
+
+    if (typeof question.answer === 'string') {
+        return { id: question.id, question: question.question };
+    }
+
+    // True/false keeps its True, False order
+    const choices = question.choices.map(choice => ({ id: choice.id, text: choice.text }));
+    return {
+        id: question.id,
+        question: question.question,
+        choices: quizType === 'multiple-choice' ? fischerYatesShuffle(choices) : choices,
+    };
+}
+
+/**
+ * Grades the answer of a single question.
+ *
+ * @function gradeQuestion
+ * @param {Object} question - The stored question.
+ * @param {Object} answer - The submitted answer, empty if the question was not answered.
+ * @param {number[]} definitionOrder - The order of the pair indexes the definitions of a matching question were given in.
+ * @returns {Object} The result of the question with its `is_correct` and `points` (0 to 1).
+ */
+const gradeQuestion = (question, answer, definitionOrder) => {
+    if (Array.isArray(question.pairs)) {
+        const matches = question.pairs.map((pair, index) => {
+            const correctDefinitionId = definitionId(definitionOrder.indexOf(index));
+            const selectedDefinitionId = answer.matches?.[termId(index)] ?? null;
+
+            return {
+                term_id: termId(index),
+                term: pair.term,
+                selected_definition_id: selectedDefinitionId,
+                correct_definition_id: correctDefinitionId,
+                is_correct: selectedDefinitionId === correctDefinitionId,
+            };
+        });
+        const correctMatches = matches.filter(match => match.is_correct).length;
+
+        return {
+            question_id: question.id,
+            question: question.question,
+            matches: matches,
+            is_correct: correctMatches === matches.length,
+            points: roundScore(correctMatches / matches.length),
+        };
+    }
+
+    if (typeof question.answer === 'string') {
+        const givenAnswer = typeof answer.answer === 'string' ? answer.answer.trim() : null;
+        const isCorrect = givenAnswer !== null &&
+            [question.answer, ...(question.accepted_answers ?? [])].some(accepted => normalizeTerm(accepted) === normalizeTerm(givenAnswer));
+
+        return {
+            question_id: question.id,
+            question: question.question,
+            given_answer: givenAnswer,
+            correct_answer: question.answer,
+            is_correct: isCorrect,
+            points: isCorrect ? 1 : 0,
+        };
+    }
+
+    const correctChoice = question.choices.find(choice => choice.is_correct);
+    const selectedChoiceId = answer.choice_id ?? null;
+    const isCorrect = Boolean(correctChoice) && selectedChoiceId === correctChoice.id;
+
+    return {
+        question_id: question.id,
+        question: question.question,
+        selected_choice_id: selectedChoiceId,
+        correct_choice_id: correctChoice?.id ?? null,
+        is_correct: isCorrect,
+        points: isCorrect ? 1 : 0,
+    };
+}
+
+/**
+ * Builds the ID of the term of a matching pair.
+ *
+ * @function termId
+ * @param {number} index - The index of the pair.
+ * @returns {string} The term ID, e.g. "t1".
+ */
+const termId = (index) => `t${index + 1}`;
+
+/**
+ * Builds the ID of a definition of a matching question.
+ *
+ * @function definitionId
+ * @param {number} position - The position the definition was given at.
+ * @returns {string} The definition ID, e.g. "d1".
+ */
+const definitionId = (position) => `d${position + 1}`;
+
+/**
+ * Rounds a score to two decimals.
+ *
+ * @function roundScore
+ * @param {number} score - The score.
+ * @returns {number} The rounded score.
+ */
+const roundScore = (score) => Math.round(score * 100) / 100;
+
+/**
+ * Builds the service response for a failed quiz attempt request.
+ *
+ * @function quizAttemptErrorResponse
+ * @param {Error} error - The error thrown by the service.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object containing the error code and message.
+ */
+const quizAttemptErrorResponse = (error, id) => {
+    const knownError = QUIZ_ATTEMPT_ERRORS[error.message];
+
+    if (!knownError) {
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: 'An error occured while submitting the quiz attempt',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+
+    return {
+        status: knownError.status,
+        request_owner_id: id,
+        message: 'An error occured while submitting the quiz attempt',
+        data: {
+            error: error.message,
+            message: knownError.message
+        }
+    };
+}
@@ -0,0 +1,325 @@
+/**
+ * Deck API - Quiz Quality Service
+ *
+ * @file quizQualityService.js
+ * @description Provides the structural validation of generated quiz questions.
+ *
+ * The response schema of a quiz type only checks the shape of the AI response. The quality gate checks every
+ * generated question against the deterministic rules of its quiz type (choice count, exactly one correct choice, no
+ * duplicate choices, no answer in the question, a known related flashcard, ...), sends the failing questions back to
+ * the AI in one targeted re-prompt and drops the questions that still fail. The results of every rule are collected
+ * in a quality report.
+ *
+ * @module quizQualityService
+ *
+ * @requires ./aiService.js
+ * @requires ../utils/utils.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { logger } from 'firebase-functions';
+import { sendPromptJson } from './aiService.js';
+import { normalizeTerm } from '../utils/utils.js';
+
+/**
+ * Number of answer choices of a multiple-choice question.
+ */
+export const MULTIPLE_CHOICE_COUNT = 4;
+
+/**
+ * Minimum and maximum number of pairs of a matching question.
+ */
+export const MIN_MATCHING_PAIRS = 2;
+export const MAX_MATCHING_PAIRS = 5;
+
+/**
+ * The blank of a fill-in-the-blank question.
+ */
+export const BLANK = '_____';
+
+/**
+ * The rules every generated question is checked against.
+ * Each rule applies to the listed quiz types and its `check` receives the question in its stored format and the
+ * IDs of the flashcards the question was generated from, and returns true if the question passes.
+ */
+export const QUIZ_QUESTION_RULES = Object.freeze({
+    empty_question: {
+        description: 'The question must not be empty.',
+        quizTypes: ['multiple-choice', 'true-false', 'identification', 'fill-in-the-blank'],
+        check: (question) => isNonEmptyString(question.question),
+    },
+    choice_count: {
+        description: `The question must have exactly ${MULTIPLE_CHOICE_COUNT} choices.`,
+        quizTypes: ['multiple-choice'],
+        check: (question) => question.choices.length === MULTIPLE_CHOICE_COUNT,
+    },
+    empty_choice: {
+        description: 'Every choice must have a text.',
+        quizTypes: ['multiple-choice', 'true-false'],
+        check: (question) => question.choices.every(choice => isNonEmptyString(choice.text)),
+    },
+    single_correct_choice: {
+        description: 'Exactly one choice must be correct.',
+        quizTypes: ['multiple-choice', 'true-false'],
+        check: (question) => question.choices.filter(choice => choice.is_correct === true).length === 1,
+    },
+    duplicate_choices: {
+        description: 'The choices must all be different.',
+        quizTypes: ['multiple-choice'],
+        check: (question) => new Set(question.choices.map(choice => normalizeTerm(choice.text))).size === question.choices.length,
+    },
+    missing_answer: {
+        description: 'The question must have an answer.',
+        quizTypes: ['identification', 'fill-in-the-blank'],
+        check: (question) => isNonEmptyString(question.answer),
+    },
+    blank_count: {
+        description: `The sentence must contain exactly one blank, written as ${BLANK}, and text around it.`,
+        quizTypes: ['fill-in-the-blank'],
+        check: (question) => question.question.split(BLANK).length === 2 && isNonEmptyString(question.question.replace(BLANK, '')),
+    },
+    answer_in_question: {
+        description: 'The question must not contain its correct answer.',
+        quizTypes: ['multiple-choice', 'identification', 'fill-in-the-blank'],
+        check: (question) => !containsPhrase(question.question, correctAnswer(question)),
+    },
+    pair_count: {
+        description: `The question must have ${MIN_MATCHING_PAIRS} to ${MAX_MATCHING_PAIRS} pairs.`,
+        quizTypes: ['matching'],
+        check: (question) => question.pairs.length >= MIN_MATCHING_PAIRS && question.pairs.length <= MAX_MATCHING_PAIRS,
+    },
+    incomplete_pair: {
+        description: 'Every pair must have a term and a definition.',
+        quizTypes: ['matching'],
+        check: (question) => question.pairs.every(pair => isNonEmptyString(pair.term) && isNonEmptyString(pair.definition)),
+    },
+    duplicate_pairs: {
+        description: 'The terms and the definitions of the pairs must all be different.',
+        quizTypes: ['matching'],
+        check: (question) =>
+            new Set(question.pairs.map(pair => normalizeTerm(pair.term))).size === question.pairs.length &&
+            new Set(question.pairs.map(pair => normalizeTerm(pair.definition))).size === question.pairs.length,
+    },
+    unknown_flashcard: {
+        description: 'The related_flashcard_id must be the id of one of the given flashcards.',
+        quizTypes: ['multiple-choice', 'true-false', 'identification', 'fill-in-the-blank', 'matching'],
+        check: (question, flashcardIds) => Array.isArray(question.pairs)
+            ? question.pairs.every(pair => flashcardIds.has(pair.related_flashcard_id))
+            : flashcardIds.has(question.related_flashcard_id),
+    },
+});
+
+/**
+ * Creates an empty quality report.
+ *
+ * @function createQuizQualityReport
+ * @returns {Object} The report, with a `failed` and `repaired` count for every rule of QUIZ_QUESTION_RULES.
+ */
+export const createQuizQualityReport = () => ({
+    checked_count: 0,
+    passed_count: 0,
+    reprompted_count: 0,
+    repaired_count: 0,
+    dropped_count: 0,
+    rules: Object.fromEntries(Object.entries(QUIZ_QUESTION_RULES).map(([rule, { description }]) => [
+        rule,
+        { description: description, failed: 0, repaired: 0 },
+    ])),
+});
+
+/**
+ * Checks a single question against the rules of its quiz type.
+ *
+ * @function checkQuizQuestion
+ * @param {Object} question - The question in its stored format.
+ * @param {string} quizType - The quiz type, one of QUIZ_TYPES.
+ * @param {Set<string>} flashcardIds - The IDs of the flashcards the question was generated from.
+ * @returns {string[]} The names of the failed rules, empty if the question passes.
+ */
+export const checkQuizQuestion = (question, quizType, flashcardIds) => {
+    return Object.entries(QUIZ_QUESTION_RULES)
+        .filter(([, rule]) => rule.quizTypes.includes(quizType) && !rule.check(question, flashcardIds))
+        .map(([name]) => name);
+}
+
+/**
+ * Runs the quality gate on the questions returned by the AI.
+ *
+ * Failing questions are sent back to the AI once, together with the rules they failed and their flashcards. Fixed
+ * questions that pass all rules replace the originals, all other failing questions are dropped.
+ *
+ * @async
+ * @function enforceQuizQuestionQuality
+ * @param {Array<Object>} items - The questions as returned by the AI.
+ * @param {Object} context - The generation context.
+ * @param {string} context.quizType - The quiz type, one of QUIZ_TYPES.
+ * @param {Array<Object>} context.flashcards - The flashcards the questions were generated from, with their `id`,
+ * `term` and `definition`.
+ * @param {Object} context.schema - The response schema of the quiz type.
+ * @param {Function} context.toQuestions - Converts questions returned by the AI to their stored format, one for one.
+ * @returns {Promise<{questions: Array<Object>, report: Object}>} The passing questions in their stored format and
+ * original order, and the report.
+ */
+export const enforceQuizQuestionQuality = async (items, context) => {
+    const { quizType, flashcards, toQuestions } = context;
+    const flashcardIds = new Set(flashcards.map(card => card.id));
+    const report = createQuizQualityReport();
+
+    const questions = toQuestions(items);
+    const failures = questions
+        .map((question, index) => ({ id: `q${index + 1}`, index, item: items[index], failedRules: checkQuizQuestion(question, quizType, flashcardIds) }))
+        .filter(failure => failure.failedRules.length > 0);
+
+    report.checked_count = questions.length;
+    report.passed_count = questions.length - failures.length;
+    failures.forEach(failure => failure.failedRules.forEach(rule => report.rules[rule].failed++));
+
+    if (failures.length === 0) return { questions, report };
+
+    report.reprompted_count = failures.length;
+    const repairs = await repairQuizQuestions(failures, context);
+
+    const replacements = new Map();
+    failures.forEach((failure, position) => {
+        const repairedQuestion = repairs[position] && toQuestions([repairs[position]])[0];
+
+        if (!repairedQuestion || checkQuizQuestion(repairedQuestion, quizType, flashcardIds).length > 0) {
+            report.dropped_count++;
+            return;
+        }
+
+        replacements.set(failure.index, repairedQuestion);
+        report.repaired_count++;
+        failure.failedRules.forEach(rule => report.rules[rule].repaired++);
+    });
+
+    const failedIndexes = new Set(failures.map(failure => failure.index));
+    const kept = questions.flatMap((question, index) => {
+        if (!failedIndexes.has(index)) return [question];
+        return replacements.has(index) ? [replacements.get(index)] : [];
+    });
+
+    return { questions: kept, report };
+}
+
+/**
+ * Sends the failing questions to the AI in one prompt and asks for fixed versions, in the same order.
+ *
+ * @async
+ * @function repairQuizQuestions
+ * @param {Array<Object>} failures - The failing questions with their `id`, `item` and `failedRules`.
+ * @param {Object} context - The generation context (quiz type, flashcards and schema).
+ * @returns {Promise<Array<Object>>} The fixed questions as returned by the AI, empty if the re-prompt failed.
+ */
+const repairQuizQuestions = async (failures, context) => {
+    try {
+        const response = await sendPromptJson(context.schema, quizRepairPrompt(failures, context));
+        return Array.isArray(response?.quiz) ? response.quiz : [];
+    } catch (error) {
+        logger.warn(`Failing quiz questions could not be re-prompted and are dropped: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Generates the prompt asking for fixed versions of the failing questions.
+ * Only the flashcards of the failing questions are listed, or all flashcards if a question refers to an unknown one.
+ *
+ * @function quizRepairPrompt
+ * @param {Array<Object>} failures - The failing questions with their `id`, `item` and `failedRules`.
+ * @param {Object} context - The generation context (quiz type and flashcards).
+ * @returns {string} A structured prompt for the repair.
+ */
+const quizRepairPrompt = (failures, context) => {
+    const { quizType, flashcards } = context;
+
+    const referencedIds = new Set(failures.flatMap(failure => itemFlashcardIds(failure.item)));
+    const listsAllFlashcards = failures.some(failure => failure.failedRules.includes('unknown_flashcard'));
+    const flashcardList = JSON.stringify(
+        flashcards
+            .filter(card => listsAllFlashcards || referencedIds.has(card.id))
+            .map(card => ({ id: card.id, term: card.term, definition: card.definition })),
+        null,
+        2
+    );
+    const questionList = JSON.stringify(
+        failures.map(failure => ({
+            id: failure.id,
+            question: failure.item,
+            problems: failure.failedRules.map(rule => QUIZ_QUESTION_RULES[rule].description),
+        })),
+        null,
+        2
+    );
+
+    return `You are an expert quiz generator fixing ${quizType} quiz questions that failed a quality check.
+
+    ### Instructions:
+    1. Fix every listed problem of every question. Keep the parts of a question that have no problem.
+    2. Base every question on the given flashcards and set its "related_flashcard_id" to the id of its flashcard.
+    3. Return exactly one fixed question per listed question, in the same order and in the same format as the given "question".
+    4. Do not add the "id" or the "problems" of a question to the fixed question.
+
+    ### Questions:
+${questionList}
+
+    ### Flashcards:
+${flashcardList}
+
+    ### Expected Output Format:
+    { "quiz": [ <the fixed questions> ], "errorMessage": null }`;
+}
+
+/**
+ * Returns the flashcard IDs a question returned by the AI refers to.
+ *
+ * @function itemFlashcardIds
+ * @param {Object} item - The question as returned by the AI.
+ * @returns {string[]} The flashcard IDs.
+ */
+const itemFlashcardIds = (item) => {
+    const ids = Array.isArray(item?.pairs)
+        ? item.pairs.map(pair => pair?.related_flashcard_id)
+        : [item?.related_flashcard_id];
+
+    return ids.filter(id => typeof id === 'string');
+}
+
+/**
+ * Returns the correct answer of a question: its typed answer or the text of its correct choice.
+ *
+ * @function correctAnswer
+ * @param {Object} question - The question in its stored format.
+ * @returns {string} The correct answer, empty if there is none.
+ */
+const correctAnswer = (question) => {
+    if (typeof question.answer === 'string') return question.answer;
+
+    const correctChoices = (question.choices ?? []).filter(choice => choice.is_correct === true);
+    return correctChoices.length === 1 ? correctChoices[0].text : '';
+}
+
+/**
+ * Checks whether a text contains a phrase as whole words, regardless of case and punctuation.
+ *
+ * @function containsPhrase
+ * @param {string} text - The text.
+ * @param {string} phrase - The phrase.
+ * @returns {boolean} True if the phrase is not empty and is contained in the text.
+ */
+const containsPhrase = (text, phrase) => {
+    const normalizedPhrase = normalizeTerm(phrase);
+    return normalizedPhrase !== '' && ` ${normalizeTerm(text)} `.includes(` ${normalizedPhrase} `);
+}
+
+/**
+ * Checks whether a value is a string with more than whitespace.
+ *
+ * @function isNonEmptyString
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a non-empty string.
+ */
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
@@ -3,44 +3,159 @@
  *
  * @file quizService.js
  * @description Provides AI-based quiz services for flashcards.
- * 
- * This module interacts with AI models (Gemini) to generate multiple choice quizzes based on the given flashcards 
- * 
- * @module moderationService
- * 
+ *
+ * This module interacts with AI models (Gemini) to generate quizzes based on the given flashcards. Every quiz type
+ * (multiple-choice, true-false, identification, fill-in-the-blank and matching) has its own response schema, prompt
+ * and validation, and is stored as its own quiz document per deck.
+ *
+ * Questions are marked as stale when the term or definition of their flashcard changes or the flashcard is deleted.
+ * Stale questions are never given and are regenerated from the current flashcards with the next quiz request.
+ * Flashcards too few for a question of their own are regenerated together with other flashcards of the deck, and
+ * stale questions that cannot be regenerated at all are deleted.
+ *
+ * @module quizService
+ *
  * @requires ../repositories/deckRepository.js - Handles deck data retrieval.
+ * @requires ../repositories/quizRepository.js - Handles quiz storage.
  * @requires ../services/aiService.js - Handles AI quiz generation  inline data requests.
- * 
+ * @requires ../services/quizAttemptService.js - Starts the attempt the quiz is taken in.
+ * @requires ../services/quizQualityService.js - Validates and repairs the generated questions.
+ *
  * @author Arthur M. Artugue
  * @created 2025-02-20
- * @updated 2025-03-20
+ * @updated 2026-10-18
  */
-import { getDeckById, getDeckAndCheckField, updateDeck, getNewFlashcards } from "../repositories/deckRepository.js";
+import {
+    getDeckById, updateDeck, getNewFlashcards, getFlashcardsCreatedSince, getFlashcardById
+} from "../repositories/deckRepository.js";
 import { sendPromptInline } from "./aiService.js";
 import { quizSchema } from "../schema/quizSchema.js";
-import { createQuizForDeck, createQuestionAndAnswer, getQuizByDeckIDAndQuizType, getQuizByID } from "../repositories/quizRepository.js";
-import { timeStamp } from "../config/firebaseAdminConfig.js";
+import { trueFalseQuizSchema } from "../schema/trueFalseQuizSchema.js";
+import { identificationQuizSchema } from "../schema/identificationQuizSchema.js";
+import { fillInTheBlankQuizSchema } from "../schema/fillInTheBlankQuizSchema.js";
+import { matchingQuizSchema } from "../schema/matchingQuizSchema.js";
+import {
+    createQuizForDeck, createQuestionAndAnswer, deleteQuestions, getQuizByDeckIDAndQuizType, getQuizByID,
+    getStaleQuestions, markQuestionsStale, updateQuiz
+} from "../repositories/quizRepository.js";
+import { cleanupTempFile, writeTempTextFile } from "../repositories/fileRepository.js";
+import { startQuizAttempt } from "./quizAttemptService.js";
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
 import { logger } from "firebase-functions";
-import path from 'path';
-import { writeFile } from "fs/promises";
-import { fischerYatesShuffle } from "../utils/utils.js";
+import { fischerYatesShuffle, mapWithConcurrency, normalizeTerm } from "../utils/utils.js";
+import {
+    enforceQuizQuestionQuality, BLANK, MAX_MATCHING_PAIRS, MIN_MATCHING_PAIRS, MULTIPLE_CHOICE_COUNT
+} from "./quizQualityService.js";
+
+/**
+ * Maximum number of flashcards fetched at the same time while regenerating stale questions.
+ */
+const MAX_CONCURRENT_FLASHCARD_READS = 5;
+
+/**
+ * The instruction stored with matching questions the AI returned without one.
+ */
+const DEFAULT_MATCHING_INSTRUCTION = 'Match each term with its description.';
+
+/**
+ * The response schema, prompt and conversion of every quiz type.
+ * - `questionCount` returns the number of questions generated from the given number of flashcards.
+ * - `minFlashcards` is the smallest number of flashcards a question can be generated from.
+ * - `toQuestions` converts the questions of a response to the stored format, one for one. Malformed fields are
+ *   converted to empty values, so the question fails the rules of the quiz quality gate instead of being skipped.
+ */
+const QUIZ_FORMATS = {
+    'multiple-choice': {
+        schema: quizSchema,
+        questionCount: (flashcardCount) => flashcardCount,
+        minFlashcards: 1,
+        prompt: (count) => multipleChoicePrompt(count),
+        toQuestions: (quiz) => quiz.map(item => ({
+            question: trimmedString(item?.question),
+            related_flashcard_id: relatedFlashcardId(item?.related_flashcard_id),
+            choices: (Array.isArray(item?.choices) ? item.choices : []).map(choice => ({
+                text: trimmedString(choice?.text),
+                is_correct: choice?.is_correct === true,
+            })),
+        })),
+    },
+    'true-false': {
+        schema: trueFalseQuizSchema,
+        questionCount: (flashcardCount) => flashcardCount,
+        minFlashcards: 1,
+        prompt: (count) => trueFalsePrompt(count),
+        // Stored as two choices, so true/false questions are answered the same way as multiple-choice questions
+        toQuestions: (quiz) => quiz.map(item => ({
+            question: trimmedString(item?.question),
+            related_flashcard_id: relatedFlashcardId(item?.related_flashcard_id),
+            choices: [
+                { text: 'True', is_correct: item?.is_true === true },
+                { text: 'False', is_correct: item?.is_true === false },
+            ],
+        })),
+    },
+    'identification': {
+        schema: identificationQuizSchema,
+        questionCount: (flashcardCount) => flashcardCount,
+        minFlashcards: 1,
+        prompt: (count) => identificationPrompt(count),
+        toQuestions: (quiz) => quiz.map(item => ({
+            question: trimmedString(item?.question),
+            related_flashcard_id: relatedFlashcardId(item?.related_flashcard_id),
+            answer: trimmedString(item?.answer),
+            accepted_answers: acceptedAnswers(item?.answer, item?.accepted_answers),
+        })),
+    },
+    'fill-in-the-blank': {
+        schema: fillInTheBlankQuizSchema,
+        questionCount: (flashcardCount) => flashcardCount,
+        minFlashcards: 1,
+        prompt: (count) => fillInTheBlankPrompt(count),
+        toQuestions: (quiz) => quiz.map(item => ({
+            // Blanks of any length are stored as BLANK
+            question: trimmedString(item?.question).replace(/_{3,}/g, BLANK),
+            related_flashcard_id: relatedFlashcardId(item?.related_flashcard_id),
+            answer: trimmedString(item?.answer),
+            accepted_answers: acceptedAnswers(item?.answer, item?.accepted_answers),
+        })),
+    },
+    'matching': {
+        schema: matchingQuizSchema,
+        questionCount: (flashcardCount) => Math.ceil(flashcardCount / MAX_MATCHING_PAIRS),
+        minFlashcards: MIN_MATCHING_PAIRS,
+        prompt: (count) => matchingPrompt(count),
+        toQuestions: (quiz) => quiz.map(item => {
+            const pairs = (Array.isArray(item?.pairs) ? item.pairs : []).map(pair => ({
+                term: trimmedString(pair?.term),
+                definition: trimmedString(pair?.definition),
+                related_flashcard_id: relatedFlashcardId(pair?.related_flashcard_id),
+            }));
+
+            return {
+                question: isNonEmptyString(item?.question) ? item.question.trim() : DEFAULT_MATCHING_INSTRUCTION,
+                related_flashcard_id: null,
+                pairs: pairs,
+                related_flashcard_ids: pairs.map(pair => pair.related_flashcard_id).filter(Boolean),
+            };
+        }),
+    },
+};
 
 /**
  * Generates a quiz for a given deck by checking existing quizzes and using AI to generate new questions if needed.
+ * Every quiz type is stored as its own quiz document. An existing quiz is extended with questions for the flashcards
+ * that were added since it was generated.
  *
  * @async
  * @function geminiQuizService
  * @param {string} deckId - The unique identifier of the deck.
  * @param {string} id - The user ID of the request owner.
- * @returns {Promise<Object>} - Returns an object containing the quiz ID or a message indicating quiz creation status.
- * @throws {Error} - Throws an error if the deck is invalid, AI response fails, or Firestore operations encounter an issue.
+ * @param {number|null} numOfQuiz - The number of questions to return, half of the questions if null.
+ * @param {string} [quizType='multiple-choice'] - The quiz type, one of QUIZ_TYPES.
+ * @returns {Promise<Object>} - Returns an object containing the attempt ID and the quiz without its answers, or a
+ * message indicating quiz creation status.
  */
-export const geminiQuizService = async (deckId, id, numOfQuiz) => {
-    const aiResponses = [];
-    const batchSize = 20;
-    let quizId = "";
-    let quizUpdateDate = "";
-    let tokenCount = 0;
+export const geminiQuizService = async (deckId, id, numOfQuiz, quizType = 'multiple-choice') => {
     let statusCode = 400;
     let data = null;
     let message = `Quiz creation for deck with id:${deckId} is unsuccessful`;
@@ -53,204 +168,111 @@ export const geminiQuizService = async (deckId, id, numOfQuiz) => {
                 "Request for quiz creation has failed due to ",
                 "ERROR: INVALID_DECK_ID",
                 "Deck ID provided? ", !deckId,
-                "Deck ID is a type of string?", 
+                "Deck ID is a type of string?",
                 typeof deckId !== 'string',
             );
             throw new Error("INVALID_DECK_ID");
-        } 
-        
+        }
+
         if (!id || typeof id !== 'string'){
             logger.info(
                 "Request for quiz creation has failed due to ",
                 "ERROR: INVALID_USER_ID",
                 "User ID provided? ", !id,
-                "User ID is a type of string?", 
+                "User ID is a type of string?",
                 typeof id !== 'string',
             );
             throw new Error("INVALID_USER_ID");
-        } 
-
-        // Check if the deck was already made to a quiz and when was the last time the deck was updated
-        const deckInfo = await getDeckAndCheckField(deckId, "made_to_quiz_at"); 
-        
-        // Retrieves the quiz related to the provided deck ID
-        const quizzes = await getQuizByDeckIDAndQuizType(deckId, 'multiple-choice');
-
-        // If quizzes has an item assign the id of the first element
-        if (quizzes?.length > 0) {
-            quizId = quizzes[0].id;
-            quizUpdateDate = quizzes[0].updated_at;
         }
 
-        /** Check if the following conditions are true
-         * - The deck should exist
-         * - The deck should not have a 'made_to_quiz_at' field
-         * - There should be no quiz document in the quiz collection related to the deck ID
-         * */ 
-        if(deckInfo?.exists && !deckInfo.field_exists && (!quizzes || quizzes.length === 0)){
-            /**
-             * This block is for when the given deck doesn't have any quiz in the 'quiz' collection
-             * The deck still has no quiz made for it
-             */
-            
-            // Retrieve and process deck data to be passed to the AI
-            const deck = await getDeckById(deckId);
-            const deckTermsAndDef = deck.flashcards;
-
-            if(Array.isArray(deckTermsAndDef) && deckTermsAndDef.length > 0){
-                // Retrieve and process results that will be stored in the database ( 'quiz' collection )
-                const quizzesToString = `${JSON.stringify(deckTermsAndDef, null, 2)}` ;
-                const tmpDir = '/tmp';
-                const destFilename = `downloadQuiz-${id}.txt`;
-                const tmpFilePath = path.join(tmpDir, destFilename);
-                await writeFile(tmpFilePath, quizzesToString);
-                const prompt = quizPrompt(deckTermsAndDef.length);
-
-                let result;
-                try {
-                    result = await sendPromptInline(quizSchema, prompt, tmpFilePath, "txt");
-                    console.log(result);
-
-                } catch (error) {
-                    console.log(error);
-                    throw new Error("AI_GENERATION_FAILED");
-                }
-
-                if (!result.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
-                    throw new Error("Invalid AI response: quiz_data is missing or not an array");
-                }
-
-                const questionAndAnswer = result.quiz_data.quiz;
-
-                quizId = await createQuizForDeck({
-                    associated_deck_id: deckId,
-                    created_at: timeStamp,
-                    is_deleted: false,
-                    quiz_type: "multiple-choice",
-                    updated_at:  timeStamp,
-                });
-                
-                await createQuestionAndAnswer(quizId, questionAndAnswer);
-
-                // Update Deck information ( add the following fields to the deck: made_to_quiz_at)
-                await updateDeck(deckId, {made_to_quiz_at: timeStamp});
-
-                const quizObject = await getQuizByID(quizId, "multiple-choice");
-                const quizzes =  quizObject.questions;
-                
-                const shuffledQuizzes = fischerYatesShuffle(quizzes);
-
-                let numToReturn = numOfQuiz;
-
-                if (numToReturn === null || numToReturn === undefined) {
-                    // 4. Edge case: No numOfCards provided
-                    numToReturn = Math.ceil(shuffledQuizzes.length * 0.5); // Default to 50%
-                }
-
-                if (numToReturn > shuffledQuizzes.length) {
-                    const error = new Error("Requested number of flashcards exceeds available cards.");
-                    error.name = "EXCEEDS_AVAILABLE_CARDS";
-                    throw error;
-                }
-
-                const selectedQuizzes = shuffledQuizzes.slice(0, numToReturn);
-
-                quizObject.questions = selectedQuizzes;
-                
-                // Response data
-                statusCode = 200;
-                data = {quizContent: quizObject}
-                message = `Quiz creation for deck with id:${deckId} is successful`;
-            }
-            
-        }else if(quizzes && quizzes.length >= 1){
-            // The deck already has a quiz, check for new flashcards
-
-            // Retrieve new flashcards if there is any
-            const newFlashcards = await getNewFlashcards(deckId, quizUpdateDate);
-            const numOfNewFlashCards = newFlashcards.length;
-
-            if(numOfNewFlashCards > 0){
-
-                const quizzesToString = `${JSON.stringify(newFlashcards, null, 2)}` ;
-                const tmpDir = '/tmp';
-                const destFilename = `downloadQuiz-${id}.txt`;
-                const tmpFilePath = path.join(tmpDir, destFilename);
-                await writeFile(tmpFilePath, quizzesToString);
-
-                const prompt = quizPrompt(newFlashcards.length);
-                let result;
-                try {
-                    result = await sendPromptInline(quizSchema, prompt, tmpFilePath, 'txt');
-                    if (!result.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
-                        throw new Error("Invalid AI response: quiz_data is missing or not an array");
-                    }
-                } catch (error) {
-                    throw new Error("AI_GENERATION_FAILED");
-                }
-
-                const questionAndAnswer = result.quiz_data.quiz;
-                await createQuestionAndAnswer(quizId, questionAndAnswer);
-                
+        const quizFormat = QUIZ_FORMATS[quizType];
+        if (!quizFormat) throw new Error("INVALID_QUIZ_TYPE");
 
-                await updateDeck(deckId, {made_to_quiz_at: timeStamp});
+        // Taken before the flashcards are read, so flashcards added during the generation are quizzed by the next run
+        const quizzedAt = Timestamp.now();
 
-                const quizObject = await getQuizByID(quizId, "multiple-choice");
-                const quizzes =  quizObject.questions;
-                
-                const shuffledQuizzes = fischerYatesShuffle(quizzes);
+        // Retrieves the quiz of this type related to the provided deck ID
+        const quizzes = await getQuizByDeckIDAndQuizType(deckId, quizType);
+        let quizId;
 
-                let numToReturn = numOfQuiz;
-
-                if (numToReturn === null || numToReturn === undefined) {
-                    // 4. Edge case: No numOfCards provided
-                    numToReturn = Math.ceil(shuffledQuizzes.length * 0.5); // Default to 50%
-                }
-
-                if (numToReturn > shuffledQuizzes.length) {
-                    const error = new Error("Requested number of flashcards exceeds available cards.");
-                    error.name = "EXCEEDS_AVAILABLE_CARDS";
-                    throw error;
-                }
+        if (!quizzes || quizzes.length === 0) {
+            // The deck still has no quiz of this type, generate it from all flashcards
+            const deck = await getDeckById(deckId);
+            if (deck.flashcards.length < quizFormat.minFlashcards) throw new Error("INSUFFICIENT_FLASHCARDS");
+
+            const questions = await generateQuizQuestions(quizType, deck.flashcards, id);
+
+            quizId = await createQuizForDeck({
+                associated_deck_id: deckId,
+                created_at: FieldValue.serverTimestamp(),
+                is_deleted: false,
+                quiz_type: quizType,
+                updated_at: FieldValue.serverTimestamp(),
+                flashcards_quizzed_at: quizzedAt,
+            });
+
+            await createQuestionAndAnswer(quizId, questions);
+
+            // Update Deck information ( add the following fields to the deck: made_to_quiz_at)
+            await updateDeck(deckId, {made_to_quiz_at: quizzedAt});
+
+            message = `Quiz creation for deck with id:${deckId} is successful`;
+        } else {
+            // The deck already has a quiz of this type, check for new flashcards
+            const quiz = quizzes[0];
+            quizId = quiz.id;
+
+            // Quizzes made before every quiz tracked its own flashcards still rely on the deck's made_to_quiz_at
+            const newFlashcards = quiz.flashcards_quizzed_at
+                ? await getFlashcardsCreatedSince(deckId, quiz.flashcards_quizzed_at)
+                : await getNewFlashcards(deckId, quiz.updated_at ?? "");
+
+            // Questions of edited or deleted flashcards are regenerated from the current flashcards
+            const staleQuestions = await getStaleQuestions(quizId);
+            const editedFlashcards = await getStaleQuestionFlashcards(deckId, staleQuestions, newFlashcards);
+            let flashcards = [...newFlashcards, ...editedFlashcards];
+
+            // Too few flashcards for a question of this type (e.g. a matching question that lost a pair) are
+            // regenerated together with other flashcards of the deck, instead of waiting for new flashcards
+            if (staleQuestions.length > 0 && flashcards.length > 0 && flashcards.length < quizFormat.minFlashcards) {
+                flashcards = await fillUpFlashcards(deckId, flashcards, quizFormat.minFlashcards);
+            }
 
-                const selectedQuizzes = shuffledQuizzes.slice(0, numToReturn);
+            if (flashcards.length >= quizFormat.minFlashcards) {
+                const questions = await generateQuizQuestions(quizType, flashcards, id);
+                await createQuestionAndAnswer(quizId, questions);
+                await deleteQuestions(quizId, staleQuestions.map(question => question.id));
 
-                quizObject.questions = selectedQuizzes;
+                await updateQuiz(quizId, { updated_at: FieldValue.serverTimestamp(), flashcards_quizzed_at: quizzedAt });
+                await updateDeck(deckId, {made_to_quiz_at: quizzedAt});
 
-                statusCode = 200;
-                data = {quizContent: quizObject}
-                message = `Quiz creation for new flashcards in deck ${deckId} is successful`
+                message = newFlashcards.length > 0
+                    ? `Quiz creation for new flashcards in deck ${deckId} is successful`
+                    : `Quiz questions for edited flashcards in deck ${deckId} were regenerated`;
             } else {
-                const quizObject = await getQuizByID(quizId, "multiple-choice");
-                const quizzes =  quizObject.questions;
-
-                const shuffledQuizzes = fischerYatesShuffle(quizzes);
+                // The stale questions have nothing to be regenerated from: their flashcards were deleted or
+                // the deck has too few flashcards left for a question of this type
+                await deleteQuestions(quizId, staleQuestions.map(question => question.id));
 
-                let numToReturn = numOfQuiz;
-
-                if (numToReturn === null || numToReturn === undefined) {
-                    // 4. Edge case: No numOfCards provided
-                    numToReturn = Math.ceil(shuffledQuizzes.length * 0.5); // Default to 50%
-                }
+                message = `There is already a quiz made for this deck in the 'quiz' collection`;
+            }
+        }
 
-                if (numToReturn > shuffledQuizzes.length) {
-                    const error = new Error("Requested number of flashcards exceeds available cards.");
-                    error.name = "EXCEEDS_AVAILABLE_CARDS";
-                    throw error;
-                }
+        const quizObject = await getQuizByID(quizId, quizType);
 
-                const selectedQuizzes = shuffledQuizzes.slice(0, numToReturn);
+        // Stale questions are never given, e.g. when their regeneration failed or their flashcard was just edited
+        quizObject.questions = quizObject.questions.filter(question => !question.is_stale);
 
-                quizObject.questions = selectedQuizzes;
+        // The learner gets the questions without their answers, these are graded when the attempt is submitted
+        const attempt = await startQuizAttempt(quizObject, selectQuestions(quizObject.questions, numOfQuiz), id);
+        quizObject.questions = attempt.questions;
 
-                statusCode = 200;
-                data = {quizContent: quizObject};
-                message = `There is already a quiz made for this deck in the 'quiz' collection`
-            }
-        }
+        // Response data
+        statusCode = 200;
+        data = {attempt_id: attempt.attemptId, quizContent: quizObject};
     } catch (error) {
         console.log(error);
-        
+
         message = "Quiz creation failed: " + error.message
         data = null;
 
@@ -261,12 +283,24 @@ export const geminiQuizService = async (deckId, id, numOfQuiz) => {
             case "INVALID_USER_ID":
                 statusCode = 400;
                 break;
+            case "INVALID_QUIZ_TYPE":
+                statusCode = 422;
+                break;
             case "DECK_NOT_FOUND":
                 statusCode = 404;
                 break;
             case "MISSING_MADE_TO_QUIZ_AT_FIELD":
                 statusCode = 404;
                 break;
+            case "NO_VALID_FLASHCARDS":
+                statusCode = 422;
+                break;
+            case "INSUFFICIENT_FLASHCARDS":
+                statusCode = 422;
+                break;
+            case "EXCEEDS_AVAILABLE_QUESTIONS":
+                statusCode = 422;
+                break;
             case "NO_VALID_QUESTIONS":
                 statusCode = 400;
                 break;
@@ -289,37 +323,254 @@ export const geminiQuizService = async (deckId, id, numOfQuiz) => {
 }
 
 /**
- * Formats a chunk of questions into a prompt-friendly format.
+ * Returns why the questions of a written flashcard became stale: "flashcard_deleted" when the flashcard was deleted
+ * or soft-deleted and "flashcard_updated" when its term or definition changed. New flashcards and other edits, e.g.
+ * starring the flashcard, do not make its questions stale.
  *
- * @function formatData
- * @param {Array} questionsChunk - The chunk of questions to format.
- * @returns {string} A formatted string for AI moderation.
+ * @function staleQuestionReason
+ * @param {Object|undefined} before - The flashcard data before the write, undefined for new flashcards.
+ * @param {Object|undefined} after - The flashcard data after the write, undefined for deleted documents.
+ * @returns {string|null} The reason, or null if the questions of the flashcard are still valid.
  */
-const formatData = (questionsChunk) => {
-    return questionsChunk.map(q => `ID: ${q.id}\nDescription: ${q.question}\nTerm: ${q.answer}`).join("\n\n");
-};
+export const staleQuestionReason = (before, after) => {
+    if (!before || before.is_deleted) return null;
+    if (!after || after.is_deleted) return 'flashcard_deleted';
+
+    return before.term !== after.term || before.definition !== after.definition ? 'flashcard_updated' : null;
+}
 
 /**
- * Generates a moderation prompt for the AI.
+ * Marks the quiz questions of a written flashcard as stale if its term or definition changed or it was deleted.
+ * Stale questions are left out of quizzes and regenerated with the next quiz request of their quiz type.
  *
- * @function moderationPrompt
- * @param {string} questionsChunk - A formatted chunk of questions.
- * @returns {string} A structured prompt for AI moderation.
+ * @async
+ * @function invalidateFlashcardQuestions
+ * @param {string} deckId - The ID of the deck of the flashcard.
+ * @param {string} flashcardId - The ID of the flashcard.
+ * @param {Object|undefined} before - The flashcard data before the write.
+ * @param {Object|undefined} after - The flashcard data after the write.
+ * @returns {Promise<number>} The number of questions that were marked as stale.
+ */
+export const invalidateFlashcardQuestions = async (deckId, flashcardId, before, after) => {
+    const reason = staleQuestionReason(before, after);
+    if (!reason) return 0;
+
+    const staleCount = await markQuestionsStale(deckId, flashcardId, reason);
+    if (staleCount > 0) logger.info(`Marked ${staleCount} quiz questions of flashcard ${flashcardId} as stale (${reason})`);
+
+    return staleCount;
+}
+
+/**
+ * Fetches the current flashcards the stale questions of a quiz were generated from.
+ * Deleted flashcards and flashcards that are among the new flashcards are left out.
+ *
+ * @async
+ * @function getStaleQuestionFlashcards
+ * @param {string} deckId - The ID of the deck.
+ * @param {Array<Object>} staleQuestions - The stale questions.
+ * @param {Array<Object>} newFlashcards - The flashcards added since the quiz was generated.
+ * @returns {Promise<Array<Object>>} The flashcards to regenerate the questions from.
  */
-const quizPrompt = (number) => {
-    const prompt = `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create a well-balanced multiple-choice quiz. 
+const getStaleQuestionFlashcards = async (deckId, staleQuestions, newFlashcards) => {
+    const newFlashcardIds = new Set(newFlashcards.map(card => card.id));
+    const flashcardIds = [...new Set(staleQuestions.flatMap(questionFlashcardIds))]
+        .filter(flashcardId => !newFlashcardIds.has(flashcardId));
+
+    const flashcards = await mapWithConcurrency(flashcardIds, MAX_CONCURRENT_FLASHCARD_READS, flashcardId => getFlashcardById(deckId, flashcardId));
+    return flashcards.filter(flashcard => flashcard && !flashcard.is_deleted);
+}
+
+/**
+ * Adds other flashcards of the deck to the given flashcards until there are enough for a question.
+ *
+ * @async
+ * @function fillUpFlashcards
+ * @param {string} deckId - The ID of the deck.
+ * @param {Array<Object>} flashcards - The flashcards to regenerate the questions from.
+ * @param {number} minFlashcards - The number of flashcards a question needs.
+ * @returns {Promise<Array<Object>>} The flashcards, followed by the added flashcards. Fewer than
+ * minFlashcards if the deck has no more flashcards.
+ */
+const fillUpFlashcards = async (deckId, flashcards, minFlashcards) => {
+    const deck = await getDeckById(deckId);
+    const flashcardIds = new Set(flashcards.map(card => card.id));
+    const otherFlashcards = deck.flashcards.filter(card => !flashcardIds.has(card.id));
+
+    return [...flashcards, ...otherFlashcards.slice(0, minFlashcards - flashcards.length)];
+}
+
+/**
+ * Returns the IDs of the flashcards a question was generated from.
+ *
+ * @function questionFlashcardIds
+ * @param {Object} question - The stored question.
+ * @returns {string[]} The flashcard IDs.
+ */
+const questionFlashcardIds = (question) => {
+    if (Array.isArray(question.related_flashcard_ids)) return question.related_flashcard_ids;
+    return question.related_flashcard_id ? [question.related_flashcard_id] : [];
+}
+
+/**
+ * Generates the questions of a quiz type for the given flashcards.
+ * The flashcards are sent to the AI as a text file, only with their ID, term and definition.
+ *
+ * @async
+ * @function generateQuizQuestions
+ * @param {string} quizType - The quiz type, one of the keys of QUIZ_FORMATS.
+ * @param {Array<Object>} flashcards - The flashcards with their `id`, term and definition.
+ * @param {string} id - The request owner ID, used to name the temporary file.
+ * @returns {Promise<Array<Object>>} The valid questions in their stored format.
+ * @throws {Error} AI_GENERATION_FAILED if the AI did not return a quiz, NO_VALID_QUESTIONS if none of its questions
+ * passes the quiz quality gate.
+ */
+const generateQuizQuestions = async (quizType, flashcards, id) => {
+    const quizFormat = QUIZ_FORMATS[quizType];
+    const flashcardData = flashcards.map(card => ({ id: card.id, definition: card.definition, term: card.term }));
+    const tmpFilePath = await writeTempTextFile(JSON.stringify(flashcardData, null, 2), `quiz-${id}`);
+
+    let result;
+    try {
+        result = await sendPromptInline(quizFormat.schema, quizFormat.prompt(quizFormat.questionCount(flashcards.length)), tmpFilePath, "txt");
+    } catch (error) {
+        console.log(error);
+        throw new Error("AI_GENERATION_FAILED");
+    } finally {
+        cleanupTempFile(tmpFilePath);
+    }
+
+    if (!result?.quiz_data || !Array.isArray(result.quiz_data.quiz)) {
+        throw new Error("AI_GENERATION_FAILED");
+    }
+
+    const { questions, report } = await enforceQuizQuestionQuality(result.quiz_data.quiz, {
+        quizType: quizType,
+        flashcards: flashcardData,
+        schema: quizFormat.schema,
+        toQuestions: quizFormat.toQuestions,
+    });
+    logger.info(`Generated ${questions.length} valid questions out of ${result.quiz_data.quiz.length}`, report);
+
+    if (questions.length === 0) throw new Error("NO_VALID_QUESTIONS");
+    return questions;
+}
+
+/**
+ * Picks the requested number of questions in random order.
+ *
+ * @function selectQuestions
+ * @param {Array<Object>} questions - All questions of the quiz.
+ * @param {number|null} numOfQuiz - The number of questions to return, half of the questions (rounded up) if null.
+ * @returns {Array<Object>} The selected questions.
+ * @throws {Error} EXCEEDS_AVAILABLE_QUESTIONS if more questions are requested than the quiz has.
+ */
+const selectQuestions = (questions, numOfQuiz) => {
+    const shuffledQuizzes = fischerYatesShuffle(questions);
+
+    let numToReturn = numOfQuiz;
+
+    if (numToReturn === null || numToReturn === undefined) {
+        // Edge case: No numOfQuiz provided
+        numToReturn = Math.ceil(shuffledQuizzes.length * 0.5); // Default to 50%
+    }
+
+    if (numToReturn > shuffledQuizzes.length) throw new Error("EXCEEDS_AVAILABLE_QUESTIONS");
+
+    return shuffledQuizzes.slice(0, numToReturn);
+}
+
+/**
+ * Checks whether a value is a string with more than whitespace.
+ *
+ * @function isNonEmptyString
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a non-empty string.
+ */
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Returns a trimmed string, or an empty string for any other value.
+ *
+ * @function trimmedString
+ * @param {*} value - The value returned by the AI.
+ * @returns {string} The trimmed string.
+ */
+const trimmedString = (value) => typeof value === 'string' ? value.trim() : '';
+
+/**
+ * Returns the related flashcard ID returned by the AI. Whether it refers to one of the sent flashcards is checked
+ * by the quiz quality gate.
+ *
+ * @function relatedFlashcardId
+ * @param {*} flashcardId - The ID returned by the AI.
+ * @returns {string|null} The trimmed flashcard ID, or null if there is none.
+ */
+const relatedFlashcardId = (flashcardId) => isNonEmptyString(flashcardId) ? flashcardId.trim() : null;
+
+/**
+ * Builds the list of other answers accepted for a typed answer, without the answer itself and without repeats.
+ *
+ * @function acceptedAnswers
+ * @param {string} answer - The answer of the question.
+ * @param {*} alternatives - The accepted answers returned by the AI.
+ * @returns {string[]} The trimmed accepted answers.
+ */
+const acceptedAnswers = (answer, alternatives) => {
+    const seen = new Set([normalizeTerm(answer)]);
+
+    return (Array.isArray(alternatives) ? alternatives : [])
+        .filter(isNonEmptyString)
+        .map(alternative => alternative.trim())
+        .filter(alternative => {
+            const normalized = normalizeTerm(alternative);
+            if (seen.has(normalized)) return false;
+            seen.add(normalized);
+            return true;
+        });
+}
+
+/**
+ * The sample input shown in every quiz prompt.
+ */
+const SAMPLE_INPUT = `## Sample input format ##
+    {
+      "id": "i7QfG8FFwBJhP97Ns5wC",
+      "definition": "A mathematical notation used to describe the average-case performance or a tight bound on an algorithm's growth rate.",
+      "term": "Big Theta Notation"
+    },
+    {
+      "id": "jkfzboKhtkyRF80VHn7E",
+      "definition": "A mathematical notation that describes the best-case performance or the lower bound of an algorithm's growth rate.",
+      "term": "Big Omega Notation"
+    },
+    {
+      "id": "oIptWvSrCj2QkCxOAc01",
+      "definition": "test",
+      "term": "test"
+    },`;
+
+/**
+ * Generates the prompt of a multiple-choice quiz.
+ *
+ * @function multipleChoicePrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for the quiz generation.
+ */
+const multipleChoicePrompt = (number) => {
+    const prompt = `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create a well-balanced multiple-choice quiz.
     Each question should assess understanding of the terms and definitions given. Follow these strict requirements:
 
     - Number of Questions: Generate exactly ${number} questions. Do not return more or fewer.
     - Question Quality: Each question must be clear, relevant, and derived from the flashcard content.
     - Rephrasing Requirement: Avoid copying the exact wording from the flashcard. Instead, rephrase to encourage critical thinking.
-    - Answer Choices: Each question must have four answer choices, with only one correct answer.
-    - Plausible Distractors: The incorrect choices (distractors) should be plausible but incorrect.c
+    - Answer Choices: Each question must have ${MULTIPLE_CHOICE_COUNT} answer choices, with only one correct answer.
+    - Plausible Distractors: The incorrect choices (distractors) should be plausible but incorrect.
     - Question Types: Ensure a mix of:
         - Direct recall questions
         - Application-based questions
         - Conceptual questions
-    - Error Handling: If the flashcard set is too small to generate the required number of questions, 
+    - Error Handling: If the flashcard set is too small to generate the required number of questions,
         return the following error message instead of an incomplete quiz:
         { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
 
@@ -329,22 +580,7 @@ const quizPrompt = (number) => {
     3. Generate exactly ${number} well-structured questions.
     4. Strictly follow the expected output format below.
 
-    ## Sample input format ##
-    {
-      "id": "i7QfG8FFwBJhP97Ns5wC",
-      "definition": "A mathematical notation used to describe the average-case performance or a tight bound on an algorithm's growth rate.",
-      "term": "Big Theta Notation"
-    },
-    {
-      "id": "jkfzboKhtkyRF80VHn7E",
-      "definition": "A mathematical notation that describes the best-case performance or the lower bound of an algorithm's growth rate.",
-      "term": "Big Omega Notation"
-    },
-    {
-      "id": "oIptWvSrCj2QkCxOAc01",
-      "definition": "test",
-      "term": "test"
-    },
+    ${SAMPLE_INPUT}
 
     ## Expected sample output format ##
     {
@@ -375,5 +611,185 @@ const quizPrompt = (number) => {
     return prompt;
 }
 
+/**
+ * Generates the prompt of a true/false quiz.
+ *
+ * @function trueFalsePrompt
+ * @param {number} number - The number of statements to generate.
+ * @returns {string} A structured prompt for the quiz generation.
+ */
+const trueFalsePrompt = (number) => {
+    return `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create a true/false quiz.
+    Each statement should assess understanding of the terms and definitions given. Follow these strict requirements:
+
+    - Number of Statements: Generate exactly ${number} statements, one per flashcard. Do not return more or fewer.
+    - Statement Quality: Every statement must be clearly either true or false, never ambiguous or a matter of opinion.
+    - Rephrasing Requirement: Avoid copying the exact wording from the flashcard.
+    - False Statements: Make false statements plausible, e.g. by swapping in a related term or changing a key detail.
+    - Balance: Make roughly half of the statements true and half false.
+    - Error Handling: If the flashcard set is too small to generate the required number of statements,
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} statements." }
+
+    ### Instructions for Generating the Quiz:
+    1. Analyze the provided definition-term pairs.
+    2. STRICTLY do not use the id to create statements, only the definition and term.
+    3. Set "is_true" to whether the statement is true and "related_flashcard_id" to the id of the flashcard it is based on.
+    4. Strictly follow the expected output format below.
+
+    ${SAMPLE_INPUT}
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "Big Theta Notation gives a tight bound on the growth rate of an algorithm.",
+                "related_flashcard_id": "i7QfG8FFwBJhP97Ns5wC",
+                "is_true": true
+            },
+            {
+                "question": "Big Omega Notation describes the worst-case performance of an algorithm.",
+                "related_flashcard_id": "jkfzboKhtkyRF80VHn7E",
+                "is_true": false
+            }
+        ],
+        "errorMessage": null
+    }`;
+}
+
+/**
+ * Generates the prompt of an identification quiz, answered by typing the term.
+ *
+ * @function identificationPrompt
+ * @param {number} number - The number of questions to generate.
+ * @returns {string} A structured prompt for the quiz generation.
+ */
+const identificationPrompt = (number) => {
+    return `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create an identification quiz
+    in which students type the term that matches a description. Follow these strict requirements:
+
+    - Number of Questions: Generate exactly ${number} questions, one per flashcard. Do not return more or fewer.
+    - Question Quality: Every question describes exactly one term, rephrased from its definition.
+    - No Giveaways: The question must NOT contain the term or any word of it.
+    - Answers: The "answer" is the term of the flashcard. List other correct spellings, abbreviations or synonyms in
+        "accepted_answers" (an empty list if there are none).
+    - Error Handling: If the flashcard set is too small to generate the required number of questions,
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
+
+    ### Instructions for Generating the Quiz:
+    1. Analyze the provided definition-term pairs.
+    2. STRICTLY do not use the id to create questions, only the definition and term.
+    3. Set "related_flashcard_id" to the id of the flashcard the question is based on.
+    4. Strictly follow the expected output format below.
+
+    ${SAMPLE_INPUT}
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "Which notation gives a tight bound on how fast the running time of an algorithm grows?",
+                "related_flashcard_id": "i7QfG8FFwBJhP97Ns5wC",
+                "answer": "Big Theta Notation",
+                "accepted_answers": ["Big Theta", "Θ notation"]
+            }
+        ],
+        "errorMessage": null
+    }`;
+}
+
+/**
+ * Generates the prompt of a fill-in-the-blank quiz.
+ *
+ * @function fillInTheBlankPrompt
+ * @param {number} number - The number of sentences to generate.
+ * @returns {string} A structured prompt for the quiz generation.
+ */
+const fillInTheBlankPrompt = (number) => {
+    return `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create a fill-in-the-blank quiz.
+    Follow these strict requirements:
+
+    - Number of Questions: Generate exactly ${number} sentences, one per flashcard. Do not return more or fewer.
+    - Blanks: Every sentence contains exactly one blank, written as ${BLANK}, in place of a key word or phrase.
+    - Sentence Quality: The sentence must give enough context to fill the blank with a single correct answer.
+    - Rephrasing Requirement: Avoid copying the exact wording from the flashcard.
+    - Answers: The "answer" is the word or phrase that fills the blank. List other correct spellings, abbreviations or
+        synonyms in "accepted_answers" (an empty list if there are none).
+    - Error Handling: If the flashcard set is too small to generate the required number of sentences,
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} sentences." }
+
+    ### Instructions for Generating the Quiz:
+    1. Analyze the provided definition-term pairs.
+    2. STRICTLY do not use the id to create sentences, only the definition and term.
+    3. Set "related_flashcard_id" to the id of the flashcard the sentence is based on.
+    4. Strictly follow the expected output format below.
 
+    ${SAMPLE_INPUT}
 
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "The lower bound of an algorithm's growth rate is described by ${BLANK}.",
+                "related_flashcard_id": "jkfzboKhtkyRF80VHn7E",
+                "answer": "Big Omega Notation",
+                "accepted_answers": ["Big Omega", "Ω notation"]
+            }
+        ],
+        "errorMessage": null
+    }`;
+}
+
+/**
+ * Generates the prompt of a matching quiz. Every question groups several flashcards whose terms are matched
+ * with their descriptions.
+ *
+ * @function matchingPrompt
+ * @param {number} number - The number of matching questions to generate.
+ * @returns {string} A structured prompt for the quiz generation.
+ */
+const matchingPrompt = (number) => {
+    return `You are an expert quiz generator. Based on the provided flashcards inside the uploaded file, create a matching quiz
+    in which students match terms with their descriptions. Follow these strict requirements:
+
+    - Number of Questions: Split the flashcards into exactly ${number} matching questions. Do not return more or fewer.
+    - Pairs: Every question has ${MIN_MATCHING_PAIRS} to ${MAX_MATCHING_PAIRS} pairs, one per flashcard. Use every flashcard at most once.
+    - Grouping: Group related flashcards together, so the descriptions of a question are easy to confuse.
+    - Descriptions: Rephrase the definition of every flashcard as a short description that does not contain its term.
+    - Uniqueness: The terms and the descriptions within a question must all be different.
+    - Error Handling: If the flashcard set is too small to generate the required number of questions,
+        return the following error message instead of an incomplete quiz:
+        { "quiz": [], "errorMessage": "Insufficient flashcards to generate ${number} questions." }
+
+    ### Instructions for Generating the Quiz:
+    1. Analyze the provided definition-term pairs.
+    2. STRICTLY do not use the id as a term or description, only the definition and term.
+    3. Set the "related_flashcard_id" of every pair to the id of its flashcard.
+    4. Strictly follow the expected output format below.
+
+    ${SAMPLE_INPUT}
+
+    ## Expected sample output format ##
+    {
+        "quiz": [
+            {
+                "question": "${DEFAULT_MATCHING_INSTRUCTION}",
+                "pairs": [
+                    {
+                        "related_flashcard_id": "i7QfG8FFwBJhP97Ns5wC",
+                        "term": "Big Theta Notation",
+                        "definition": "A tight bound on the growth rate of an algorithm."
+                    },
+                    {
+                        "related_flashcard_id": "jkfzboKhtkyRF80VHn7E",
+                        "term": "Big Omega Notation",
+                        "definition": "The lower bound of an algorithm's growth rate."
+                    }
+                ]
+            }
+        ],
+        "errorMessage": null
+    }`;
+}
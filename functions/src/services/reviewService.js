@@ -0,0 +1,329 @@
+/**
+ * Deck API - Review Service
+ *
+ * @file reviewService.js
+ * @description Provides spaced-repetition reviews of flashcards.
+ *
+ * Every user has their own learning state per flashcard. A review records a grade and schedules the next review with
+ * the SM-2 scheduler, and the review queue lists the flashcards due by the end of the user's day.
+ * Both services take the current time as a parameter, so they can be run against a fixed clock.
+ *
+ * @module reviewService
+ *
+ * @requires ../models/spacedRepetition.js
+ * @requires ../repositories/reviewRepository.js
+ * @requires ../repositories/deckRepository.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { endOfDay, scheduleReview } from '../models/spacedRepetition.js';
+import { getDueReviews, getReviewedFlashcardIds, recordReview } from '../repositories/reviewRepository.js';
+import { getDeckData, getDeckWithFlashcards, getFlashcardById } from '../repositories/deckRepository.js';
+import { mapWithConcurrency } from '../utils/utils.js';
+
+/**
+ * Default and maximum number of due flashcards in the review queue.
+ */
+export const DEFAULT_DUE_LIMIT = 50;
+export const MAX_DUE_LIMIT = 100;
+
+/**
+ * Default and maximum number of never reviewed flashcards added to the review queue of a deck.
+ */
+export const DEFAULT_NEW_LIMIT = 10;
+export const MAX_NEW_LIMIT = 50;
+
+/**
+ * Maximum number of decks or flashcards fetched at the same time while building the review queue.
+ */
+const MAX_CONCURRENT_READS = 5;
+
+/**
+ * Known error codes of the review services and the response status and message used for each.
+ * Errors not listed here are reported as UNKNOWN_SERVER_ERROR.
+ */
+const REVIEW_ERRORS = {
+    DECK_NOT_FOUND: {
+        status: 404,
+        message: 'The deck does not exist or has been deleted.'
+    },
+    FORBIDDEN: {
+        status: 403,
+        message: 'The deck is private and does not belong to the requesting user.'
+    },
+    FLASHCARD_NOT_FOUND: {
+        status: 404,
+        message: 'The flashcard does not exist or has been deleted.'
+    },
+    INVALID_GRADE: {
+        status: 422,
+        message: 'The grade of the review is invalid.'
+    },
+};
+
+/**
+ * Records the review of a flashcard and schedules its next review.
+ * Users can review the flashcards of their own decks and of public decks.
+ *
+ * @async
+ * @function reviewFlashcardService
+ * @param {string} deckId - The ID of the deck of the flashcard.
+ * @param {string} flashcardId - The ID of the flashcard.
+ * @param {string} grade - The grade of the review, one of REVIEW_GRADES.
+ * @param {string} id - The request owner ID.
+ * @param {Date} [now=new Date()] - The time of the review.
+ * @returns {Promise<Object>} Response object containing the new learning state of the flashcard or error message.
+ */
+export const reviewFlashcardService = async (deckId, flashcardId, grade, id, now = new Date()) => {
+    try {
+        await getAccessibleDeck(deckId, id);
+
+        const flashcard = await getFlashcardById(deckId, flashcardId);
+        if (!flashcard || flashcard.is_deleted) throw new Error("FLASHCARD_NOT_FOUND");
+
+        const state = await recordReview(id, deckId, flashcardId, (storedState) => scheduleReview(storedState, grade, now), {
+            grade: grade,
+            reviewed_at: now,
+        });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Review was recorded successfully',
+            data: formatReviewState(state)
+        };
+    } catch (error) {
+        console.log(error);
+        return reviewErrorResponse(error, id, 'An error occured while recording the review');
+    }
+}
+
+/**
+ * Builds the review queue of a user: the flashcards due by the end of the user's day, the most overdue first.
+ * The queue of a deck also lists flashcards of the deck that were never reviewed, after the due flashcards.
+ * Flashcards and decks that were deleted or made private since their last review are left out.
+ *
+ * @async
+ * @function getDueReviewsService
+ * @param {Object} options - The queue options.
+ * @param {string} [options.deckId] - Only list the flashcards of this deck instead of all decks.
+ * @param {number} [options.limit=DEFAULT_DUE_LIMIT] - The maximum number of due flashcards.
+ * @param {number} [options.newLimit=DEFAULT_NEW_LIMIT] - The maximum number of never reviewed flashcards of the deck.
+ * @param {number} [options.utcOffset=0] - The offset of the user's time zone from UTC in minutes.
+ * @param {string} id - The request owner ID.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<Object>} Response object containing the review queue or error message.
+ */
+export const getDueReviewsService = async (options, id, now = new Date()) => {
+    const { deckId, limit = DEFAULT_DUE_LIMIT, newLimit = DEFAULT_NEW_LIMIT, utcOffset = 0 } = options;
+
+    try {
+        const dueBefore = endOfDay(now, utcOffset);
+        const reviews = deckId
+            ? await getDeckQueue(deckId, { dueBefore, limit, newLimit }, id)
+            : await getUserQueue({ dueBefore, limit }, id);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Review queue was retrieved successfully',
+            data: {
+                ...(deckId && { deck_id: deckId }),
+                due_before: dueBefore.toISOString(),
+                due_count: reviews.filter(review => !review.is_new).length,
+                new_count: reviews.filter(review => review.is_new).length,
+                reviews: reviews,
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return reviewErrorResponse(error, id, 'An error occured while retrieving the review queue');
+    }
+}
+
+/**
+ * Builds the review queue of a single deck.
+ *
+ * @async
+ * @function getDeckQueue
+ * @param {string} deckId - The ID of the deck.
+ * @param {Object} options - The due date and limits of the queue.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Array<Object>>} The due flashcards followed by the never reviewed flashcards.
+ */
+const getDeckQueue = async (deckId, { dueBefore, limit, newLimit }, id) => {
+    const deck = await getAccessibleDeck(deckId, id, true);
+    const flashcards = new Map(deck.flashcards.map(flashcard => [flashcard.id, flashcard]));
+
+    const [dueStates, reviewedIds] = await Promise.all([
+        getDueReviews(id, { dueBefore, limit, deckId }),
+        newLimit > 0 ? getReviewedFlashcardIds(id, deckId) : new Set(),
+    ]);
+
+    const dueReviews = dueStates
+        .filter(state => flashcards.has(state.flashcard_id))
+        .map(state => toQueueItem(deckId, flashcards.get(state.flashcard_id), state));
+
+    const newReviews = newLimit > 0
+        ? sortByCreation(deck.flashcards.filter(flashcard => !reviewedIds.has(flashcard.id)))
+            .slice(0, newLimit)
+            .map(flashcard => toQueueItem(deckId, flashcard, null))
+        : [];
+
+    return [...dueReviews, ...newReviews];
+}
+
+/**
+ * Builds the review queue across all decks of a user.
+ *
+ * @async
+ * @function getUserQueue
+ * @param {Object} options - The due date and limit of the queue.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Array<Object>>} The due flashcards.
+ */
+const getUserQueue = async ({ dueBefore, limit }, id) => {
+    const dueStates = await getDueReviews(id, { dueBefore, limit });
+
+    const deckIds = [...new Set(dueStates.map(state => state.deck_id))];
+    const decks = await mapWithConcurrency(deckIds, MAX_CONCURRENT_READS, deckId => getDeckData(deckId));
+    const accessibleDeckIds = new Set(decks.filter(deck => deck && isAccessible(deck, id)).map(deck => deck.id));
+
+    const accessibleStates = dueStates.filter(state => accessibleDeckIds.has(state.deck_id));
+    const flashcards = await mapWithConcurrency(accessibleStates, MAX_CONCURRENT_READS,
+        state => getFlashcardById(state.deck_id, state.flashcard_id));
+
+    return accessibleStates
+        .map((state, index) => ({ state, flashcard: flashcards[index] }))
+        .filter(({ flashcard }) => flashcard && !flashcard.is_deleted)
+        .map(({ state, flashcard }) => toQueueItem(state.deck_id, flashcard, state));
+}
+
+/**
+ * Fetches a deck and checks that the user can review it.
+ *
+ * @async
+ * @function getAccessibleDeck
+ * @param {string} deckId - The ID of the deck.
+ * @param {string} id - The request owner ID.
+ * @param {boolean} [withFlashcards=false] - Whether to fetch the flashcards of the deck as well.
+ * @returns {Promise<Object>} The deck.
+ * @throws {Error} DECK_NOT_FOUND or FORBIDDEN.
+ */
+const getAccessibleDeck = async (deckId, id, withFlashcards = false) => {
+    const deck = withFlashcards ? await getDeckWithFlashcards(deckId) : await getDeckData(deckId);
+
+    if (!deck || deck.is_deleted) throw new Error("DECK_NOT_FOUND");
+    if (!isAccessible(deck, id)) throw new Error("FORBIDDEN");
+
+    return deck;
+}
+
+/**
+ * Checks whether a user can review a deck: their own decks and public decks that are not deleted.
+ *
+ * @function isAccessible
+ * @param {Object} deck - The deck.
+ * @param {string} id - The request owner ID.
+ * @returns {boolean} True if the user can review the deck.
+ */
+const isAccessible = (deck, id) => !deck.is_deleted && (deck.owner_id === id || deck.is_private === false);
+
+/**
+ * Builds an item of the review queue.
+ *
+ * @function toQueueItem
+ * @param {string} deckId - The ID of the deck of the flashcard.
+ * @param {Object} flashcard - The flashcard with its `id`.
+ * @param {Object|null} state - The learning state of the flashcard, null if it was never reviewed.
+ * @returns {Object} The queue item.
+ */
+const toQueueItem = (deckId, flashcard, state) => ({
+    deck_id: deckId,
+    flashcard_id: flashcard.id,
+    ...(state && formatReviewState(state)),
+    is_new: !state,
+    flashcard: flashcard,
+});
+
+/**
+ * Formats a learning state for a response, with ISO dates.
+ *
+ * @function formatReviewState
+ * @param {Object} state - The learning state.
+ * @returns {Object} The formatted learning state.
+ */
+const formatReviewState = (state) => ({
+    deck_id: state.deck_id,
+    flashcard_id: state.flashcard_id,
+    ease_factor: state.ease_factor,
+    interval_days: state.interval_days,
+    repetitions: state.repetitions,
+    lapses: state.lapses,
+    review_count: state.review_count,
+    last_grade: state.last_grade,
+    last_reviewed_at: toISOString(state.last_reviewed_at),
+    due_at: toISOString(state.due_at),
+});
+
+/**
+ * Converts a Firestore Timestamp or a Date to an ISO string.
+ *
+ * @function toISOString
+ * @param {Object|Date} value - The Timestamp or Date.
+ * @returns {string|null} The ISO string, null if there is no value.
+ */
+const toISOString = (value) => {
+    const date = typeof value?.toDate === 'function' ? value.toDate() : value;
+    return date instanceof Date ? date.toISOString() : null;
+}
+
+/**
+ * Sorts flashcards by their creation time, the oldest first.
+ *
+ * @function sortByCreation
+ * @param {Array<Object>} flashcards - The flashcards.
+ * @returns {Array<Object>} The sorted flashcards.
+ */
+const sortByCreation = (flashcards) => {
+    const createdAt = (card) => card.created_at?.toMillis?.() ?? 0;
+    return [...flashcards].sort((a, b) => createdAt(a) - createdAt(b) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Builds the service response for a failed review request.
+ *
+ * @function reviewErrorResponse
+ * @param {Error} error - The error thrown by the service.
+ * @param {string} id - The request owner ID.
+ * @param {string} message - The message of the response.
+ * @returns {Object} Response object containing the error code and message.
+ */
+const reviewErrorResponse = (error, id, message) => {
+    const knownError = REVIEW_ERRORS[error.message];
+
+    if (!knownError) {
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: message,
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+
+    return {
+        status: knownError.status,
+        request_owner_id: id,
+        message: message,
+        data: {
+            error: error.message,
+            message: knownError.message
+        }
+    };
+}
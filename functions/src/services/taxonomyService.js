@@ -0,0 +1,384 @@
+/**
+ * Deck API - Taxonomy Service
+ *
+ * @file taxonomyService.js
+ * @description Classifies decks into the subject taxonomy and lists decks by taxonomy node.
+ *
+ * Every deck stores the taxonomy version it was classified with, the ID of its node (`taxonomy_node`), the IDs of the
+ * node and its ancestors (`taxonomy_path`) and their labels (`taxonomy_labels`). Created decks and decks whose title
+ * or description changed are classified by the taxonomy worker, existing decks by the backfill job.
+ *
+ * @module taxonomyService
+ *
+ * @requires ../models/subjectTaxonomy.js
+ * @requires ../repositories/deckRepository.js
+ * @requires ./aiService.js
+ * @requires ../schema/deckClassificationSchema.js
+ * @requires ../utils/utils.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { SUBJECT_TAXONOMY_VERSION, getTaxonomyNode, listTaxonomyNodes, resolveTaxonomyNode } from '../models/subjectTaxonomy.js';
+import { getDeckTerms, listDecksByTaxonomyNode, listDecksPage, updateDeck } from '../repositories/deckRepository.js';
+import { sendPromptJson } from './aiService.js';
+import { deckClassificationSchema } from '../schema/deckClassificationSchema.js';
+import { mapWithConcurrency } from '../utils/utils.js';
+
+/**
+ * Maximum number of decks classified with a single prompt.
+ */
+const CLASSIFICATION_BATCH_SIZE = 20;
+
+/**
+ * Maximum number of classification prompts sent to the AI at the same time.
+ */
+const MAX_CONCURRENT_BATCHES = 3;
+
+/**
+ * Maximum number of terms of a deck sent with its classification.
+ */
+const MAX_CLASSIFIED_TERMS = 30;
+
+/**
+ * Number of decks read per page of the backfill.
+ */
+const BACKFILL_PAGE_SIZE = 100;
+
+/**
+ * Time in ms after which a backfill run stops reading new pages, the rest is left to a continuation job.
+ */
+const BACKFILL_TIME_BUDGET = 7 * 60 * 1000;
+
+/**
+ * Default and maximum number of decks listed per page.
+ */
+const DEFAULT_LIST_LIMIT = 20;
+export const MAX_LIST_LIMIT = 50;
+
+/**
+ * Known error codes of the taxonomy services and the response status and message used for each.
+ * Errors not listed here are reported as UNKNOWN_SERVER_ERROR.
+ */
+const TAXONOMY_ERRORS = {
+    TAXONOMY_NODE_NOT_FOUND: {
+        status: 404,
+        message: 'The taxonomy node does not exist.'
+    },
+    INVALID_CURSOR: {
+        status: 422,
+        message: 'The cursor does not refer to an existing deck.'
+    },
+};
+
+/**
+ * Checks whether a deck is not classified with the current taxonomy version.
+ *
+ * @function isTaxonomyOutdated
+ * @param {Object} deck - The deck data.
+ * @returns {boolean} True if the deck is not deleted and not classified with SUBJECT_TAXONOMY_VERSION.
+ */
+export const isTaxonomyOutdated = (deck) => {
+    return Boolean(deck) && !deck.is_deleted && deck.taxonomy_version !== SUBJECT_TAXONOMY_VERSION;
+}
+
+/**
+ * Checks whether a written deck has to be classified: new decks, decks with an edited title or description and
+ * decks classified with an older taxonomy version. Writing the classification itself does not trigger another one.
+ *
+ * @function needsTaxonomyClassification
+ * @param {Object|undefined} before - The deck data before the write, undefined for new decks.
+ * @param {Object|undefined} after - The deck data after the write, undefined for deleted documents.
+ * @returns {boolean} True if the deck has to be classified.
+ */
+export const needsTaxonomyClassification = (before, after) => {
+    if (!after || after.is_deleted) return false;
+    if (isTaxonomyOutdated(after)) return true;
+
+    return !before || before.title !== after.title || before.description !== after.description;
+}
+
+/**
+ * Classifies a single deck and stores the classification on the deck.
+ *
+ * @async
+ * @function classifyDeckTaxonomy
+ * @param {string} deckId - The ID of the deck.
+ * @param {Object} deck - The deck data.
+ * @returns {Promise<Object>} The taxonomy node of the deck.
+ * @throws {Error} AI_GENERATION_FAILED if the AI did not classify the deck, or a repository error.
+ */
+export const classifyDeckTaxonomy = async (deckId, deck) => {
+    const terms = await getDeckTerms(deckId, MAX_CLASSIFIED_TERMS);
+    const nodes = await classifyDecks([{ ...deck, id: deckId, terms }]);
+
+    await updateDeck(deckId, taxonomyFields(nodes.get(deckId)));
+    return nodes.get(deckId);
+}
+
+/**
+ * Classifies every deck that is not classified with the current taxonomy version, page by page.
+ * A run stops after BACKFILL_TIME_BUDGET and returns the cursor to continue from.
+ *
+ * @async
+ * @function backfillTaxonomyService
+ * @param {string|null} cursor - The ID of the last deck handled by the previous run, or null to start from the beginning.
+ * @param {string} id - The request owner ID.
+ * @param {Function} [onProgress] - Optional callback notified with page_classified after every page.
+ * @returns {Promise<Object>} Response object containing the number of classified, skipped and failed decks and the
+ * `next_cursor` (null once every deck was handled).
+ */
+export const backfillTaxonomyService = async (cursor, id, onProgress = () => {}) => {
+    const startedAt = Date.now();
+    let nextCursor = cursor;
+    let classifiedCount = 0;
+    let skippedCount = 0;
+    let failedCount = 0;
+
+    try {
+        do {
+            const page = await listDecksPage(nextCursor, BACKFILL_PAGE_SIZE);
+            const outdatedDecks = page.decks.filter(isTaxonomyOutdated);
+            skippedCount += page.decks.length - outdatedDecks.length;
+
+            const decks = await mapWithConcurrency(outdatedDecks, MAX_CONCURRENT_BATCHES, async (deck) => ({
+                ...deck,
+                terms: await getDeckTerms(deck.id, MAX_CLASSIFIED_TERMS),
+            }));
+
+            const batches = [];
+            for (let start = 0; start < decks.length; start += CLASSIFICATION_BATCH_SIZE) {
+                batches.push(decks.slice(start, start + CLASSIFICATION_BATCH_SIZE));
+            }
+
+            // A failed batch stays outdated and is picked up by the next backfill
+            await mapWithConcurrency(batches, MAX_CONCURRENT_BATCHES, async (batch) => {
+                try {
+                    const nodes = await classifyDecks(batch);
+                    await Promise.all(batch.map(deck => updateDeck(deck.id, taxonomyFields(nodes.get(deck.id)))));
+                    classifiedCount += batch.length;
+                } catch (error) {
+                    logger.error(`Failed to classify a batch of ${batch.length} decks:`, error);
+                    failedCount += batch.length;
+                }
+            });
+
+            nextCursor = page.nextCursor;
+            onProgress('page_classified');
+        } while (nextCursor && Date.now() - startedAt < BACKFILL_TIME_BUDGET);
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Decks were classified successfully',
+            data: {
+                taxonomy_version: SUBJECT_TAXONOMY_VERSION,
+                classified_count: classifiedCount,
+                skipped_count: skippedCount,
+                failed_count: failedCount,
+                next_cursor: nextCursor,
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return taxonomyErrorResponse(error, id);
+    }
+}
+
+/**
+ * Lists the nodes of the subject taxonomy.
+ *
+ * @function getSubjectTaxonomyService
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object containing the taxonomy version and its nodes in tree order.
+ */
+export const getSubjectTaxonomyService = (id) => {
+    return {
+        status: 200,
+        request_owner_id: id,
+        message: 'Subject taxonomy was retrieved successfully',
+        data: {
+            version: SUBJECT_TAXONOMY_VERSION,
+            nodes: listTaxonomyNodes().map(node => ({
+                id: node.id,
+                label: node.label,
+                path: node.path,
+                labels: node.labels,
+                is_leaf: node.isLeaf,
+            })),
+        }
+    };
+}
+
+/**
+ * Lists the decks classified into a taxonomy node or one of its descendants, newest first.
+ *
+ * @async
+ * @function listDecksByTaxonomyService
+ * @param {string} nodeId - The ID of the taxonomy node.
+ * @param {Object} options - The list options.
+ * @param {string} [options.scope='public'] - `public` for the public decks, `mine` for the decks of the requesting user.
+ * @param {number} [options.limit=DEFAULT_LIST_LIMIT] - The maximum number of decks.
+ * @param {string} [options.cursor] - The `next_cursor` of the previous page.
+ * @param {string} id - The request owner ID.
+ * @returns {Promise<Object>} Response object containing the decks and the cursor of the next page or error message.
+ */
+export const listDecksByTaxonomyService = async (nodeId, options, id) => {
+    const { scope = 'public', limit = DEFAULT_LIST_LIMIT, cursor } = options;
+
+    try {
+        const node = getTaxonomyNode(nodeId);
+        if (!node) throw new Error("TAXONOMY_NODE_NOT_FOUND");
+
+        const { decks, nextCursor } = await listDecksByTaxonomyNode(nodeId, {
+            ownerId: scope === 'mine' ? id : undefined,
+            limit: limit,
+            cursor: cursor,
+        });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Decks were retrieved successfully',
+            data: {
+                node: { id: node.id, label: node.label, labels: node.labels },
+                decks: decks.map(deck => ({
+                    id: deck.id,
+                    title: deck.title,
+                    description: deck.description,
+                    cover_photo: deck.cover_photo,
+                    flashcard_count: deck.flashcard_count,
+                    owner_id: deck.owner_id,
+                    is_private: deck.is_private,
+                    language: deck.language ?? null,
+                    tags: deck.tags ?? [],
+                    taxonomy_node: deck.taxonomy_node,
+                    taxonomy_labels: deck.taxonomy_labels ?? [],
+                    created_at: deck.created_at,
+                })),
+                next_cursor: nextCursor,
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return taxonomyErrorResponse(error, id);
+    }
+}
+
+/**
+ * Classifies decks into the taxonomy, CLASSIFICATION_BATCH_SIZE decks at most.
+ * Unknown node IDs returned by the AI are resolved to their closest known ancestor.
+ *
+ * @async
+ * @function classifyDecks
+ * @param {Array<Object>} decks - The decks with their `id`, title, description, subject, topic, tags and `terms`.
+ * @returns {Promise<Map<string, Object>>} The taxonomy node of every deck by deck ID.
+ * @throws {Error} AI_GENERATION_FAILED if the AI left out any deck.
+ */
+const classifyDecks = async (decks) => {
+    const response = await sendPromptJson(deckClassificationSchema, classificationPrompt(decks));
+    const classifications = new Map(
+        (Array.isArray(response?.classifications) ? response.classifications : [])
+            .filter(classification => typeof classification?.deck_id === 'string')
+            .map(classification => [classification.deck_id, resolveTaxonomyNode(classification.node_id)])
+    );
+
+    if (!decks.every(deck => classifications.has(deck.id))) throw new Error("AI_GENERATION_FAILED");
+    return classifications;
+}
+
+/**
+ * Builds the deck fields of a classification.
+ *
+ * @function taxonomyFields
+ * @param {Object} node - The taxonomy node of the deck.
+ * @returns {Object} The fields to update on the deck.
+ */
+const taxonomyFields = (node) => ({
+    taxonomy_version: SUBJECT_TAXONOMY_VERSION,
+    taxonomy_node: node.id,
+    taxonomy_path: node.path,
+    taxonomy_labels: node.labels,
+    taxonomy_classified_at: FieldValue.serverTimestamp(),
+});
+
+/**
+ * Builds the service response for a failed taxonomy request.
+ *
+ * @function taxonomyErrorResponse
+ * @param {Error} error - The error thrown by the service.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object containing the error code and message.
+ */
+const taxonomyErrorResponse = (error, id) => {
+    const knownError = TAXONOMY_ERRORS[error.message];
+
+    if (!knownError) {
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: 'An error occured while processing the subject taxonomy',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+
+    return {
+        status: knownError.status,
+        request_owner_id: id,
+        message: 'An error occured while processing the subject taxonomy',
+        data: {
+            error: error.message,
+            message: knownError.message
+        }
+    };
+}
+
+/**
+ * Generates the classification prompt of a batch of decks.
+ *
+ * @function classificationPrompt
+ * @param {Array<Object>} decks - The decks with their `id`, title, description, subject, topic, tags and `terms`.
+ * @returns {string} A structured prompt for the classification.
+ */
+const classificationPrompt = (decks) => {
+    const nodeList = listTaxonomyNodes()
+        .map(node => `- ${node.id}: ${node.labels.join(' > ')}`)
+        .join("\n");
+    const deckList = JSON.stringify(
+        decks.map(deck => ({
+            deck_id: deck.id,
+            title: deck.title,
+            description: deck.description ?? '',
+            ...(deck.subject && { subject: deck.subject }),
+            ...(deck.topic && { topic: deck.topic }),
+            ...(deck.tags?.length > 0 && { tags: deck.tags }),
+            terms: deck.terms ?? [],
+        })),
+        null,
+        2
+    );
+
+    return `You are a librarian classifying decks of study flashcards into a fixed subject taxonomy.
+
+    ### Instructions:
+    1. Classify every deck into exactly one node of the taxonomy below, using the ID of the node.
+    2. Pick the most specific node that fits the deck. Use a broader node if the deck spans several of its children.
+    3. Use "other" only if no node fits at all.
+    4. Return every deck with its unchanged "deck_id".
+
+    ### Taxonomy:
+${nodeList}
+
+    ### Decks:
+${deckList}
+
+    ### Expected Output Format:
+    { "classifications": [ { "deck_id": "<deck_id>", "node_id": "stem.computer_science.algorithms" } ] }`;
+}
@@ -0,0 +1,309 @@
+/**
+ * Deck API - Translation Service
+ *
+ * @file translationService.js
+ * @description Provides AI-based translation of whole decks.
+ *
+ * A translated deck is a new deck owned by the requesting user, linked to the original deck through
+ * `translated_from`. Every translated flashcard is linked to its original flashcard the same way, and the
+ * cards are written in the order of the original deck.
+ *
+ * @module translationService
+ *
+ * @requires ../repositories/deckRepository.js
+ * @requires ./aiService.js
+ * @requires ./flashcardService.js
+ * @requires ../schema/flashcardTranslationSchema.js
+ *
+ * @author Arthur M. Artugue
+ * @created 2026-10-18
+ * @updated 2026-10-18
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+import { createDeck, createFlashcard, getDeckWithFlashcards } from '../repositories/deckRepository.js';
+import { sendPromptJson } from './aiService.js';
+import { buildDeckEmbeddingText } from './flashcardService.js';
+import { flashcardTranslationSchema } from '../schema/flashcardTranslationSchema.js';
+import { embedDeck } from '../config/geminiConfig.js';
+import { cleanTitle, mapWithConcurrency, SUPPORTED_LANGUAGES } from '../utils/utils.js';
+
+/**
+ * Maximum number of flashcards translated with a single prompt.
+ */
+const TRANSLATION_BATCH_SIZE = 40;
+
+/**
+ * Maximum number of translation prompts sent to the AI at the same time.
+ */
+const MAX_CONCURRENT_BATCHES = 3;
+
+/**
+ * Known error codes of the translation and the response status and message used for each.
+ * Errors not listed here are reported as UNKNOWN_SERVER_ERROR.
+ */
+const TRANSLATION_ERRORS = {
+    DECK_NOT_FOUND: {
+        status: 404,
+        message: 'The deck does not exist or has been deleted.'
+    },
+    FORBIDDEN: {
+        status: 403,
+        message: 'The deck is private and does not belong to the requesting user.'
+    },
+    NO_VALID_FLASHCARDS: {
+        status: 422,
+        message: 'The deck does not have any flashcard to translate.'
+    },
+    SAME_LANGUAGE: {
+        status: 422,
+        message: 'The deck is already in the requested language.'
+    },
+    AI_GENERATION_FAILED: {
+        status: 502,
+        message: 'The AI was not able to translate the deck. Please try again later'
+    },
+};
+
+/**
+ * Translates a deck into another language and stores the translation as a new deck of the requesting user.
+ * Users can translate their own decks and public decks.
+ *
+ * @async
+ * @function geminiTranslateDeckService
+ * @param {string} deckId - The ID of the deck to translate.
+ * @param {string} language - The code of the target language, one of SUPPORTED_LANGUAGES.
+ * @param {string} id - The request owner ID.
+ * @param {Function} [onProgress] - Optional callback notified with each completed step
+ * (batch_translated, deck_embedded, deck_saved).
+ * @returns {Promise<Object>} Response object containing the new deck ID and the flashcard ID mapping or error message.
+ */
+export const geminiTranslateDeckService = async (deckId, language, id, onProgress = () => {}) => {
+    try {
+        const deck = await getDeckWithFlashcards(deckId);
+
+        if (!deck || deck.is_deleted) throw new Error("DECK_NOT_FOUND");
+        if (deck.owner_id !== id && deck.is_private !== false) throw new Error("FORBIDDEN");
+        if (deck.flashcards.length === 0) throw new Error("NO_VALID_FLASHCARDS");
+        if (deck.language === language) throw new Error("SAME_LANGUAGE");
+
+        const flashcards = sortByCreation(deck.flashcards);
+
+        // The deck title and description are translated together with the first batch
+        const batches = [];
+        for (let start = 0; start < flashcards.length; start += TRANSLATION_BATCH_SIZE) {
+            batches.push(flashcards.slice(start, start + TRANSLATION_BATCH_SIZE));
+        }
+
+        let translatedBatches = 0;
+        const responses = await mapWithConcurrency(batches, MAX_CONCURRENT_BATCHES, async (batch, index) => {
+            const response = await translateBatch(batch, language, index === 0 ? deck : null);
+            translatedBatches++;
+            onProgress('batch_translated', { completed: translatedBatches, batch_count: batches.length });
+            return response;
+        });
+
+        const translatedCards = responses.flatMap(response => response.flashcards);
+        const title = responses[0].title || deck.title;
+        const description = responses[0].description || deck.description;
+
+        const embedResponse = await embedDeck(buildDeckEmbeddingText(title, description));
+        onProgress('deck_embedded');
+
+        const newDeckId = await createDeck({
+            created_at: FieldValue.serverTimestamp(),
+            is_deleted: false,
+            is_private: true,
+            title: cleanTitle(title),
+            description: description,
+            flashcard_count: translatedCards.length,
+            owner_id: id,
+            cover_photo: deck.cover_photo,
+            embedding_field: FieldValue.vector(embedResponse.embeddings[0].values),
+            language: language,
+            translated_from: deckId,
+            ...(deck.subject && { subject: deck.subject }),
+            ...(deck.topic && { topic: deck.topic }),
+        });
+
+        const newFlashcardIds = await createFlashcard(newDeckId, translatedCards);
+        onProgress('deck_saved', { deck_id: newDeckId });
+
+        return {
+            status: 200,
+            request_owner_id: id,
+            message: 'Deck was translated successfully',
+            data: {
+                deck_id: newDeckId,
+                translated_from: deckId,
+                language: language,
+                flashcard_ids: translatedCards.map((card, index) => ({
+                    source_flashcard_id: card.translated_from,
+                    flashcard_id: newFlashcardIds[index],
+                })),
+            }
+        };
+    } catch (error) {
+        console.log(error);
+        return translationErrorResponse(error, id);
+    }
+}
+
+/**
+ * Translates one batch of flashcards. The batch is sent a second time if the AI left out any flashcard.
+ *
+ * @async
+ * @function translateBatch
+ * @param {Array<Object>} flashcards - The flashcards of the batch, with their `id`.
+ * @param {string} language - The code of the target language.
+ * @param {Object|null} deck - The deck whose title and description are translated as well, or null.
+ * @returns {Promise<{title?: string, description?: string, flashcards: Array<Object>}>} The translated flashcards in the
+ * order of the batch, carrying the metadata of the originals and their ID as `translated_from`. Translated extras are
+ * kept, the pronunciation hint of the original term is dropped.
+ * @throws {Error} AI_GENERATION_FAILED if the batch could not be translated completely.
+ */
+const translateBatch = async (flashcards, language, deck) => {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const response = await sendPromptJson(
+            flashcardTranslationSchema,
+            translationPrompt(flashcards, language, deck)
+        ).catch(error => {
+            console.log(error);
+            return null;
+        });
+
+        const translations = new Map(
+            (Array.isArray(response?.flashcards) ? response.flashcards : [])
+                .filter(card => typeof card?.term === 'string' && card.term.trim() && typeof card.definition === 'string')
+                .map(card => [card.id, card])
+        );
+
+        if (!flashcards.every(card => translations.has(card.id))) continue;
+
+        // Extras are only kept if the original card has them and the AI translated them
+        const translatedExtras = (card) => {
+            const translation = translations.get(card.id);
+            const example = card.example && typeof translation.example === 'string' ? translation.example.trim() : '';
+            const mnemonic = card.mnemonic && typeof translation.mnemonic === 'string' ? translation.mnemonic.trim() : '';
+            const relatedTerms = card.related_terms?.length > 0 && Array.isArray(translation.related_terms)
+                ? translation.related_terms.filter(term => typeof term === 'string' && term.trim()).map(term => term.trim())
+                : [];
+
+            return {
+                ...(example && { example: example }),
+                ...(mnemonic && { mnemonic: mnemonic }),
+                ...(relatedTerms.length > 0 && { related_terms: relatedTerms }),
+            };
+        };
+
+        return {
+            title: typeof response.title === 'string' ? response.title.trim() : undefined,
+            description: typeof response.description === 'string' ? response.description.trim() : undefined,
+            flashcards: flashcards.map(card => ({
+                term: translations.get(card.id).term.trim(),
+                definition: translations.get(card.id).definition.trim(),
+                translated_from: card.id,
+                ...(card.card_type && { card_type: card.card_type }),
+                ...(card.source_file && { source_file: card.source_file }),
+                ...(card.difficulty && { difficulty: card.difficulty }),
+                ...(card.bloom_level && { bloom_level: card.bloom_level }),
+                ...(card.source_pages && { source_pages: card.source_pages }),
+                ...(card.source_quote && { source_quote: card.source_quote }),
+                ...(typeof card.citation_verified === 'boolean' && { citation_verified: card.citation_verified }),
+                ...translatedExtras(card),
+            })),
+        };
+    }
+
+    throw new Error("AI_GENERATION_FAILED");
+}
+
+/**
+ * Sorts flashcards by their creation time, using the ID to keep cards created at the same time in a stable order.
+ *
+ * @function sortByCreation
+ * @param {Array<Object>} flashcards - The flashcards to sort.
+ * @returns {Array<Object>} A sorted copy of the flashcards.
+ */
+const sortByCreation = (flashcards) => {
+    const createdAt = (card) => card.created_at?.toMillis?.() ?? 0;
+    return [...flashcards].sort((a, b) => createdAt(a) - createdAt(b) || a.id.localeCompare(b.id));
+}
+
+/**
+ * Builds the service response for a failed translation.
+ *
+ * @function translationErrorResponse
+ * @param {Error} error - The error thrown during the translation.
+ * @param {string} id - The request owner ID.
+ * @returns {Object} Response object containing the error code and message.
+ */
+const translationErrorResponse = (error, id) => {
+    const knownError = TRANSLATION_ERRORS[error.message];
+
+    if (!knownError) {
+        return {
+            status: 500,
+            request_owner_id: id,
+            message: 'An Error has occured while sending information to AI.',
+            data: {
+                error: 'UNKNOWN_SERVER_ERROR',
+                message: 'An unknown error was encountered. Please try again later'
+            }
+        };
+    }
+
+    return {
+        status: knownError.status,
+        request_owner_id: id,
+        message: 'An error occured during the translation of the deck',
+        data: {
+            error: error.message,
+            message: knownError.message
+        }
+    };
+}
+
+/**
+ * Generates the translation prompt of one batch.
+ *
+ * @function translationPrompt
+ * @param {Array<Object>} flashcards - The flashcards of the batch, with their `id`.
+ * @param {string} language - The code of the target language.
+ * @param {Object|null} deck - The deck whose title and description are translated as well, or null.
+ * @returns {string} A structured prompt for the translation.
+ */
+const translationPrompt = (flashcards, language, deck) => {
+    const languageName = SUPPORTED_LANGUAGES[language];
+    const flashcardList = JSON.stringify(
+        flashcards.map(card => ({
+            id: card.id,
+            term: card.term,
+            definition: card.definition,
+            ...(card.example && { example: card.example }),
+            ...(card.mnemonic && { mnemonic: card.mnemonic }),
+            ...(card.related_terms?.length > 0 && { related_terms: card.related_terms }),
+        })),
+        null,
+        2
+    );
+    const deckFields = deck
+        ? `\n    ### Deck:\n    - Title: ${deck.title}\n    - Description: ${deck.description ?? ''}\n`
+        : '';
+
+    return `You are a professional translator of academic study material. Translate the following flashcards into **${languageName}**.
+
+    ### Instructions:
+    1. Translate every term and definition, keep the "id" of every flashcard unchanged.
+    2. Keep the academic meaning exact. Technical terms without a common ${languageName} translation may stay in their original form.
+    3. Return the flashcards in the given order and do not add, merge or drop any flashcard.
+    4. Keep cloze deletion markers such as {{c1::answer}} and translate the text inside them.
+    5. Also translate the "example", "mnemonic" and "related_terms" of the flashcards that have them, do not add them to the others.
+    6. ${deck ? `Also translate the deck title and description and return them as "title" and "description".` : 'Do not return a title or description.'}
+${deckFields}
+    ### Flashcards:
+${flashcardList}
+
+    ### Expected Output Format:
+    { ${deck ? '"title": "...", "description": "...", ' : ''}"flashcards": [ { "id": "<id>", "term": "...", "definition": "..." } ] }`;
+}
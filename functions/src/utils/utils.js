@@ -8,25 +8,30 @@
  * - Delaying code execution.
  * - Validating integer input.
  * - Creating and managing threads with the OpenAI API.
- * - Extracting text from PDF files.
+ * - Extracting text from PDF files, optionally limited to a page range or a section.
+ * - Extracting normalized text from DOCX, PPTX, Markdown, HTML and plain text files.
  * - Deleting files from the local filesystem.
  * - Cleaning string content by removing special characters, multiple spaces, and bullets.
+ * - Opening Server-Sent Events streams on a response.
  * 
  * @module utils
  * 
  * @requires ../config/openaiConfig.js
  * @requires pdf.js-extract
+ * @requires jszip
  * @requires flashcard
  * 
  * @author Arthur M. Artugue
  * @created 2024-06-10
- * @updated 2025-02-19
+ * @updated 2026-10-18
  * 
  */
 
 
 import { PDFExtract } from 'pdf.js-extract';
+import JSZip from 'jszip';
 import fs from 'fs';
+import { readFile } from 'fs/promises';
 import * as dotenv from 'dotenv';
 import mime from 'mime';
 dotenv.config();
@@ -43,10 +48,12 @@ export function delay(ms) {
 /**
  * Checks if a value is a valid integer within a specific range.
  * @param {*} value - The value to validate.
- * @returns {boolean} - True if the value is an integer between 2 and 20, otherwise false.
+ * @param {number} [min=10] - The smallest allowed value.
+ * @param {number} [max=50] - The largest allowed value.
+ * @returns {boolean} - True if the value is an integer between min and max, otherwise false.
  */
-export function isValidInteger(value) {
-    return typeof value === 'number' && Number.isInteger(value) && value > 9 && value <= 50;
+export function isValidInteger(value, min = 10, max = 50) {
+    return typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max;
 }
 
 /**
@@ -105,6 +112,515 @@ export function extractPdfText(pdfFilePath) {
     });
 }
 
+/**
+ * Extracts the text of every page of a PDF file, grouped into lines.
+ *
+ * Unlike extractPdfText, punctuation is kept and every line remembers its font height,
+ * which is used to recognize headings.
+ *
+ * @param {string} pdfFilePath - The path to the PDF file.
+ * @returns {Promise<Array<{pageNumber: number, text: string, lines: Array<{text: string, height: number}>}>>} - The pages in document order.
+ */
+export function extractPdfPages(pdfFilePath) {
+    return new Promise((resolve, reject) => {
+        const pdfExtract = new PDFExtract();
+        const options = { normalizeWhitespace: true };
+
+        pdfExtract.extract(pdfFilePath, options, (err, data) => {
+            if (err) {
+                console.error('Error extracting PDF:', err);
+                reject(err);
+                return;
+            }
+
+            const pages = data.pages.map((page, pageIndex) => {
+                // Items sharing the same baseline belong to the same line
+                const lines = [];
+                for (const item of page.content) {
+                    if (!item.str?.trim()) continue;
+
+                    const lastLine = lines[lines.length - 1];
+                    if (lastLine && Math.abs(lastLine.y - item.y) < 2) {
+                        lastLine.text += (lastLine.text.endsWith(' ') ? '' : ' ') + item.str;
+                        lastLine.height = Math.max(lastLine.height, item.height);
+                    } else {
+                        lines.push({ text: item.str, height: item.height, y: item.y });
+                    }
+                }
+
+                const pageLines = lines.map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), height: line.height }));
+                return {
+                    pageNumber: pageIndex + 1,
+                    text: pageLines.map(line => line.text).join('\n'),
+                    lines: pageLines,
+                };
+            });
+
+            resolve(pages);
+        });
+    });
+}
+
+/**
+ * Finds the pages a verbatim quote appears on.
+ *
+ * Quote and pages are compared case-insensitively, ignoring punctuation, whitespace and words hyphenated
+ * across lines. Quotes shortened with an ellipsis ("..." or "…") match if all their parts appear in order.
+ *
+ * @param {Array<{pageNumber: number|null, text: string}>} pages - The pages to search, e.g. returned by extractPdfPages.
+ * Sources without pages are passed as a single page with a null page number.
+ * @param {string} quote - The quote to look for.
+ * @returns {number[]|null} - The numbers of the pages the quote spans (empty for sources without pages),
+ * or null if the quote was not found.
+ */
+export function locateQuote(pages, quote) {
+    const parts = String(quote ?? '')
+        .split(/\.{3}|\u2026/)
+        .map(normalizeForMatching)
+        .filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // Join the pages while remembering where every page starts and ends
+    let joined = '';
+    const offsets = [];
+    for (const page of pages) {
+        const text = normalizeForMatching(page.text);
+        offsets.push({ pageNumber: page.pageNumber, start: joined.length, end: joined.length + text.length });
+        joined += `${text} `;
+    }
+
+    let start = -1;
+    let end = 0;
+    for (const part of parts) {
+        const index = joined.indexOf(part, end);
+        if (index === -1) return null;
+        if (start === -1) start = index;
+        end = index + part.length;
+    }
+
+    return offsets
+        .filter(offset => offset.pageNumber !== null && offset.start < end && offset.end > start)
+        .map(offset => offset.pageNumber);
+}
+
+/**
+ * Normalizes text for the quote matching of locateQuote.
+ *
+ * @param {string} text - The text to normalize.
+ * @returns {string} - The lowercased text with single spaces between its words and no punctuation.
+ */
+function normalizeForMatching(text) {
+    return String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip diacritics
+        .replace(/(\p{L})-\s*\n\s*(\p{L})/gu, '$1$2') // Join words hyphenated across lines
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Maximum number of pages a page range can span. The range is parsed before the page count of the file is known.
+ */
+export const MAX_PAGE_RANGE_PAGES = 2000;
+
+/**
+ * Parses a page range such as "12-30,45" into a sorted list of unique page numbers.
+ *
+ * @param {string} pageRange - Comma separated page numbers and inclusive ranges.
+ * @returns {number[]} - The selected page numbers.
+ * @throws {Error} - INVALID_PAGE_RANGE if the range is malformed, contains page 0 or a reversed range.
+ * @throws {Error} - PAGE_RANGE_TOO_LARGE if the ranges span more than MAX_PAGE_RANGE_PAGES pages.
+ */
+export function parsePageRange(pageRange) {
+    if (typeof pageRange !== 'string' || !pageRange.trim()) {
+        throw new Error("INVALID_PAGE_RANGE");
+    }
+
+    const ranges = [];
+    let spannedPages = 0;
+    for (const part of pageRange.split(',')) {
+        const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) throw new Error("INVALID_PAGE_RANGE");
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+        if (start < 1 || end < start) throw new Error("INVALID_PAGE_RANGE");
+
+        // Checked before expanding, so a huge range is never iterated
+        spannedPages += end - start + 1;
+        if (spannedPages > MAX_PAGE_RANGE_PAGES) throw new Error("PAGE_RANGE_TOO_LARGE");
+        ranges.push([start, end]);
+    }
+
+    const pages = new Set();
+    for (const [start, end] of ranges) {
+        for (let page = start; page <= end; page++) pages.add(page);
+    }
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Keeps the selected pages of an extracted PDF.
+ *
+ * @param {Array<Object>} pages - The pages returned by extractPdfPages.
+ * @param {number[]} pageNumbers - The page numbers to keep.
+ * @returns {Array<Object>} - The selected pages in document order.
+ * @throws {Error} - PAGE_RANGE_OUT_OF_BOUNDS if a page number exceeds the page count.
+ */
+export function selectPdfPages(pages, pageNumbers) {
+    if (pageNumbers.some(pageNumber => pageNumber > pages.length)) {
+        throw new Error("PAGE_RANGE_OUT_OF_BOUNDS");
+    }
+    return pages.filter(page => pageNumbers.includes(page.pageNumber));
+}
+
+/**
+ * Keeps the part of an extracted PDF that belongs to a section heading.
+ *
+ * The section starts at the first heading line containing the section name. Headings are lines set
+ * in a larger font than the body text, the section ends at the next heading of the same or a larger size.
+ * If the document uses no larger heading font, a line starting with the section name is used instead
+ * and the section ends at the next line numbered the same way (e.g. "Chapter 4" after "Chapter 3").
+ *
+ * @param {Array<Object>} pages - The pages returned by extractPdfPages.
+ * @param {string} sectionName - The heading (or part of it) of the section.
+ * @returns {Array<Object>} - The pages of the section, holding only the lines of the section.
+ * @throws {Error} - SECTION_NOT_FOUND if no matching heading exists.
+ */
+export function extractPdfSection(pages, sectionName) {
+    const wanted = sectionName.replace(/\s+/g, ' ').trim().toLowerCase();
+    const lines = pages.flatMap(page => page.lines.map(line => ({ ...line, pageNumber: page.pageNumber })));
+
+    // The body font is the font height covering the most text
+    const textPerHeight = new Map();
+    for (const line of lines) {
+        const height = Math.round(line.height);
+        textPerHeight.set(height, (textPerHeight.get(height) ?? 0) + line.text.length);
+    }
+    const bodyHeight = [...textPerHeight.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0;
+    const isHeading = (line) => Math.round(line.height) > bodyHeight;
+
+    let start = lines.findIndex(line => isHeading(line) && line.text.toLowerCase().includes(wanted));
+    let isSectionEnd;
+
+    if (start !== -1) {
+        const headingHeight = Math.round(lines[start].height);
+        isSectionEnd = (line) => isHeading(line) && Math.round(line.height) >= headingHeight;
+    } else {
+        start = lines.findIndex(line => line.text.toLowerCase().startsWith(wanted));
+        if (start === -1) throw new Error("SECTION_NOT_FOUND");
+
+        const numbering = lines[start].text.match(/^((?:chapter|section|part|unit|lesson|module)\s+)?\d+((?:\.\d+)*)\b/i);
+        const numberingPattern = numbering
+            ? new RegExp(`^${numbering[1] ? numbering[1].trim() + '\\s+' : ''}\\d+${'\\.\\d+'.repeat((numbering[2].match(/\./g) ?? []).length)}\\b(?!\\.\\d)`, 'i')
+            : null;
+        isSectionEnd = (line) => numberingPattern !== null && numberingPattern.test(line.text);
+    }
+
+    let end = lines.findIndex((line, index) => index > start && isSectionEnd(line));
+    if (end === -1) end = lines.length;
+
+    const sectionLines = lines.slice(start, end);
+    return pages
+        .map(page => {
+            const pageLines = sectionLines.filter(line => line.pageNumber === page.pageNumber);
+            return {
+                pageNumber: page.pageNumber,
+                text: pageLines.map(line => line.text).join('\n'),
+                lines: pageLines.map(({ text, height }) => ({ text, height })),
+            };
+        })
+        .filter(page => page.lines.length > 0);
+}
+
+/**
+ * Joins extracted PDF pages into a single text, marking where each page starts.
+ *
+ * @param {Array<Object>} pages - The pages returned by extractPdfPages.
+ * @returns {string} - The text of the pages, each preceded by a "[Page N]" marker.
+ */
+export function formatPdfPages(pages) {
+    return pages.map(page => `[Page ${page.pageNumber}]\n${page.text}`).join('\n\n');
+}
+
+/**
+ * File extensions that are sent to Gemini as they are.
+ */
+export const GEMINI_NATIVE_EXTENSIONS = ['pdf'];
+
+/**
+ * Difficulty levels of generated flashcards, from easiest to hardest.
+ */
+export const DIFFICULTY_LEVELS = ['intro', 'intermediate', 'advanced'];
+
+/**
+ * Supported levels of Bloom's taxonomy, from lowest to highest.
+ */
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze'];
+
+/**
+ * Supported card formats. `term` cards are term/definition pairs, `reverse` generates term/definition
+ * pairs that are stored together with a reversed copy of every card.
+ */
+export const CARD_TYPES = ['term', 'cloze', 'qa', 'reverse'];
+
+/**
+ * Optional extras that can be generated for every card: a worked example sentence, a mnemonic,
+ * related terms and a pronunciation hint for foreign-language terms.
+ */
+export const CARD_EXTRAS = ['example', 'mnemonic', 'related_terms', 'pronunciation'];
+
+/**
+ * Supported quiz types. Every deck has at most one quiz document of each type.
+ */
+export const QUIZ_TYPES = ['multiple-choice', 'true-false', 'identification', 'fill-in-the-blank', 'matching'];
+
+/**
+ * Matches a single cloze deletion such as {{c1::mitochondria}} or {{c1::mitochondria::organelle}}.
+ * Group 1 is the deletion number, group 2 the answer and group 3 the optional hint.
+ */
+const CLOZE_DELETION_PATTERN = /\{\{c(\d+)::([^{}:]+(?::[^{}:]+)*?)(?:::([^{}]*))?\}\}/g;
+
+/**
+ * Checks if a text contains at least one valid cloze deletion and no malformed markers.
+ *
+ * @param {string} text - The cloze text, e.g. "The {{c1::mitochondria}} is the powerhouse of the cell."
+ * @returns {boolean} - True if the text is a valid cloze, otherwise false.
+ */
+export function isValidCloze(text) {
+    if (typeof text !== 'string') return false;
+
+    const deletions = [...text.matchAll(CLOZE_DELETION_PATTERN)];
+    if (deletions.length === 0 || deletions.some(deletion => !deletion[2].trim())) return false;
+
+    // Everything that is left after removing the valid deletions must not look like a marker
+    const remainder = text.replace(CLOZE_DELETION_PATTERN, '');
+    return !remainder.includes('{{') && !remainder.includes('}}') && remainder.trim().length > 0;
+}
+
+/**
+ * Replaces every cloze deletion of a text with its answer.
+ *
+ * @param {string} text - The cloze text.
+ * @returns {string} - The text with the deletions revealed, e.g. "The mitochondria is the powerhouse of the cell."
+ */
+export function revealCloze(text) {
+    return text.replace(CLOZE_DELETION_PATTERN, (_, number, answer) => answer.trim());
+}
+
+/**
+ * Languages decks can be generated in or translated to, by language code.
+ */
+export const SUPPORTED_LANGUAGES = Object.freeze({
+    en: 'English',
+    fil: 'Filipino',
+    es: 'Spanish',
+    ja: 'Japanese',
+});
+
+/**
+ * File extensions that are converted to plain text locally before they are sent to Gemini.
+ */
+export const TEXT_EXTRACTABLE_EXTENSIONS = ['docx', 'pptx', 'md', 'markdown', 'html', 'htm', 'txt'];
+
+/**
+ * Normalizes a file extension to its lowercase form without the leading dot.
+ *
+ * @param {string} extension - The file extension (e.g., '.PDF', 'docx').
+ * @returns {string} - The normalized extension (e.g., 'pdf', 'docx').
+ */
+export function normalizeExtension(extension = '') {
+    return extension.trim().replace(/^\./, '').toLowerCase();
+}
+
+/**
+ * Checks if a file extension can be used as source material for the generation.
+ *
+ * @param {string} extension - The file extension.
+ * @returns {boolean} - True if the file is sent as it is or can be converted to text locally.
+ */
+export function isSupportedSourceExtension(extension) {
+    const ext = normalizeExtension(extension);
+    return GEMINI_NATIVE_EXTENSIONS.includes(ext) || TEXT_EXTRACTABLE_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Extracts normalized plain text from a DOCX, PPTX, Markdown, HTML or plain text file.
+ *
+ * @async
+ * @param {string} filePath - The path to the file.
+ * @param {string} extension - The extension of the file.
+ * @returns {Promise<string>} - A promise that resolves with the normalized text.
+ * @throws {Error} - UNSUPPORTED_FILE_TYPE if the file cannot be converted to text.
+ */
+export async function extractSourceText(filePath, extension) {
+    switch (normalizeExtension(extension)) {
+        case 'docx':
+            return normalizeText(await extractDocxText(filePath));
+        case 'pptx':
+            return normalizeText(await extractPptxText(filePath));
+        case 'md':
+        case 'markdown':
+            return normalizeText(markdownToText(await readFile(filePath, 'utf8')));
+        case 'html':
+        case 'htm':
+            return normalizeText(htmlToText(await readFile(filePath, 'utf8')));
+        case 'txt':
+            return normalizeText(await readFile(filePath, 'utf8'));
+        default:
+            throw new Error("UNSUPPORTED_FILE_TYPE");
+    }
+}
+
+/**
+ * Extracts the paragraphs of a DOCX (Office Open XML) document.
+ *
+ * @async
+ * @param {string} filePath - The path to the DOCX file.
+ * @returns {Promise<string>} - The text of the document, one paragraph per line.
+ */
+async function extractDocxText(filePath) {
+    const zip = await JSZip.loadAsync(await readFile(filePath));
+    const documentXml = await zip.file('word/document.xml')?.async('string');
+
+    if (!documentXml) throw new Error("UNSUPPORTED_FILE_TYPE");
+
+    return documentXml
+        .split('</w:p>')
+        .map(paragraph => {
+            const runs = paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\/>/g) ?? [];
+            return runs.map(run => {
+                if (run === '<w:tab/>') return '\t';
+                if (run === '<w:br/>') return '\n';
+                return decodeXmlEntities(run.replace(/<[^>]+>/g, ''));
+            }).join('');
+        })
+        .join('\n');
+}
+
+/**
+ * Extracts the text of every slide (and its speaker notes) of a PPTX presentation, in slide order.
+ *
+ * @async
+ * @param {string} filePath - The path to the PPTX file.
+ * @returns {Promise<string>} - The text of the presentation, grouped by slide.
+ */
+async function extractPptxText(filePath) {
+    const zip = await JSZip.loadAsync(await readFile(filePath));
+    const slideNumber = (name) => parseInt(name.match(/(\d+)\.xml$/)[1], 10);
+
+    const slideNames = Object.keys(zip.files)
+        .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+        .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+    if (slideNames.length === 0) throw new Error("UNSUPPORTED_FILE_TYPE");
+
+    // Text of the <a:t> runs, one line per <a:p> paragraph
+    const drawingText = (xml) => xml
+        .split('</a:p>')
+        .map(paragraph => (paragraph.match(/<a:t>[^<]*<\/a:t>/g) ?? [])
+            .map(run => decodeXmlEntities(run.replace(/<[^>]+>/g, '')))
+            .join(''))
+        .filter(line => line.trim() !== '')
+        .join('\n');
+
+    const slides = [];
+    for (const name of slideNames) {
+        const number = slideNumber(name);
+        let slideText = `Slide ${number}:\n${drawingText(await zip.file(name).async('string'))}`;
+
+        const notes = zip.file(`ppt/notesSlides/notesSlide${number}.xml`);
+        if (notes) {
+            const notesText = drawingText(await notes.async('string'));
+            if (notesText) slideText += `\nNotes: ${notesText}`;
+        }
+        slides.push(slideText);
+    }
+    return slides.join('\n\n');
+}
+
+/**
+ * Converts Markdown to plain text by removing its formatting syntax.
+ *
+ * @param {string} markdown - The Markdown content.
+ * @returns {string} - The plain text.
+ */
+export function markdownToText(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')                        // Code fence markers (the code itself is kept)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')        // Images -> alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')         // Links -> link text
+        .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')              // Headings
+        .replace(/^[ \t]{0,3}>[ \t]?/gm, '')                   // Blockquotes
+        .replace(/^[ \t]*[-*+][ \t]+/gm, '- ')                 // Unordered list markers
+        .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')            // Horizontal rules
+        .replace(/\*\*(.*?)\*\*/g, '$1')                 // Bold
+        .replace(/\*(.*?)\*/g, '$1')                     // Italic
+        // Underscore emphasis only at word boundaries, so snake_case identifiers keep their underscores
+        .replace(/(^|[^\p{L}\p{N}_])(__|_)(?=\S)(.+?)(?<=\S)\2(?![\p{L}\p{N}_])/gmu, '$1$3')
+        .replace(/~~(.*?)~~/g, '$1')                     // Strikethrough
+        .replace(/`([^`]*)`/g, '$1')                     // Inline code
+        .replace(/^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/gm, '') // Table separators
+        .replace(/\|/g, ' ')                             // Table cells
+        .replace(/<[^>]+>/g, '');                        // Inline HTML
+}
+
+/**
+ * Converts HTML to plain text, keeping block elements on their own lines.
+ *
+ * @param {string} html - The HTML content.
+ * @returns {string} - The plain text.
+ */
+export function htmlToText(html) {
+    const text = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(head|script|style|noscript|template)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/?(p|div|section|article|header|footer|h[1-6]|ul|ol|table|tr|blockquote|pre)[^>]*>/gi, '\n')
+        .replace(/<\/t[dh]>/gi, ' ')
+        .replace(/<[^>]+>/g, '');
+    return decodeXmlEntities(text);
+}
+
+/**
+ * Decodes the XML/HTML character entities of a string.
+ *
+ * @param {string} text - The text to decode.
+ * @returns {string} - The decoded text.
+ */
+function decodeXmlEntities(text) {
+    const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const charCode = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isNaN(charCode) ? entity : String.fromCodePoint(charCode);
+        }
+        return namedEntities[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Normalizes extracted text: unifies line endings, removes control characters,
+ * collapses repeated spaces and blank lines and trims every line.
+ *
+ * @param {string} text - The text to normalize.
+ * @returns {string} - The normalized text.
+ */
+export function normalizeText(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+        .replace(/[ \t\u00A0]+/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
 /**
  * Cleans a string by removing special characters, multiple spaces, and bullets.
  * @param {string} inputString - The string to clean.
@@ -189,6 +705,22 @@ export const cleanTitle = (title) => {
         .join(' '); // Join words back into a string
 };
 
+/**
+ * Normalizes a flashcard term for comparison, so "Big-O  Notation" and "big o notation" are equal.
+ * 
+ * @param {string} term - The term to normalize.
+ * @returns {string} - The lowercased term without punctuation and repeated whitespace.
+ */
+export const normalizeTerm = (term) => {
+    return String(term ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Strip diacritics
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ') // Treat punctuation as whitespace
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
 /**
    * Fischer-Yates Shuffle implementation.
    * @param {any[]} array - The array to shuffle.
@@ -203,4 +735,129 @@ export const cleanTitle = (title) => {
     return shuffledArray;
   }
 
+/**
+ * Splits a total into a number of nearly equal integer parts.
+ * The remainder is spread over the first parts, e.g. 10 into 3 parts gives [4, 3, 3].
+ *
+ * @param {number} total - The total to split.
+ * @param {number} parts - The number of parts.
+ * @returns {number[]} - The parts, or an empty array if there is nothing to split into.
+ */
+export function distributeEvenly(total, parts) {
+    if (!parts || parts < 1) return [];
+
+    const base = Math.floor(total / parts);
+    const remainder = total % parts;
+    return Array.from({ length: parts }, (_, index) => base + (index < remainder ? 1 : 0));
+}
 
+/**
+ * Computes the cosine similarity of two vectors of the same length.
+ *
+ * @param {number[]} a - The first vector.
+ * @param {number[]} b - The second vector.
+ * @returns {number} - The similarity between -1 and 1, 0 if either vector is empty or zero.
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Splits a total into integer parts proportional to the given weights (largest remainder method).
+ * E.g. 10 with weights [1, 1, 2] gives [3, 2, 5].
+ *
+ * @param {number} total - The total to split.
+ * @param {number[]} weights - The non-negative weight of every part.
+ * @returns {number[]} - The parts, summing up to the total.
+ */
+export function distributeProportionally(total, weights) {
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+    if (weightSum <= 0) return distributeEvenly(total, weights.length);
+
+    const exactParts = weights.map(weight => (total * weight) / weightSum);
+    const parts = exactParts.map(Math.floor);
+    let remainder = total - parts.reduce((sum, part) => sum + part, 0);
+
+    const byFraction = exactParts
+        .map((part, index) => ({ index, fraction: part - Math.floor(part) }))
+        .sort((a, b) => b.fraction - a.fraction);
+
+    for (const { index } of byFraction) {
+        if (remainder <= 0) break;
+        parts[index]++;
+        remainder--;
+    }
+    return parts;
+}
+
+/**
+ * Maps over the items with an async mapper, running at most `limit` mappers at the same time.
+ *
+ * @async
+ * @param {any[]} items - The items to map.
+ * @param {number} limit - The maximum number of concurrent mappers.
+ * @param {Function} mapper - Async function called with (item, index).
+ * @returns {Promise<any[]>} - The mapped results, in the order of the items.
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await mapper(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Opens a Server-Sent Events stream on the response.
+ *
+ * The disconnect is detected on the response: the `close` event of the request already fires
+ * once its body was read, long before the client goes away.
+ *
+ * @param {Object} res - Express response object.
+ * @param {number} heartbeatInterval - Interval in ms of the keep-alive comments written to an idle stream.
+ * @returns {{ send: Function, close: Function }} - `send(event, data)` writes an event, `close()` ends the stream.
+ */
+export function openEventStream(res, heartbeatInterval) {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const isWritable = () => !res.writableEnded && !res.destroyed;
+
+    const heartbeat = setInterval(() => {
+        if (isWritable()) res.write(': keep-alive\n\n');
+    }, heartbeatInterval);
+    res.on('close', () => clearInterval(heartbeat));
+
+    return {
+        send: (event, data) => {
+            if (!isWritable()) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        close: () => {
+            clearInterval(heartbeat);
+            if (isWritable()) res.end();
+        }
+    };
+}
@@ -0,0 +1,100 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GEMINI_API_KEY ??= 'test-api-key';
+const { fileManager, generativeAI } = await import('../src/config/geminiConfig.js');
+const { sendPromptFlashcardGeneration } = await import('../src/services/aiService.js');
+
+const SOURCE_FILES = [
+    { filePath: '/tmp/chapter-1.pdf', fileExtension: 'pdf' },
+    { filePath: '/tmp/chapter-2.pdf', fileExtension: 'pdf' },
+];
+
+const VALID_RESPONSE = {
+    response: {
+        candidates: [{
+            content: {
+                parts: [{
+                    text: JSON.stringify({
+                        terms_and_definitions: [{
+                            term: 'Mitosis',
+                            definition: 'Cell division into two identical cells.',
+                            difficulty: 'intro',
+                            bloom_level: 'remember',
+                        }],
+                    }),
+                }],
+            },
+        }],
+    },
+};
+
+let uploaded;
+let deleted;
+let fileState;
+let generateContent;
+
+beforeEach(() => {
+    uploaded = [];
+    deleted = [];
+    fileState = 'ACTIVE';
+    generateContent = async () => VALID_RESPONSE;
+
+    fileManager.uploadFile = async (path, { mimeType }) => {
+        if (path.includes('broken')) throw new Error('Upload failed');
+        const name = `files/upload-${uploaded.length + 1}`;
+        uploaded.push(name);
+        return { file: { name: name, displayName: path, mimeType: mimeType, uri: `https://files.example/${name}` } };
+    };
+    fileManager.getFile = async (name) => ({ name: name, state: fileState });
+    fileManager.deleteFile = async (fileId) => { deleted.push(`files/${fileId}`); };
+    generativeAI.getGenerativeModel = () => ({ generateContent: (...args) => generateContent(...args) });
+});
+
+test('deletes the uploaded files after a successful generation', async () => {
+    const result = await sendPromptFlashcardGeneration(true, 'Generate flashcards', SOURCE_FILES);
+
+    assert.equal(result.data.terms_and_definitions.length, 1);
+    assert.equal(uploaded.length, 2);
+    assert.deepEqual(deleted.sort(), uploaded.sort());
+});
+
+test('deletes the successful uploads when another upload fails', async () => {
+    const result = await sendPromptFlashcardGeneration(true, 'Generate flashcards', [
+        ...SOURCE_FILES,
+        { filePath: '/tmp/broken.pdf', fileExtension: 'pdf' },
+    ]);
+
+    assert.equal(result.data, null);
+    assert.equal(uploaded.length, 2);
+    assert.deepEqual(deleted.sort(), uploaded.sort());
+});
+
+test('deletes the uploaded files when they fail to become active', async () => {
+    fileState = 'FAILED';
+
+    const result = await sendPromptFlashcardGeneration(true, 'Generate flashcards', SOURCE_FILES);
+
+    assert.equal(result.data, null);
+    assert.equal(uploaded.length, 2);
+    assert.deepEqual(deleted.sort(), uploaded.sort());
+});
+
+test('deletes the uploaded files of every attempt when the generation is retried', async () => {
+    let calls = 0;
+    generateContent = async () => {
+        calls++;
+        if (calls === 1) {
+            const error = new Error('The model is overloaded');
+            error.name = 'ServiceUnavailable';
+            throw error;
+        }
+        return VALID_RESPONSE;
+    };
+
+    const result = await sendPromptFlashcardGeneration(true, 'Generate flashcards', SOURCE_FILES);
+
+    assert.equal(result.data.terms_and_definitions.length, 1);
+    assert.equal(uploaded.length, 4);
+    assert.deepEqual(deleted.sort(), uploaded.sort());
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp } from 'firebase-admin/firestore';
+import { installFakeFirestore } from './fakeFirestore.js';
+import { createFlashcard, getFlashcardsCreatedSince } from '../src/repositories/deckRepository.js';
+
+installFakeFirestore();
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('picks up a flashcard appended after a quiz run', async () => {
+    await createFlashcard('deck-1', [{ term: 'Mitosis', definition: 'Cell division into two identical cells.' }]);
+    await delay(5);
+
+    // The flashcards_quizzed_at of the quiz run
+    const quizzedAt = Timestamp.now();
+    await delay(5);
+
+    const [appendedId] = await createFlashcard('deck-1', [{ term: 'Meiosis', definition: 'Cell division into four gametes.' }]);
+
+    const newFlashcards = await getFlashcardsCreatedSince('deck-1', quizzedAt);
+    assert.deepEqual(newFlashcards.map(flashcard => flashcard.id), [appendedId]);
+    assert.equal(newFlashcards[0].term, 'Meiosis');
+});
@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GEMINI_API_KEY ??= 'test-api-key';
+const { genAI } = await import('../src/config/geminiConfig.js');
+const { dedupeFlashcards } = await import('../src/services/dedupeService.js');
+
+let embeddedTexts;
+
+beforeEach(() => {
+    embeddedTexts = [];
+    // Every text gets its own orthogonal embedding, so only cards with the same normalized term are duplicates
+    genAI.models.embedContent = async ({ contents }) => ({
+        embeddings: contents.map(text => {
+            embeddedTexts.push(text);
+            const values = new Array(64).fill(0);
+            values[embeddedTexts.length % values.length] = 1;
+            return { values };
+        }),
+    });
+});
+
+test('drops new cards repeating an existing card', async () => {
+    const existingCards = [{ term: 'Mitosis', definition: 'Cell division into two identical cells.' }];
+
+    const result = await dedupeFlashcards([
+        { term: 'mitosis', definition: 'Division of a cell.' },
+        { term: 'Meiosis', definition: 'Cell division into four gametes.' },
+    ], existingCards);
+
+    assert.deepEqual(result.flashcards.map(card => card.term), ['Meiosis']);
+    assert.equal(result.duplicatesRemoved, 1);
+});
+
+test('embeds the existing cards only once across calls', async () => {
+    const existingCards = [
+        { term: 'Mitosis', definition: 'Cell division into two identical cells.' },
+        { term: 'Osmosis', definition: 'Diffusion of water through a membrane.' },
+    ];
+
+    const first = await dedupeFlashcards([{ term: 'Meiosis', definition: 'Cell division into four gametes.' }], existingCards);
+    assert.equal(embeddedTexts.length, 3);
+    assert.ok(existingCards.every(card => Array.isArray(card.embedding)));
+
+    // A top-up round passes the existing cards and the cards kept so far
+    await dedupeFlashcards(
+        [{ term: 'Cytokinesis', definition: 'Division of the cytoplasm.' }],
+        [...existingCards, ...first.flashcards]
+    );
+    assert.equal(embeddedTexts.length, 4);
+    assert.equal(embeddedTexts[3], 'Cytokinesis: Division of the cytoplasm.');
+});
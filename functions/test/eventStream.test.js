@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { openEventStream } from '../src/utils/utils.js';
+
+/**
+ * Starts an app whose single route reads a JSON body, then streams two events with a pause in between.
+ */
+const startServer = () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/stream', async (req, res) => {
+        const stream = openEventStream(res, 10);
+        stream.send('progress', { step: 'file_downloaded', topic: req.body.topic });
+        await new Promise(resolve => setTimeout(resolve, 30));
+        stream.send('complete', { deck_id: 'deck-1' });
+        stream.close();
+    });
+    return new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+};
+
+test('streams every event after the request body was read', { timeout: 5_000 }, async () => {
+    const server = await startServer();
+    try {
+        const response = await fetch(`http://localhost:${server.address().port}/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ topic: 'Biology' })
+        });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+        const body = await response.text();
+        const events = body.split('\n\n')
+            .filter(block => block.startsWith('event: '))
+            .map(block => {
+                const [eventLine, dataLine] = block.split('\n');
+                return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+            });
+
+        assert.deepEqual(events, [
+            { event: 'progress', data: { step: 'file_downloaded', topic: 'Biology' } },
+            { event: 'complete', data: { deck_id: 'deck-1' } }
+        ]);
+        assert.match(body, /: keep-alive\n\n/);
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
+
+test('stops writing once the client has disconnected', async () => {
+    const app = express();
+    let stream;
+    const closed = new Promise(resolve => {
+        app.get('/stream', (req, res) => {
+            stream = openEventStream(res, 10);
+            res.on('close', resolve);
+        });
+    });
+    const server = await new Promise(resolve => {
+        const instance = app.listen(0, () => resolve(instance));
+    });
+    try {
+        const controller = new AbortController();
+        const response = await fetch(`http://localhost:${server.address().port}/stream`, { signal: controller.signal });
+        assert.equal(response.status, 200);
+        controller.abort();
+        await closed;
+
+        assert.doesNotThrow(() => stream.send('progress', { step: 'deck_saved' }));
+        assert.doesNotThrow(() => stream.close());
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { extractSourceText, markdownToText, htmlToText } from '../src/utils/utils.js';
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+test('extracts the paragraphs, tabs and line breaks of a DOCX document', async () => {
+    assert.equal(
+        await extractSourceText(fixture('sample.docx'), 'docx'),
+        'The Water Cycle\nEvaporation & condensation\nStep Precipitation\nCollection'
+    );
+});
+
+test('extracts the slides of a PPTX presentation in slide order with their notes', async () => {
+    assert.equal(
+        await extractSourceText(fixture('sample.pptx'), '.PPTX'),
+        "Slide 1:\nNewton's Laws\n\n"
+        + 'Slide 2:\nInertia: objects stay at rest\nF = m × a\nNotes: Mention seatbelts\n\n'
+        + 'Slide 10:\nSummary'
+    );
+});
+
+test('extracts the text of a Markdown file', async () => {
+    assert.equal(
+        await extractSourceText(fixture('sample.md'), 'md'),
+        'Cell Biology\n\n'
+        + 'The mitochondrion is the powerhouse of the cell.\n\n'
+        + '- Call parse_cell_data() to read foo_bar_baz records\n'
+        + '- See the guide for details\n\n'
+        + 'Organelle Role\n\n'
+        + 'Ribosome Protein synthesis'
+    );
+});
+
+test('extracts the text of an HTML file without its head and scripts', async () => {
+    assert.equal(
+        await extractSourceText(fixture('sample.html'), 'html'),
+        'Photosynthesis\n\n'
+        + 'Plants convert light into chemical energy & oxygen.\n\n'
+        + '- Light reactions\n'
+        + '- Calvin cycle'
+    );
+});
+
+test('normalizes the line endings, blank lines and spaces of a text file', async () => {
+    assert.equal(await extractSourceText(fixture('sample.txt'), 'txt'), 'Line one\n\nLine two with tabs');
+});
+
+test('rejects files that cannot be converted to text', async () => {
+    await assert.rejects(extractSourceText(fixture('sample.xyz'), 'xyz'), { message: 'UNSUPPORTED_FILE_TYPE' });
+    // A text file is not a DOCX archive
+    await assert.rejects(extractSourceText(fixture('sample.txt'), 'docx'));
+});
+
+test('keeps the underscores of snake_case identifiers in Markdown', () => {
+    assert.equal(markdownToText('Use foo_bar_baz and _emphasis_ or __strong__ text'), 'Use foo_bar_baz and emphasis or strong text');
+    assert.equal(markdownToText('**bold** and *italic*'), 'bold and italic');
+});
+
+test('decodes entities and keeps block elements on their own lines in HTML', () => {
+    assert.equal(htmlToText('<p>A &lt; B</p><p>C&#39;s</p>'), '\nA < B\n\nC\'s\n');
+});
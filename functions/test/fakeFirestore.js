@@ -0,0 +1,96 @@
+/**
+ * An in-memory stand-in for the Firestore calls of the repositories.
+ *
+ * installFakeFirestore() replaces collection() and batch() of the shared `db` instance, so repository functions
+ * run against plain maps. Supported: collection/doc paths, add, set, update, delete, get, where with
+ * ==, >= and array-contains, and batches, which fail like Firestore with more than 500 writes.
+ */
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { db } from '../src/config/firebaseAdminConfig.js';
+
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Resolves FieldValue.serverTimestamp() sentinels to the current time.
+ */
+const resolveValues = (data) => Object.fromEntries(Object.entries(data).map(([field, value]) => [
+    field,
+    value instanceof FieldValue ? Timestamp.now() : value,
+]));
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const matches = (data, [field, op, expected]) => {
+    const value = data[field];
+    if (op === '==') return comparable(value) === comparable(expected);
+    if (op === '>=') return value !== undefined && comparable(value) >= comparable(expected);
+    if (op === 'array-contains') return Array.isArray(value) && value.includes(expected);
+    throw new Error(`Unsupported operator ${op}`);
+};
+
+export const installFakeFirestore = () => {
+    const documents = new Map();
+    let nextId = 0;
+    const batchSizes = [];
+
+    const docRef = (path) => ({
+        id: path.split('/').pop(),
+        path: path,
+        collection: (name) => collectionRef(`${path}/${name}`),
+        get: async () => snapshot(path),
+        set: async (data) => { documents.set(path, resolveValues(data)); },
+        update: async (data) => { documents.set(path, { ...documents.get(path), ...resolveValues(data) }); },
+        delete: async () => { documents.delete(path); },
+    });
+
+    const snapshot = (path) => {
+        const data = documents.get(path);
+        return {
+            id: path.split('/').pop(),
+            ref: docRef(path),
+            exists: data !== undefined,
+            data: () => (data ? { ...data } : undefined),
+            get: (field) => data?.[field],
+        };
+    };
+
+    const query = (path, filters) => ({
+        where: (field, op, value) => query(path, [...filters, [field, op, value]]),
+        get: async () => {
+            const docs = [...documents.keys()]
+                .filter(docPath => docPath.startsWith(`${path}/`) && !docPath.slice(path.length + 1).includes('/'))
+                .filter(docPath => filters.every(filter => matches(documents.get(docPath), filter)))
+                .map(snapshot);
+            return { docs: docs, empty: docs.length === 0, size: docs.length };
+        },
+    });
+
+    const collectionRef = (path) => ({
+        ...query(path, []),
+        doc: (id = `doc-${++nextId}`) => docRef(`${path}/${id}`),
+        add: async (data) => {
+            const ref = docRef(`${path}/doc-${++nextId}`);
+            await ref.set(data);
+            return ref;
+        },
+    });
+
+    const batch = () => {
+        const writes = [];
+        return {
+            set: (ref, data) => writes.push(() => ref.set(data)),
+            update: (ref, data) => writes.push(() => ref.update(data)),
+            delete: (ref) => writes.push(() => ref.delete()),
+            commit: async () => {
+                if (writes.length > MAX_BATCH_WRITES) throw new Error('3 INVALID_ARGUMENT: maximum 500 writes allowed per request');
+                batchSizes.push(writes.length);
+                for (const write of writes) await write();
+            },
+        };
+    };
+
+    db.collection = collectionRef;
+    db.batch = batch;
+
+    return { documents, batchSizes };
+};
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePageRange, MAX_PAGE_RANGE_PAGES } from '../src/utils/utils.js';
+
+test('parses pages and ranges into sorted unique page numbers', () => {
+    assert.deepEqual(parsePageRange('12-14, 3,13'), [3, 12, 13, 14]);
+});
+
+test('rejects malformed and reversed ranges', () => {
+    for (const pageRange of ['', '0', '5-3', 'a-b', '1,,2']) {
+        assert.throws(() => parsePageRange(pageRange), { message: 'INVALID_PAGE_RANGE' });
+    }
+});
+
+test('accepts ranges spanning up to the maximum page count', () => {
+    assert.equal(parsePageRange(`1-${MAX_PAGE_RANGE_PAGES}`).length, MAX_PAGE_RANGE_PAGES);
+});
+
+test('rejects ranges spanning more than the maximum page count without expanding them', () => {
+    assert.throws(() => parsePageRange('1-999999999'), { message: 'PAGE_RANGE_TOO_LARGE' });
+    assert.throws(() => parsePageRange(`1-${MAX_PAGE_RANGE_PAGES},${MAX_PAGE_RANGE_PAGES + 5}`), { message: 'PAGE_RANGE_TOO_LARGE' });
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.GEMINI_API_KEY ??= 'test-api-key';
+const { generativeAI } = await import('../src/config/geminiConfig.js');
+const { checkFlashcard, enforceFlashcardQuality } = await import('../src/services/qualityService.js');
+
+const clozeCard = (term, definition) => ({ term: term, definition: definition, card_type: 'cloze' });
+
+let repairResponse;
+
+beforeEach(() => {
+    repairResponse = { flashcards: [] };
+    generativeAI.getGenerativeModel = () => ({
+        generateContent: async () => ({
+            response: { candidates: [{ content: { parts: [{ text: JSON.stringify(repairResponse) }] } }] },
+        }),
+    });
+});
+
+test('passes a well-formed cloze card', () => {
+    assert.deepEqual(checkFlashcard(clozeCard(
+        'The {{c1::mitochondrion}} is the powerhouse of the cell.',
+        'The mitochondrion is the powerhouse of the cell.'
+    )), []);
+});
+
+test('fails cloze cards with an empty or unchanged reveal', () => {
+    assert.deepEqual(checkFlashcard(clozeCard('The {{c1::mitochondrion}} is the powerhouse of the cell.', '')),
+        ['empty_definition', 'invalid_cloze']);
+    assert.deepEqual(checkFlashcard(clozeCard(
+        'The mitochondrion is the powerhouse of the cell.',
+        'The mitochondrion is the powerhouse of the cell.'
+    )), ['invalid_cloze']);
+});
+
+test('fails cloze cards with broken deletions', () => {
+    for (const term of ['The {{c1::}} is the powerhouse.', 'The {{c1:mitochondrion}} is the powerhouse.', '{{c1::Mitochondrion}}']) {
+        assert.deepEqual(checkFlashcard(clozeCard(term, term)), ['invalid_cloze']);
+    }
+});
+
+test('re-prompts broken cloze cards and reveals the repaired text', async () => {
+    repairResponse = {
+        flashcards: [{ id: 'f1', term: 'The {{c1::nucleus}} stores the genetic material.', definition: 'ignored' }],
+    };
+
+    const { flashcards, report } = await enforceFlashcardQuality([
+        clozeCard('The nucleus stores the genetic material.', 'The nucleus stores the genetic material.'),
+    ]);
+
+    assert.deepEqual(flashcards, [clozeCard(
+        'The {{c1::nucleus}} stores the genetic material.',
+        'The nucleus stores the genetic material.'
+    )]);
+    assert.equal(report.rules.invalid_cloze.failed, 1);
+    assert.equal(report.rules.invalid_cloze.repaired, 1);
+});
+
+test('drops cloze cards that are still broken after the re-prompt', async () => {
+    repairResponse = { flashcards: [{ id: 'f1', term: 'The nucleus stores DNA.', definition: 'The nucleus stores DNA.' }] };
+
+    const { flashcards, report } = await enforceFlashcardQuality([clozeCard('{{c1::}}', '')]);
+
+    assert.deepEqual(flashcards, []);
+    assert.equal(report.dropped_count, 1);
+});
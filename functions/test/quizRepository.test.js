@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeFirestore } from './fakeFirestore.js';
+import { markQuestionsStale } from '../src/repositories/quizRepository.js';
+
+const { documents, batchSizes } = installFakeFirestore();
+
+test('marks more questions stale than fit into one batch', async () => {
+    for (let quiz = 1; quiz <= 3; quiz++) {
+        documents.set(`quiz/quiz-${quiz}`, { associated_deck_id: 'deck-1' });
+        for (let question = 1; question <= 200; question++) {
+            documents.set(`quiz/quiz-${quiz}/question_and_answers/q-${question}`, question % 2 === 0
+                ? { related_flashcard_id: 'card-1' }
+                : { related_flashcard_ids: ['card-1', 'card-2'] });
+        }
+    }
+    documents.set('quiz/quiz-1/question_and_answers/unrelated', { related_flashcard_id: 'card-2' });
+    documents.set('quiz/quiz-1/question_and_answers/already-stale', { related_flashcard_id: 'card-1', is_stale: true });
+
+    const staleCount = await markQuestionsStale('deck-1', 'card-1', 'flashcard_deleted');
+
+    assert.equal(staleCount, 600);
+    assert.deepEqual(batchSizes, [500, 100]);
+
+    const questions = [...documents.entries()].filter(([path]) => path.includes('/question_and_answers/'));
+    const stale = questions.filter(([, question]) => question.is_stale && question.stale_reason === 'flashcard_deleted');
+    assert.equal(stale.length, 600);
+    assert.equal(documents.get('quiz/quiz-1/question_and_answers/unrelated').is_stale, undefined);
+});
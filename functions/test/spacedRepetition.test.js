@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    scheduleReview, endOfDay, INITIAL_REVIEW_STATE, INITIAL_EASE_FACTOR, MIN_EASE_FACTOR
+} from '../src/models/spacedRepetition.js';
+
+const NOW = new Date('2026-10-18T10:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysAfterNow = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+test('schedules the first review of a new card for every grade', () => {
+    const expected = {
+        again: { ease_factor: 1.96, repetitions: 0, lapses: 1 },
+        hard: { ease_factor: 2.36, repetitions: 1, lapses: 0 },
+        good: { ease_factor: 2.5, repetitions: 1, lapses: 0 },
+        easy: { ease_factor: 2.6, repetitions: 1, lapses: 0 },
+    };
+
+    for (const [grade, transition] of Object.entries(expected)) {
+        assert.deepEqual(scheduleReview(null, grade, NOW), {
+            ...transition,
+            interval_days: 1,
+            review_count: 1,
+            last_grade: grade,
+            last_reviewed_at: NOW,
+            due_at: daysAfterNow(1),
+        });
+    }
+});
+
+test('grows the interval from 1 to 6 days and then by the ease factor', () => {
+    let state = null;
+    const intervals = [];
+    for (let review = 0; review < 4; review++) {
+        state = scheduleReview(state, 'good', NOW);
+        intervals.push(state.interval_days);
+    }
+
+    assert.deepEqual(intervals, [1, 6, 15, 38]);
+    assert.equal(state.ease_factor, INITIAL_EASE_FACTOR);
+    assert.equal(state.repetitions, 4);
+    assert.deepEqual(state.due_at, daysAfterNow(38));
+});
+
+test('multiplies the interval by the ease factor of the card before the review', () => {
+    const state = { ...INITIAL_REVIEW_STATE, ease_factor: 2.0, interval_days: 10, repetitions: 3, review_count: 3 };
+
+    const next = scheduleReview(state, 'easy', NOW);
+
+    assert.equal(next.interval_days, 20);
+    assert.equal(next.ease_factor, 2.1);
+    assert.equal(next.repetitions, 4);
+});
+
+test('resets the repetitions and interval on a lapse', () => {
+    const state = { ease_factor: 2.5, interval_days: 38, repetitions: 4, lapses: 1, review_count: 6 };
+
+    const next = scheduleReview(state, 'again', NOW);
+
+    assert.equal(next.repetitions, 0);
+    assert.equal(next.interval_days, 1);
+    assert.equal(next.lapses, 2);
+    assert.equal(next.review_count, 7);
+    assert.equal(next.ease_factor, 1.96);
+    assert.deepEqual(next.due_at, daysAfterNow(1));
+
+    // The next successful review starts over at one day
+    assert.equal(scheduleReview(next, 'good', NOW).interval_days, 1);
+});
+
+test('never lowers the ease factor below MIN_EASE_FACTOR', () => {
+    let state = null;
+    for (let review = 0; review < 5; review++) state = scheduleReview(state, 'again', NOW);
+    assert.equal(state.ease_factor, MIN_EASE_FACTOR);
+
+    const hard = scheduleReview({ ...INITIAL_REVIEW_STATE, ease_factor: 1.35 }, 'hard', NOW);
+    assert.equal(hard.ease_factor, MIN_EASE_FACTOR);
+});
+
+test('rejects unknown grades', () => {
+    assert.throws(() => scheduleReview(null, 'perfect', NOW), { message: 'INVALID_GRADE' });
+});
+
+test('computes the end of the day in UTC', () => {
+    assert.deepEqual(endOfDay(NOW), new Date('2026-10-18T23:59:59.999Z'));
+});
+
+test('computes the end of the day with a positive UTC offset', () => {
+    // 10:00 UTC is 18:00 on the same day in UTC+8
+    assert.deepEqual(endOfDay(NOW, 480), new Date('2026-10-18T15:59:59.999Z'));
+    // 20:00 UTC is already the next day in UTC+8
+    assert.deepEqual(endOfDay(new Date('2026-10-18T20:00:00.000Z'), 480), new Date('2026-10-19T15:59:59.999Z'));
+});
+
+test('computes the end of the day with a negative UTC offset', () => {
+    // 10:00 UTC is 05:00 on the same day in UTC-5
+    assert.deepEqual(endOfDay(NOW, -300), new Date('2026-10-19T04:59:59.999Z'));
+    // 02:00 UTC is still the previous day in UTC-5
+    assert.deepEqual(endOfDay(new Date('2026-10-18T02:00:00.000Z'), -300), new Date('2026-10-18T04:59:59.999Z'));
+});